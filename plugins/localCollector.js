@@ -0,0 +1,125 @@
+// Local stand-in for the LaunchDarkly OTLP endpoint, served by the Vite dev
+// (and preview) server under /otlp when VITE_TELEMETRY_TARGET=local. The
+// Observability plugin exports OTLP/HTTP JSON here instead, and every payload
+// is written to a JSON file so tests can assert on what the app emitted.
+// Without VITE_LD_CLIENT_SIDE_ID, the LaunchDarkly client is pointed at /ld,
+// where the flags in src/flagDefaults.json are served as if they were live.
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+
+export const REMOTE_OTLP_ORIGIN = 'https://otel.observability.app.launchdarkly.com';
+
+const SIGNALS = {
+  '/v1/traces': 'traces',
+  '/v1/logs': 'logs',
+  '/v1/metrics': 'metrics',
+};
+
+function sendJson(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => { chunks.push(chunk); });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// The exporters gzip their payloads
+function decode(body, encoding) {
+  if (encoding === 'gzip') return zlib.gunzipSync(body);
+  if (encoding === 'deflate') return zlib.inflateSync(body);
+  return body;
+}
+
+// Just enough of the client-side SDK endpoints for the client to initialize
+function handleFlagRequest(req, res, defaultsFile) {
+  const url = new URL(req.url, 'http://localhost');
+  if (req.method !== 'GET') {
+    return sendJson(res, 405, { error: 'Only flag evaluation requests are served' });
+  }
+  if (/^\/sdk\/goals\/[^/]+$/.test(url.pathname)) {
+    return sendJson(res, 200, []);
+  }
+  if (!/^\/sdk\/evalx\/[^/]+\/contexts\/[^/]+$/.test(url.pathname)) {
+    return sendJson(res, 404, { error: `No flag endpoint at /ld${url.pathname}` });
+  }
+
+  // Read on every request, so edits to the defaults show up on reload
+  const defaults = JSON.parse(fs.readFileSync(defaultsFile, 'utf8'));
+  return sendJson(res, 200, Object.fromEntries(Object.entries(defaults).map(([key, value]) => [
+    key,
+    { value, variation: 0, version: 1, reason: { kind: 'FALLTHROUGH' } },
+  ])));
+}
+
+export default function localCollector({ enabled = false, outputDir = 'telemetry-output' } = {}) {
+  let resolvedDir = outputDir;
+  let flagDefaultsFile = 'src/flagDefaults.json';
+  let received = 0;
+
+  async function handleRequest(req, res, logger) {
+    const url = new URL(req.url, 'http://localhost');
+    const signal = SIGNALS[url.pathname];
+
+    if (!signal) {
+      return sendJson(res, 404, { error: `No OTLP signal at /otlp${url.pathname}` });
+    }
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'OTLP export requests must use POST' });
+    }
+    if ((req.headers['content-type'] || '').includes('protobuf')) {
+      return sendJson(res, 415, { error: 'Only OTLP/HTTP JSON is supported' });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(decode(await readBody(req), req.headers['content-encoding']).toString('utf8'));
+    } catch (error) {
+      return sendJson(res, 400, { error: `Invalid OTLP payload: ${error.message}` });
+    }
+
+    received += 1;
+    const file = path.join(resolvedDir, signal, `${String(received).padStart(4, '0')}-${Date.now()}.json`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(payload, null, 2));
+    logger.info(`[local-collector] ${signal} -> ${path.relative(process.cwd(), file)}`, { timestamp: true });
+
+    // An empty partialSuccess tells the exporter everything was accepted
+    return sendJson(res, 200, { partialSuccess: {} });
+  }
+
+  function mount(server) {
+    if (!enabled) return;
+    // Each server run starts with an empty directory so tests only see
+    // payloads from this run
+    fs.rmSync(resolvedDir, { recursive: true, force: true });
+    server.middlewares.use('/otlp', (req, res, next) => {
+      handleRequest(req, res, server.config.logger).catch(next);
+    });
+    server.middlewares.use('/ld', (req, res) => {
+      handleFlagRequest(req, res, flagDefaultsFile);
+    });
+  }
+
+  return {
+    name: 'local-collector',
+    configResolved(config) {
+      resolvedDir = path.resolve(config.root, outputDir);
+      flagDefaultsFile = path.resolve(config.root, flagDefaultsFile);
+    },
+    configureServer: mount,
+    configurePreviewServer: mount,
+    // Same-origin requests are already allowed by 'self', so local mode
+    // drops the remote OTLP origin from the Content Security Policy
+    transformIndexHtml(html) {
+      return enabled ? html.replace(` ${REMOTE_OTLP_ORIGIN}`, '') : html;
+    },
+  };
+}
@@ -0,0 +1,101 @@
+// Local mock API served by the Vite dev (and preview) server under /api.
+// Lets the network demos run offline while still producing real fetch
+// traffic for the Observability plugin to record and trace.
+
+const PRODUCTS = [
+  { id: 1, name: 'Observability Hoodie', price: 59.0, stock: 12 },
+  { id: 2, name: 'Feature Flag Mug', price: 14.5, stock: 40 },
+  { id: 3, name: 'Session Replay Sticker Pack', price: 6.0, stock: 250 },
+  { id: 4, name: 'Trace Span Notebook', price: 9.75, stock: 0 },
+];
+
+let nextOrderId = 1000;
+
+function sendJson(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => resolve(raw));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(raw) {
+  if (!raw) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  const delay = Math.min(Number(url.searchParams.get('delay')) || 0, 10000);
+  const body = parseJson(await readBody(req));
+
+  if (delay > 0) {
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  // Echo what the server actually received so the UI can show the
+  // tracing headers injected by the Observability plugin.
+  const request = {
+    method: req.method,
+    path: '/api' + url.pathname,
+    headers: req.headers,
+  };
+
+  const productMatch = url.pathname.match(/^\/products\/(\d+)$/);
+
+  if (req.method === 'GET' && url.pathname === '/products') {
+    return sendJson(res, 200, { data: PRODUCTS, request });
+  }
+
+  if (req.method === 'GET' && productMatch) {
+    const product = PRODUCTS.find(p => p.id === Number(productMatch[1]));
+    if (!product) {
+      return sendJson(res, 404, { error: 'Product not found', request });
+    }
+    return sendJson(res, 200, { data: product, request });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/orders') {
+    if (!body || typeof body !== 'object' || !Array.isArray(body.items)) {
+      return sendJson(res, 400, { error: 'Order body must include an items array', request });
+    }
+    const order = { id: nextOrderId++, status: 'created', ...body };
+    return sendJson(res, 201, { data: order, request });
+  }
+
+  if (req.method === 'POST' && url.pathname === '/demo-requests') {
+    if (!body || typeof body !== 'object' || !body.email) {
+      return sendJson(res, 422, { error: 'A contact email is required', request });
+    }
+    return sendJson(res, 201, { data: { id: `req_${Date.now()}`, received: body }, request });
+  }
+
+  return sendJson(res, 404, { error: `No mock route for ${req.method} ${request.path}`, request });
+}
+
+function middleware(req, res, next) {
+  handleRequest(req, res).catch(next);
+}
+
+export default function mockApi() {
+  return {
+    name: 'mock-api',
+    configureServer(server) {
+      server.middlewares.use('/api', middleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/api', middleware);
+    },
+  };
+}
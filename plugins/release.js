@@ -0,0 +1,156 @@
+// Release info for builds and the app. The release is the package.json
+// version plus the git commit (e.g. 4.7.1+3f2c1ab); the app reads it from
+// `virtual:release` and passes it to the Observability plugin as `version`.
+// Builds also write dist/release-manifest.json, linking every chunk to its
+// source map, and can upload the maps to `uploadUrl`. The dev and preview
+// servers accept those uploads under /sourcemaps as a local stand-in.
+import { execSync } from 'node:child_process';
+import fs from 'node:fs';
+import path from 'node:path';
+
+export const MANIFEST_FILE = 'release-manifest.json';
+
+const VIRTUAL_ID = 'virtual:release';
+const RESOLVED_VIRTUAL_ID = `\0${VIRTUAL_ID}`;
+
+function gitCommit(root) {
+  if (process.env.GIT_COMMIT) return process.env.GIT_COMMIT.slice(0, 7);
+  try {
+    return execSync('git rev-parse --short HEAD', { cwd: root, stdio: ['ignore', 'pipe', 'ignore'] })
+      .toString()
+      .trim();
+  } catch {
+    return 'unknown';
+  }
+}
+
+export function readRelease(root = process.cwd()) {
+  const { version } = JSON.parse(fs.readFileSync(path.join(root, 'package.json'), 'utf8'));
+  const commit = gitCommit(root);
+  return { version, commit, release: `${version}+${commit}` };
+}
+
+export function buildManifest(info, bundle) {
+  const chunks = Object.values(bundle)
+    .filter(output => output.type === 'chunk')
+    .map(chunk => ({
+      file: chunk.fileName,
+      name: chunk.name,
+      isEntry: chunk.isEntry,
+      sourceMap: chunk.sourcemapFileName || null,
+    }));
+  return { ...info, builtAt: new Date().toISOString(), chunks };
+}
+
+// One POST per file: the manifest first, then every source map
+export async function uploadRelease({ url, token, manifest, files }) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  for (const [file, content] of [[MANIFEST_FILE, JSON.stringify(manifest, null, 2)], ...files]) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ release: manifest.release, file, content }),
+    });
+    if (!response.ok) {
+      throw new Error(`Uploading ${file} to ${url} failed: ${response.status} ${await response.text()}`);
+    }
+  }
+}
+
+function sendJson(res, status, payload) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(payload));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => { chunks.push(chunk); });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Release names and file paths come from the request, so both must stay
+// inside the output directory
+function safeJoin(root, ...segments) {
+  const target = path.resolve(root, ...segments);
+  return target.startsWith(`${path.resolve(root)}${path.sep}`) ? target : null;
+}
+
+// Local stand-in for a source map upload endpoint: stores each file under
+// <outputDir>/<release>/<file>
+export function createUploadReceiver({ outputDir, logger = console }) {
+  return async function handleUpload(req, res) {
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Source map uploads must use POST' });
+    }
+
+    let upload;
+    try {
+      upload = JSON.parse((await readBody(req)).toString('utf8'));
+    } catch (error) {
+      return sendJson(res, 400, { error: `Invalid upload: ${error.message}` });
+    }
+
+    const { release, file, content } = upload;
+    const target = release && file && typeof content === 'string' && safeJoin(outputDir, release, file);
+    if (!target) {
+      return sendJson(res, 400, { error: 'Uploads need a release, a relative file path and string content' });
+    }
+
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content);
+    logger.info(`[sourcemaps] ${release} ${file} -> ${path.relative(process.cwd(), target)}`);
+    return sendJson(res, 201, { stored: path.join(release, file) });
+  };
+}
+
+export default function release({ uploadUrl, uploadToken, receiverDir = 'sourcemap-uploads' } = {}) {
+  let root = process.cwd();
+  let logger = console;
+  let info;
+  let manifest;
+
+  function mount(server) {
+    const handleUpload = createUploadReceiver({
+      outputDir: path.resolve(root, receiverDir),
+      logger: { info: message => server.config.logger.info(message, { timestamp: true }) },
+    });
+    server.middlewares.use('/sourcemaps', (req, res, next) => {
+      handleUpload(req, res).catch(next);
+    });
+  }
+
+  return {
+    name: 'release',
+    configResolved(config) {
+      root = config.root;
+      logger = config.logger;
+      info = readRelease(root);
+    },
+    resolveId(id) {
+      return id === VIRTUAL_ID ? RESOLVED_VIRTUAL_ID : null;
+    },
+    load(id) {
+      return id === RESOLVED_VIRTUAL_ID ? `export default ${JSON.stringify(info)};` : null;
+    },
+    configureServer: mount,
+    configurePreviewServer: mount,
+    generateBundle(outputOptions, bundle) {
+      manifest = buildManifest(info, bundle);
+      this.emitFile({ type: 'asset', fileName: MANIFEST_FILE, source: JSON.stringify(manifest, null, 2) });
+    },
+    async writeBundle(outputOptions, bundle) {
+      if (!uploadUrl) return;
+      const files = manifest.chunks
+        .filter(chunk => chunk.sourceMap && bundle[chunk.sourceMap])
+        .map(chunk => [chunk.sourceMap, String(bundle[chunk.sourceMap].source)]);
+      await uploadRelease({ url: uploadUrl, token: uploadToken, manifest, files });
+      logger.info(`[sourcemaps] uploaded ${files.length} source maps for ${info.release} to ${uploadUrl}`);
+    },
+  };
+}
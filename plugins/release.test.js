@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { buildManifest, createUploadReceiver, uploadRelease, MANIFEST_FILE } from './release.js';
+import { symbolicateStack } from '../scripts/symbolicate.js';
+
+const INFO = { version: '1.2.3', commit: 'abc1234', release: '1.2.3+abc1234' };
+
+const BUNDLE = {
+  'assets/index-a1.js': { type: 'chunk', fileName: 'assets/index-a1.js', name: 'index', isEntry: true, sourcemapFileName: 'assets/index-a1.js.map' },
+  'assets/index-a1.js.map': { type: 'asset', fileName: 'assets/index-a1.js.map', source: '{}' },
+  'assets/index.css': { type: 'asset', fileName: 'assets/index.css', source: '' },
+};
+
+// Generated line 1: column 0 maps to src/App.jsx 1:0, column 9 to src/App.jsx 3:2
+const SOURCE_MAP = JSON.stringify({
+  version: 3,
+  sources: ['../../src/App.jsx'],
+  names: [],
+  mappings: 'AAAA,SAEE',
+});
+
+describe('release plugin', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('links every chunk to its source map in the manifest', () => {
+    expect(buildManifest(INFO, BUNDLE)).toEqual({
+      ...INFO,
+      builtAt: expect.any(String),
+      chunks: [{ file: 'assets/index-a1.js', name: 'index', isEntry: true, sourceMap: 'assets/index-a1.js.map' }],
+    });
+  });
+
+  it('uploads the manifest and source maps to the local stand-in', async () => {
+    const handleUpload = createUploadReceiver({ outputDir: tmpDir, logger: { info: () => {} } });
+    const server = http.createServer((req, res) => handleUpload(req, res));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${server.address().port}/sourcemaps`;
+
+    try {
+      const manifest = buildManifest(INFO, BUNDLE);
+      await uploadRelease({ url, token: 'secret', manifest, files: [['assets/index-a1.js.map', SOURCE_MAP]] });
+
+      const releaseDir = path.join(tmpDir, INFO.release);
+      expect(JSON.parse(fs.readFileSync(path.join(releaseDir, MANIFEST_FILE), 'utf8')).release).toBe(INFO.release);
+      expect(fs.readFileSync(path.join(releaseDir, 'assets/index-a1.js.map'), 'utf8')).toBe(SOURCE_MAP);
+
+      await expect(uploadRelease({ url, manifest, files: [['../../escape.map', '{}']] }))
+        .rejects.toThrow('Uploading ../../escape.map');
+      expect(fs.existsSync(path.join(tmpDir, 'escape.map'))).toBe(false);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('symbolicates minified frames with the uploaded maps', () => {
+    fs.mkdirSync(path.join(tmpDir, 'assets'));
+    fs.writeFileSync(path.join(tmpDir, MANIFEST_FILE), JSON.stringify(buildManifest(INFO, BUNDLE)));
+    fs.writeFileSync(path.join(tmpDir, 'assets/index-a1.js.map'), SOURCE_MAP);
+
+    const stack = [
+      'Error: Boom',
+      '    at Qe (https://demo.example.com/assets/index-a1.js:1:10)',
+      '    at https://cdn.example.com/vendor.js:4:2',
+    ].join('\n');
+
+    expect(symbolicateStack(stack, { dir: tmpDir })).toEqual({
+      release: INFO.release,
+      stack: [
+        'Error: Boom',
+        '    at Qe (src/App.jsx:3:3)',
+        '    at https://cdn.example.com/vendor.js:4:2',
+      ].join('\n'),
+    });
+  });
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// Maps a minified stack trace (e.g. from a recorded error) back to original
+// source locations, using the release manifest and source maps written by
+// plugins/release.js.
+//
+//   npm run symbolicate -- [--dir dist] [--release 4.7.1+3f2c1ab] [stack.txt]
+//
+// Reads the stack from the file, or from stdin without one. --dir is a build
+// output directory or a release directory in sourcemap-uploads/.
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { TraceMap, originalPositionFor } from '@jridgewell/trace-mapping';
+import { MANIFEST_FILE } from '../plugins/release.js';
+
+// Chrome: "at fn (url:line:col)" or "at url:line:col"; Firefox/Safari: "fn@url:line:col"
+const FRAME = /(https?:\/\/[^\s()]+?|\/[^\s()]+?):(\d+):(\d+)/;
+
+function chunkPath(url) {
+  try {
+    return new URL(url).pathname.replace(/^\//, '');
+  } catch {
+    return url.replace(/^\//, '');
+  }
+}
+
+/**
+ * Replaces every frame that points into a chunk listed in the manifest with
+ * its original source location. Unknown frames are left as they are.
+ */
+export function symbolicateStack(stack, { dir }) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST_FILE), 'utf8'));
+  const maps = new Map();
+
+  const mapFor = (file) => {
+    const chunk = manifest.chunks.find(candidate => candidate.file === file);
+    if (!chunk?.sourceMap) return null;
+    if (!maps.has(file)) {
+      maps.set(file, new TraceMap(fs.readFileSync(path.join(dir, chunk.sourceMap), 'utf8')));
+    }
+    return maps.get(file);
+  };
+
+  const lines = stack.split('\n').map((line) => {
+    const match = line.match(FRAME);
+    if (!match) return line;
+
+    const [location, url, lineNumber, column] = match;
+    const traceMap = mapFor(chunkPath(url));
+    if (!traceMap) return line;
+
+    // Stack columns are 1-based, source map columns 0-based
+    const original = originalPositionFor(traceMap, { line: Number(lineNumber), column: Number(column) - 1 });
+    if (!original.source) return line;
+
+    // Sources are relative to the map (e.g. ../../src/App.jsx); show them from the project root
+    const source = original.source.replace(/^(\.\.\/)+/, '');
+    return line.replace(location, `${source}:${original.line}:${original.column + 1}`);
+  });
+
+  return { release: manifest.release, stack: lines.join('\n') };
+}
+
+function parseArgs(argv) {
+  const args = { dir: 'dist', release: null, file: null };
+  for (let index = 0; index < argv.length; index++) {
+    if (argv[index] === '--dir') args.dir = argv[++index];
+    else if (argv[index] === '--release') args.release = argv[++index];
+    else args.file = argv[index];
+  }
+  return args;
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const stack = fs.readFileSync(args.file || 0, 'utf8');
+  const result = symbolicateStack(stack, { dir: args.dir });
+
+  if (args.release && args.release !== result.release) {
+    console.warn(`Warning: the stack is from ${args.release} but ${args.dir} holds ${result.release}`);
+  }
+  console.log(result.stack);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`symbolicate: ${error.message}`);
+    process.exitCode = 1;
+  }
+}
@@ -1,13 +1,16 @@
 import ErrorBoundary from './components/ErrorBoundary';
 import DashboardLayout from './components/DashboardLayout';
+import FeedbackWidget from './components/FeedbackWidget';
 
 function App() {
   return (
-    <ErrorBoundary>
-      <DashboardLayout />
-    </ErrorBoundary>
+    <>
+      <ErrorBoundary>
+        <DashboardLayout />
+      </ErrorBoundary>
+      <FeedbackWidget />
+    </>
   );
 }
 
 export default App;
-
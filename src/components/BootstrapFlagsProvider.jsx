@@ -0,0 +1,15 @@
+import { camelCaseKeys, defaultReactOptions } from 'launchdarkly-react-client-sdk';
+
+// Stands in for the LaunchDarkly provider when the client could not be
+// created: components get the bootstrap flags, camelCased like the SDK's, and
+// no client. Components already handle a missing ldClient.
+function BootstrapFlagsProvider({ flags, children }) {
+  const { Provider } = defaultReactOptions.reactContext;
+  return (
+    <Provider value={{ flags: camelCaseKeys(flags), flagKeyMap: {}, ldClient: undefined }}>
+      {children}
+    </Provider>
+  );
+}
+
+export default BootstrapFlagsProvider;
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+import {
+  CONSENT_CATEGORIES,
+  ALL_GRANTED,
+  NONE_GRANTED,
+  applyConsent,
+  telemetryStatusStore,
+} from '../lib/consent';
+import useStore from '../hooks/useStore';
+
+function ConsentBanner() {
+  const { consent } = useStore(telemetryStatusStore);
+  const [expanded, setExpanded] = useState(false);
+  const [choices, setChoices] = useState(null);
+
+  const isOpen = consent === null || expanded;
+  const current = choices || consent || NONE_GRANTED;
+
+  const handleSave = (nextConsent) => {
+    applyConsent(nextConsent);
+    setChoices(null);
+    setExpanded(false);
+  };
+
+  if (!isOpen) {
+    return (
+      <button
+        onClick={() => setExpanded(true)}
+        style={{
+          position: 'fixed',
+          bottom: '20px',
+          left: '20px',
+          zIndex: 1000,
+          padding: '8px 16px',
+          fontSize: '14px',
+          backgroundColor: '#333'
+        }}
+      >
+        🔒 Privacy preferences
+      </button>
+    );
+  }
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Telemetry consent"
+      style={{
+        position: 'fixed',
+        bottom: '20px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        width: 'min(720px, calc(100% - 40px))',
+        zIndex: 1000,
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        padding: '20px',
+        boxShadow: '0 12px 32px rgba(0, 0, 0, 0.3)',
+        borderTop: '4px solid #667eea'
+      }}
+    >
+      <h3 style={{ color: '#333', marginBottom: '8px' }}>🔒 Your privacy choices</h3>
+      <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+        Choose which telemetry this demo may collect. You can change this at any time and
+        recording starts or stops immediately.
+      </p>
+
+      {CONSENT_CATEGORIES.map(category => {
+        const disabled = category.key === 'network' && !current.errorsAndLogs;
+        return (
+          <label
+            key={category.key}
+            style={{
+              display: 'flex',
+              alignItems: 'flex-start',
+              gap: '10px',
+              marginBottom: '10px',
+              color: disabled ? '#999' : '#333',
+              cursor: disabled ? 'not-allowed' : 'pointer'
+            }}
+          >
+            <input
+              type="checkbox"
+              checked={current[category.key] && !disabled}
+              disabled={disabled}
+              onChange={(event) => setChoices({ ...current, [category.key]: event.target.checked })}
+              style={{ width: 'auto', marginTop: '4px' }}
+            />
+            <span>
+              <strong>{category.label}</strong>
+              <span style={{ display: 'block', fontSize: '13px', color: '#666' }}>{category.description}</span>
+            </span>
+          </label>
+        );
+      })}
+
+      <div className="button-group" style={{ marginTop: '15px' }}>
+        <button onClick={() => handleSave(ALL_GRANTED)} style={{ backgroundColor: '#4caf50' }}>
+          Accept All
+        </button>
+        <button onClick={() => handleSave(current)}>
+          Save Choices
+        </button>
+        <button onClick={() => handleSave(NONE_GRANTED)} style={{ backgroundColor: '#9e9e9e' }}>
+          Decline All
+        </button>
+        {consent !== null && (
+          <button
+            onClick={() => { setChoices(null); setExpanded(false); }}
+            style={{ backgroundColor: 'transparent', color: '#666', boxShadow: 'none' }}
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ConsentBanner;
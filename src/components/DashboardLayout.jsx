@@ -1,128 +1,344 @@
+import { useEffect, useMemo, useState } from 'react';
 import { withLDConsumer } from "launchdarkly-react-client-sdk";
 import ErrorBoundary from './ErrorBoundary';
+import SectionErrorFallback from './SectionErrorFallback';
 import ErrorDemo from './ErrorDemo';
 import LogsDemo from './LogsDemo';
 import TracesDemo from './TracesDemo';
+import NetworkDemo from './NetworkDemo';
+import RedactionDemo from './RedactionDemo';
+import MetricsDemo from './MetricsDemo';
+import InteractionDemo from './InteractionDemo';
 import FancyWidget from './FancyWidget';
+import FlagGuard from './FlagGuard';
+import SettingsPanel from './SettingsPanel';
+import ConsentBanner from './ConsentBanner';
+import IdentityPanel from './IdentityPanel';
+import TelemetryInspector from './TelemetryInspector';
+import FlagSourceIndicator from './FlagSourceIndicator';
+import Measured, { withRenderMetrics } from './Measured';
+import NavLink from './NavLink';
+import useStore from '../hooks/useStore';
+import useFlagChangeTracking from '../hooks/useFlagChangeTracking';
+import logger, { LOG_LEVEL_FLAG } from '../lib/logger';
+import { flagType, formatReason } from '../lib/flagValues';
+import { routeStore, ROUTES, NOT_FOUND_TEMPLATE, endPageView } from '../lib/router';
+import { telemetryStatusStore } from '../lib/consent';
+import { flagDetailsStore } from '../lib/flagEnrichment';
+
+// Each feature card is lit up while its telemetry stream is running
+const FEATURES = [
+  {
+    title: 'Error Tracking',
+    description: 'Automatic & manual error capture with context',
+    stream: 'errorsAndLogs',
+    background: '#e8f5e9',
+    border: '#4caf50',
+  },
+  {
+    title: 'Custom Logs',
+    description: 'Recording custom log events with metadata',
+    stream: 'errorsAndLogs',
+    background: '#e3f2fd',
+    border: '#2196f3',
+  },
+  {
+    title: 'Distributed Tracing',
+    description: 'Trace spans for sync & async operations',
+    stream: 'errorsAndLogs',
+    background: '#f3e5f5',
+    border: '#9c27b0',
+  },
+  {
+    title: 'Network Recording',
+    description: 'Requests recorded with headers, bodies & trace context',
+    stream: 'network',
+    background: '#fff3e0',
+    border: '#ff9800',
+  },
+  {
+    title: 'Custom Metrics',
+    description: 'Counters, gauges & histograms with attributes',
+    stream: 'errorsAndLogs',
+    background: '#e0f2f1',
+    border: '#009688',
+  },
+  {
+    title: 'Session Replay',
+    description: 'Recording of the page and user interactions',
+    stream: 'sessionReplay',
+    background: '#fce4ec',
+    border: '#e91e63',
+  },
+];
+
+// Each demo card gets its own named boundary so one crash doesn't take
+// down the whole dashboard
+function DemoSection({ name, resetKeys, children }) {
+  return (
+    <ErrorBoundary
+      name={name}
+      maxRetries={3}
+      resetKeys={resetKeys}
+      fallback={(props) => <SectionErrorFallback {...props} />}
+    >
+      {children}
+    </ErrorBoundary>
+  );
+}
+
+// Render timings per card, on top of the whole dashboard's (see lib/renderMetrics.js)
+const MeasuredTracesDemo = withRenderMetrics(TracesDemo);
+const MeasuredFancyWidget = withRenderMetrics(FancyWidget);
+
+// Pages that show a single demo card; the overview and flag pages are laid out below
+const DEMO_PAGES = {
+  '/errors': { name: 'ErrorDemo', Component: ErrorDemo },
+  '/logs': { name: 'LogsDemo', Component: LogsDemo },
+  '/traces': { name: 'TracesDemo', Component: MeasuredTracesDemo },
+  '/network': { name: 'NetworkDemo', Component: NetworkDemo },
+  '/redaction': { name: 'RedactionDemo', Component: RedactionDemo },
+  '/metrics': { name: 'MetricsDemo', Component: MetricsDemo },
+  '/interactions': { name: 'InteractionDemo', Component: InteractionDemo },
+};
+
+// Routes with parameters are reached from their pages, not the navigation
+const NAV_ROUTES = ROUTES.filter(({ template }) => !template.includes(':'));
+
+const navLinkStyle = { padding: '8px 16px', borderRadius: '8px', color: '#667eea', fontWeight: 600, textDecoration: 'none' };
+const activeNavLinkStyle = { backgroundColor: '#667eea', color: 'white' };
+
+const cellStyle = { padding: '6px 10px', borderBottom: '1px solid rgba(0,0,0,0.08)', textAlign: 'left', verticalAlign: 'top' };
+
+function FlagValue({ value }) {
+  if (typeof value === 'boolean') {
+    return (
+      <span style={{ fontWeight: 'bold', color: value ? '#4caf50' : '#f44336' }}>
+        {value ? '✅ ON' : '❌ OFF'}
+      </span>
+    );
+  }
+  return <code style={{ wordBreak: 'break-word' }}>{JSON.stringify(value)}</code>;
+}
 
 function DashboardLayout( { flags } ) {
-  // Debug: Log flags to console
-  console.log('Available flags:', flags);
-  console.log('releaseFancyWidget flag value:', flags.releaseFancyWidget);
+  const { active } = useStore(telemetryStatusStore);
+  const flagChanges = useFlagChangeTracking();
+  const [fancyWidgetCrashMode, setFancyWidgetCrashMode] = useState(false);
+  const route = useStore(routeStore);
+  const demoPage = DEMO_PAGES[route.template];
+  const { flagKey } = route.params;
+
+  // Details the client already reported, keyed by its raw flag keys. Evaluating
+  // each flag here would send an evaluation event for every flag on every change.
+  const flagDetails = useStore(flagDetailsStore);
+  const flagRows = useMemo(() => Object.keys(flagDetails).sort().map(key => ({
+    key,
+    value: flagDetails[key].value,
+    type: flagType(flagDetails[key].value),
+    reason: formatReason(flagDetails[key].reason),
+  })), [flagDetails]);
+  const visibleFlagRows = flagKey ? flagRows.filter(row => row.key === flagKey) : flagRows;
+  const flaggedLogLevel = flags[LOG_LEVEL_FLAG];
+
+  // Let the minimumLogLevel flag raise or lower logging app-wide
+  useEffect(() => {
+    if (flaggedLogLevel) {
+      logger.setMinLevel(flaggedLogLevel, `flag:${LOG_LEVEL_FLAG}`);
+    }
+  }, [flaggedLogLevel]);
+
+  // The page view ends once the new route has rendered
+  useEffect(() => {
+    endPageView();
+  }, [route]);
 
   return (
     <div>
-      <header style={{
-        textAlign: 'center',
-        color: 'white',
-        marginBottom: '40px'
-      }}>
-        <h1 style={{ fontSize: '48px', marginBottom: '10px' }}>
-          🚀 LaunchDarkly Observability Demo
-        </h1>
-        <p style={{ fontSize: '20px', opacity: 0.9 }}>
-          Demonstrating Errors, Logs, and Traces
-        </p>
-      </header>
-
-      <div className="card" style={{ marginBottom: '30px' }}>
-        <h2>📊 Observability Features Active</h2>
-        <ul style={{ 
-          listStyle: 'none', 
-          padding: 0,
-          display: 'grid',
-          gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
-          gap: '15px'
+      {/* The Telemetry Inspector stays outside: it re-renders on every recorded metric */}
+      <Measured name="DashboardLayout">
+        <header style={{
+          textAlign: 'center',
+          color: 'white',
+          marginBottom: '40px'
         }}>
-          <li style={{ 
-            padding: '15px', 
-            backgroundColor: '#e8f5e9', 
-            borderRadius: '8px',
-            borderLeft: '4px solid #4caf50'
-          }}>
-            <strong>✅ Error Tracking</strong>
-            <p style={{ fontSize: '14px', marginTop: '5px', color: '#666' }}>
-              Automatic & manual error capture with context
-            </p>
-          </li>
-          <li style={{ 
-            padding: '15px', 
-            backgroundColor: '#e3f2fd', 
-            borderRadius: '8px',
-            borderLeft: '4px solid #2196f3'
-          }}>
-            <strong>✅ Custom Logs</strong>
-            <p style={{ fontSize: '14px', marginTop: '5px', color: '#666' }}>
-              Recording custom log events with metadata
-            </p>
-          </li>
-          <li style={{ 
-            padding: '15px', 
-            backgroundColor: '#f3e5f5', 
-            borderRadius: '8px',
-            borderLeft: '4px solid #9c27b0'
+          <h1 style={{ fontSize: '48px', marginBottom: '10px' }}>
+            🚀 LaunchDarkly Observability Demo
+          </h1>
+          <p style={{ fontSize: '20px', opacity: 0.9 }}>
+            Demonstrating Errors, Logs, and Traces
+          </p>
+          <FlagSourceIndicator />
+        </header>
+
+        <div className="card" style={{ marginBottom: '30px' }}>
+          <h2>📊 Observability Features Active</h2>
+          <ul style={{ 
+            listStyle: 'none', 
+            padding: 0,
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))',
+            gap: '15px'
           }}>
-            <strong>✅ Distributed Tracing</strong>
-            <p style={{ fontSize: '14px', marginTop: '5px', color: '#666' }}>
-              Trace spans for sync & async operations
+            {FEATURES.map(feature => {
+              const isActive = active[feature.stream];
+              return (
+                <li key={feature.title} style={{ 
+                  padding: '15px', 
+                  backgroundColor: isActive ? feature.background : '#f5f5f5', 
+                  borderRadius: '8px',
+                  borderLeft: `4px solid ${isActive ? feature.border : '#bdbdbd'}`
+                }}>
+                  <strong>{isActive ? '✅' : '⏸️'} {feature.title}</strong>
+                  <p style={{ fontSize: '14px', marginTop: '5px', color: '#666' }}>
+                    {isActive ? feature.description : 'Inactive: not consented or not started'}
+                  </p>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+
+        <nav className="card button-group" aria-label="Demo pages" style={{ marginBottom: '30px', padding: '16px 24px' }}>
+          {NAV_ROUTES.map(({ template, title }) => (
+            <NavLink key={template} to={template} style={navLinkStyle} activeStyle={activeNavLinkStyle}>
+              {title}
+            </NavLink>
+          ))}
+        </nav>
+
+        {route.template === '/' && (
+          <>
+            <DemoSection name="SettingsPanel"><SettingsPanel /></DemoSection>
+            <DemoSection name="IdentityPanel"><IdentityPanel /></DemoSection>
+            <div className="card" style={{ 
+              backgroundColor: '#f8f9fa',
+              borderLeft: '4px solid #667eea'
+            }}>
+              <h2>📚 Next Steps</h2>
+              <ol style={{ lineHeight: '2', color: '#333' }}>
+                <li>Open the demo pages above and interact with them to generate observability data</li>
+                <li>Check your LaunchDarkly dashboard under <strong>Monitor</strong></li>
+                <li>View captured errors with stack traces and context</li>
+                <li>Review custom logs and their associated metadata</li>
+                <li>Analyze trace spans to understand operation timing and flow</li>
+              </ol>
+            </div>
+          </>
+        )}
+
+        {demoPage && (
+          <DemoSection key={demoPage.name} name={demoPage.name}><demoPage.Component /></DemoSection>
+        )}
+
+        {/* Debug: Flag Status Indicator */}
+        {route.template.startsWith('/flags') && (
+          <>
+            <div className="card" style={{ 
+              backgroundColor: flags.releaseFancyWidget ? '#e8f5e9' : '#ffebee',
+              borderLeft: flags.releaseFancyWidget ? '4px solid #4caf50' : '4px solid #f44336',
+              marginBottom: '30px'
+            }}>
+              <h3>🎛️ Feature Flag Status</h3>
+              {flagKey && (
+                <p style={{ fontSize: '14px', marginTop: '10px', marginBottom: 0 }}>
+                  <NavLink to="/flags">← All flags</NavLink>
+                </p>
+              )}
+              <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '10px', fontSize: '14px' }}>
+                <thead>
+                  <tr>
+                    <th style={cellStyle}>Flag</th>
+                    <th style={cellStyle}>Value</th>
+                    <th style={cellStyle}>Type</th>
+                    <th style={cellStyle}>Reason</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleFlagRows.length === 0 && (
+                    <tr>
+                      <td colSpan={4} style={{ ...cellStyle, color: '#666' }}>
+                        {flagKey ? <>Flag <code>{flagKey}</code> has not been evaluated.</> : 'No flags evaluated yet.'}
+                      </td>
+                    </tr>
+                  )}
+                  {visibleFlagRows.map(row => (
+                    <tr key={row.key}>
+                      <td style={cellStyle}>
+                        <NavLink to={`/flags/${encodeURIComponent(row.key)}`}><code>{row.key}</code></NavLink>
+                      </td>
+                      <td style={cellStyle}><FlagValue value={row.value} /></td>
+                      <td style={cellStyle}>{row.type}</td>
+                      <td style={cellStyle}>{row.reason}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <p style={{ fontSize: '14px', marginTop: '10px', color: '#666' }}>
+                {flags.releaseFancyWidget 
+                  ? 'The Fancy Widget should be visible below!' 
+                  : 'Toggle this flag ON in your LaunchDarkly dashboard to see the Fancy Widget.'}
+              </p>
+              {flagChanges.length > 0 && (
+                <div style={{ marginTop: '15px' }}>
+                  <strong style={{ fontSize: '14px' }}>Recent flag changes</strong>
+                  <ul style={{ marginTop: '6px', marginLeft: '20px', fontSize: '13px', color: '#666', lineHeight: '1.8' }}>
+                    {flagChanges.map(change => (
+                      <li key={`${change.timestamp}-${change.key}`}>
+                        {change.timestamp.slice(11, 19)} <code>{change.key}</code>:{' '}
+                        {JSON.stringify(change.previous)} → {JSON.stringify(change.current)}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+            {route.template === '/flags' && flags.releaseFancyWidget && (
+              <FlagGuard
+                name="FancyWidget"
+                flagKey="releaseFancyWidget"
+                variation={flags.releaseFancyWidget}
+                threshold={3}
+                windowMs={60000}
+                control={({ reset }) => (
+                  <div className="card" style={{ backgroundColor: '#f5f5f5', borderLeft: '4px solid #9e9e9e' }}>
+                    <h3>🛡️ Fancy Widget disabled for this session</h3>
+                    <p style={{ fontSize: '14px', marginTop: '10px', color: '#666' }}>
+                      The flag guard saw too many errors from this variation of <code>releaseFancyWidget</code>,
+                      so this tab falls back to the control experience and a "Flag guard tripped" error was
+                      recorded.
+                    </p>
+                    <button
+                      onClick={() => {
+                        setFancyWidgetCrashMode(false);
+                        reset();
+                      }}
+                      style={{ marginTop: '10px', backgroundColor: '#9e9e9e' }}
+                    >
+                      Re-enable Fancy Widget
+                    </button>
+                  </div>
+                )}
+              >
+                <MeasuredFancyWidget crashMode={fancyWidgetCrashMode} onCrashModeChange={setFancyWidgetCrashMode} />
+              </FlagGuard>
+            )}
+          </>
+        )}
+
+        {route.template === NOT_FOUND_TEMPLATE && (
+          <div className="card">
+            <h2>🧭 Page not found</h2>
+            <p>
+              There is no demo page at <code>{route.pathname}</code>.
             </p>
-          </li>
-        </ul>
-      </div>
-
-      <ErrorDemo />
-      <LogsDemo />
-      <TracesDemo />
-
-      {/* Debug: Flag Status Indicator */}
-      <div className="card" style={{ 
-        backgroundColor: flags.releaseFancyWidget ? '#e8f5e9' : '#ffebee',
-        borderLeft: flags.releaseFancyWidget ? '4px solid #4caf50' : '4px solid #f44336',
-        marginBottom: '30px'
-      }}>
-        <h3>🎛️ Feature Flag Status</h3>
-        <p style={{ fontSize: '16px', marginTop: '10px' }}>
-          <strong>Flag Key:</strong> <code style={{ 
-            background: 'rgba(0,0,0,0.05)', 
-            padding: '2px 6px', 
-            borderRadius: '3px',
-            fontFamily: 'monospace' 
-          }}>releaseFancyWidget</code>
-        </p>
-        <p style={{ fontSize: '16px', marginTop: '5px' }}>
-          <strong>Status:</strong> <span style={{ 
-            fontWeight: 'bold',
-            color: flags.releaseFancyWidget ? '#4caf50' : '#f44336'
-          }}>
-            {flags.releaseFancyWidget ? '✅ ON' : '❌ OFF'}
-          </span>
-        </p>
-        <p style={{ fontSize: '14px', marginTop: '10px', color: '#666' }}>
-          {flags.releaseFancyWidget 
-            ? 'The Fancy Widget should be visible below!' 
-            : 'Toggle this flag ON in your LaunchDarkly dashboard to see the Fancy Widget.'}
-        </p>
-      </div>
-
-      {flags.releaseFancyWidget && (
-        <ErrorBoundary>
-          <FancyWidget />
-        </ErrorBoundary>
-      )}
-
-      <div className="card" style={{ 
-        backgroundColor: '#f8f9fa',
-        borderLeft: '4px solid #667eea'
-      }}>
-        <h2>📚 Next Steps</h2>
-        <ol style={{ lineHeight: '2', color: '#333' }}>
-          <li>Interact with the demo components above to generate observability data</li>
-          <li>Check your LaunchDarkly dashboard under <strong>Monitor</strong></li>
-          <li>View captured errors with stack traces and context</li>
-          <li>Review custom logs and their associated metadata</li>
-          <li>Analyze trace spans to understand operation timing and flow</li>
-        </ol>
-      </div>
+            <NavLink to="/">Back to the overview</NavLink>
+          </div>
+        )}
+      </Measured>
+
+      <ConsentBanner />
+      {import.meta.env.DEV && <TelemetryInspector />}
     </div>
   );
 }
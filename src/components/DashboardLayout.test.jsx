@@ -0,0 +1,184 @@
+import { StrictMode } from 'react';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, act, fireEvent, cleanup } from '@testing-library/react';
+import { LDObserve, getSpans } from '@launchdarkly/observability';
+import { setMockFlags, emitMockClientEvent } from 'launchdarkly-react-client-sdk';
+import DashboardLayout from './DashboardLayout';
+import { resetFlagGuard } from '../lib/flagGuard';
+import { navigate } from '../lib/router';
+import { flagEnrichmentInspectors } from '../lib/flagEnrichment';
+
+const [allFlagsInspector, flagInspector] = flagEnrichmentInspectors;
+
+// Serves flags to the components and reports their details the way the client's inspectors do
+function serveFlags(values, reasons = {}) {
+  act(() => {
+    allFlagsInspector.method(Object.fromEntries(Object.entries(values).map(([key, value]) => [
+      key,
+      { value, variationIndex: 0, reason: reasons[key] ?? { kind: 'FALLTHROUGH' } },
+    ])));
+    setMockFlags(values);
+  });
+}
+
+// FancyWidget records its unmount a tick later, after a StrictMode remount
+// would have cancelled it
+const flushUnmount = () => act(() => new Promise(resolve => setTimeout(resolve, 0)));
+
+const unmountReasons = () => LDObserve.recordLog.mock.calls
+  .filter(([message]) => message === 'FancyWidget unmounted')
+  .map(([, , attributes]) => attributes['fancy_widget.unmount_reason']);
+
+const mountedDurations = () => LDObserve.recordHistogram.mock.calls
+  .filter(([metric]) => metric.name === 'fancy_widget.mounted_duration');
+
+describe('DashboardLayout', () => {
+  beforeEach(() => {
+    resetFlagGuard();
+    vi.spyOn(console, 'debug').mockImplementation(() => {});
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+    // The flag table and the Fancy Widget live on the flags page
+    navigate('/flags');
+  });
+
+  afterEach(async () => {
+    // Let FancyWidget record its last unmount before the mocks are cleared
+    cleanup();
+    await flushUnmount();
+    navigate('/');
+  });
+
+  it('hides FancyWidget while releaseFancyWidget is off', () => {
+    serveFlags({ releaseFancyWidget: false });
+    render(<DashboardLayout />);
+
+    expect(screen.queryByText('Fancy Widget')).not.toBeInTheDocument();
+    expect(screen.getByText('❌ OFF')).toBeInTheDocument();
+  });
+
+  it('shows and hides FancyWidget as releaseFancyWidget changes', () => {
+    serveFlags({ releaseFancyWidget: false });
+    render(<DashboardLayout />);
+
+    serveFlags({ releaseFancyWidget: true });
+    expect(screen.getByText('Fancy Widget')).toBeInTheDocument();
+    expect(screen.getByText('✅ ON')).toBeInTheDocument();
+
+    serveFlags({ releaseFancyWidget: false });
+    expect(screen.queryByText('Fancy Widget')).not.toBeInTheDocument();
+  });
+
+  it('records how long FancyWidget was mounted when the flag turns off', async () => {
+    setMockFlags({ releaseFancyWidget: true });
+    render(<DashboardLayout />);
+
+    act(() => setMockFlags({ releaseFancyWidget: false }));
+    await flushUnmount();
+
+    expect(LDObserve.recordHistogram).toHaveBeenCalledWith({
+      name: 'fancy_widget.mounted_duration',
+      value: expect.any(Number),
+      attributes: { 'feature_flag.key': 'releaseFancyWidget' },
+    });
+    expect(unmountReasons()).toEqual(['flag_change']);
+  });
+
+  it('doesn\'t record a mounted duration when leaving the flags page', async () => {
+    setMockFlags({ releaseFancyWidget: true });
+    render(<DashboardLayout />);
+
+    act(() => navigate('/errors'));
+    await flushUnmount();
+
+    expect(screen.queryByText('Fancy Widget')).not.toBeInTheDocument();
+    expect(mountedDurations()).toEqual([]);
+    expect(unmountReasons()).toEqual(['navigation']);
+  });
+
+  it('doesn\'t count StrictMode\'s remount of FancyWidget as an unmount', async () => {
+    setMockFlags({ releaseFancyWidget: true });
+    render(<StrictMode><DashboardLayout /></StrictMode>);
+    await flushUnmount();
+
+    expect(mountedDurations()).toEqual([]);
+    expect(unmountReasons()).toEqual([]);
+  });
+
+  it('lists flag changes reported by the client', () => {
+    render(<DashboardLayout />);
+
+    act(() => emitMockClientEvent('change', {
+      'release-fancy-widget': { previous: false, current: true },
+    }));
+
+    expect(screen.getByText('Recent flag changes')).toBeInTheDocument();
+    expect(screen.getByText('release-fancy-widget')).toBeInTheDocument();
+  });
+
+  it('falls back to the control experience after FancyWidget keeps crashing', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    setMockFlags({ releaseFancyWidget: true });
+    render(<DashboardLayout />);
+
+    fireEvent.click(screen.getByText('💥 Make it crash'));
+    fireEvent.click(screen.getByText('Retry'));
+    fireEvent.click(screen.getByText('Retry'));
+
+    expect(screen.getByText('🛡️ Fancy Widget disabled for this session')).toBeInTheDocument();
+    await flushUnmount();
+    expect(mountedDurations()).toEqual([]);
+    expect([...new Set(unmountReasons())]).toEqual(['error']);
+
+    fireEvent.click(screen.getByText('Re-enable Fancy Widget'));
+    expect(screen.getByText('Fancy Widget')).toBeInTheDocument();
+  });
+
+  it('lists every flag with the value, type and reason the client reported', () => {
+    serveFlags(
+      { releaseFancyWidget: true, fancyWidgetTheme: 'ocean', fancyWidgetLayout: { columns: 2 } },
+      { releaseFancyWidget: { kind: 'RULE_MATCH', ruleIndex: 1 } }
+    );
+    render(<DashboardLayout />);
+
+    const row = (key) => screen.getAllByText(key).find(element => element.closest('tr')).closest('tr');
+    expect(row('releaseFancyWidget')).toHaveTextContent('✅ ONbooleanRULE_MATCH (rule 1)');
+    expect(row('fancyWidgetTheme')).toHaveTextContent('"ocean"stringFALLTHROUGH');
+    expect(row('fancyWidgetLayout')).toHaveTextContent('{"columns":2}json');
+
+    act(() => flagInspector.method('fancyWidgetTheme', { value: 'forest', variationIndex: 1, reason: { kind: 'TARGET_MATCH' } }));
+    expect(row('fancyWidgetTheme')).toHaveTextContent('"forest"stringTARGET_MATCH');
+  });
+
+  it('renders one page per route and records a page view for each navigation', () => {
+    serveFlags({ releaseFancyWidget: true, fancyWidgetTheme: 'ocean' });
+    render(<DashboardLayout />);
+
+    fireEvent.click(screen.getByRole('link', { name: 'Logs' }));
+    expect(window.location.pathname).toBe('/logs');
+    expect(screen.getByRole('link', { name: 'Logs' })).toHaveAttribute('aria-current', 'page');
+    expect(screen.queryByText('🎛️ Feature Flag Status')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('link', { name: 'Flags' }));
+    fireEvent.click(screen.getByRole('link', { name: 'fancyWidgetTheme' }));
+    expect(window.location.pathname).toBe('/flags/fancyWidgetTheme');
+    expect(screen.queryByText('releaseFancyWidget')).not.toBeInTheDocument();
+    expect(screen.queryByText('Fancy Widget')).not.toBeInTheDocument();
+
+    const pageViews = getSpans().filter(span => span.name === 'page_view');
+    expect(pageViews.map(span => span.attributes['route.template'])).toEqual(['/flags', '/logs', '/flags', '/flags/:flagKey']);
+    expect(pageViews[3].attributes).toMatchObject({
+      'navigation.type': 'push',
+      'navigation.previous_route.template': '/flags',
+      'route.param.flagKey': 'fancyWidgetTheme',
+    });
+  });
+
+  it('shows a not found page for unknown routes', () => {
+    navigate('/nowhere');
+    render(<DashboardLayout />);
+
+    expect(screen.getByText('🧭 Page not found')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Back to the overview'));
+    expect(screen.getByText('📚 Next Steps')).toBeInTheDocument();
+  });
+});
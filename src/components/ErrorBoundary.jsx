@@ -1,30 +1,68 @@
 import React from 'react';
 import { LDObserve } from '@launchdarkly/observability';
+import { withLDConsumer } from 'launchdarkly-react-client-sdk';
+import { routeStore } from '../lib/router';
+import { openFeedback } from '../lib/feedback';
 
+// Shallow comparison used to decide whether resetKeys changed
+function keysChanged(prevKeys = [], nextKeys = []) {
+  return prevKeys.length !== nextKeys.length ||
+    prevKeys.some((key, index) => !Object.is(key, nextKeys[index]));
+}
+
+/**
+ * Error boundary that reports caught errors to LaunchDarkly Observability.
+ *
+ * Props:
+ * - name: identifies the boundary in recorded errors (default 'App')
+ * - fallback: render prop ({ error, errorInfo, reset, retryCount, maxRetries, canRetry, name })
+ * - onError: called with (error, errorInfo, { name, retryCount }) after the error is recorded
+ * - resetKeys: array of values; the boundary resets when any of them change
+ * - maxRetries: number of manual resets allowed before retrying is disabled
+ *
+ * The boundary also resets on every client-side navigation (see lib/router.js).
+ */
 class ErrorBoundary extends React.Component {
+  static defaultProps = {
+    name: 'App',
+    maxRetries: Infinity,
+  };
+
   constructor(props) {
     super(props);
     this.state = { 
       hasError: false, 
       error: null,
-      errorInfo: null 
+      errorInfo: null,
+      retryCount: 0
     };
   }
 
   static getDerivedStateFromError(error) {
     // Update state so the next render will show the fallback UI
-    return { hasError: true };
+    return { hasError: true, error };
   }
 
   componentDidCatch(error, errorInfo) {
+    const { name, ldClient, onError } = this.props;
+    const { retryCount } = this.state;
+
     // Log error details
-    console.error('Error caught by boundary:', error, errorInfo);
+    console.error(`Error caught by boundary "${name}":`, error, errorInfo);
     
-    // Forward error to LaunchDarkly Observability
+    // Forward error to LaunchDarkly Observability. Payload values must be strings.
     LDObserve.recordError(
       error,
       'React Error Boundary',
-      { componentStack: errorInfo.componentStack }
+      {
+        componentStack: errorInfo.componentStack,
+        'error_boundary.name': name,
+        'error_boundary.retry_count': String(retryCount),
+        route: window.location.pathname + window.location.search + window.location.hash,
+        flags: JSON.stringify(ldClient ? ldClient.allFlags() : {}),
+      },
+      name,
+      'React.ErrorBoundary'
     );
 
     // Store error details in state
@@ -32,17 +70,60 @@ class ErrorBoundary extends React.Component {
       error,
       errorInfo
     });
+
+    if (onError) {
+      onError(error, errorInfo, { name, retryCount });
+    }
   }
 
+  componentDidMount() {
+    this.unsubscribeFromRoute = routeStore.subscribe(this.handleNavigation);
+  }
+
+  componentWillUnmount() {
+    this.unsubscribeFromRoute();
+  }
+
+  // Another page may not hit the error at all, so navigating is a fresh start
+  handleNavigation = () => {
+    if (this.state.hasError) {
+      this.setState({ hasError: false, error: null, errorInfo: null, retryCount: 0 });
+    }
+  }
+
+  componentDidUpdate(prevProps) {
+    // New resetKeys mean the conditions that caused the error may be gone,
+    // so clear the error and start counting retries from zero again
+    if (this.state.hasError && keysChanged(prevProps.resetKeys, this.props.resetKeys)) {
+      this.setState({ hasError: false, error: null, errorInfo: null, retryCount: 0 });
+    }
+  }
+
+  canRetry = () => this.state.retryCount < this.props.maxRetries;
+
   handleReset = () => {
-    this.setState({ 
+    if (!this.canRetry()) return;
+    this.setState(prev => ({ 
       hasError: false, 
       error: null,
-      errorInfo: null 
-    });
+      errorInfo: null,
+      retryCount: prev.retryCount + 1
+    }));
   }
 
   render() {
+    if (this.state.hasError && this.props.fallback) {
+      return this.props.fallback({
+        error: this.state.error,
+        errorInfo: this.state.errorInfo,
+        reset: this.handleReset,
+        retryCount: this.state.retryCount,
+        maxRetries: this.props.maxRetries,
+        canRetry: this.canRetry(),
+        name: this.props.name
+      });
+    }
+
     if (this.state.hasError) {
       return (
         <div style={{
@@ -112,16 +193,30 @@ class ErrorBoundary extends React.Component {
               </div>
             )}
             
-            <button 
-              onClick={this.handleReset}
-              style={{
-                backgroundColor: '#ffc107',
-                color: '#856404',
-                fontWeight: 'bold'
-              }}
-            >
-              Reset and Try Again
-            </button>
+            <div className="button-group" style={{ justifyContent: 'center', alignItems: 'center' }}>
+              {this.canRetry() ? (
+                <button 
+                  onClick={this.handleReset}
+                  style={{
+                    backgroundColor: '#ffc107',
+                    color: '#856404',
+                    fontWeight: 'bold'
+                  }}
+                >
+                  Reset and Try Again
+                </button>
+              ) : (
+                <p style={{ color: '#856404', fontSize: '14px' }}>
+                  Retried {this.state.retryCount} times without success. Reload the page to try again.
+                </p>
+              )}
+              <button
+                onClick={() => openFeedback(`error_boundary:${this.props.name}`)}
+                style={{ backgroundColor: '#856404' }}
+              >
+                Report a problem
+              </button>
+            </div>
           </div>
         </div>
       );
@@ -131,5 +226,5 @@ class ErrorBoundary extends React.Component {
   }
 }
 
-export default ErrorBoundary;
+export default withLDConsumer({ clientOnly: true })(ErrorBoundary);
 
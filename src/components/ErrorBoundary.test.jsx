@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import { setMockFlags } from 'launchdarkly-react-client-sdk';
+import ErrorBoundary from './ErrorBoundary';
+import { navigate } from '../lib/router';
+
+let shouldThrow = true;
+
+function Bomb() {
+  if (shouldThrow) {
+    throw new Error('Boom');
+  }
+  return <p>Recovered</p>;
+}
+
+function fallback({ error, reset, retryCount, canRetry }) {
+  return (
+    <div>
+      <p>Caught: {error.message}</p>
+      <p>Retries: {retryCount}</p>
+      {canRetry && <button onClick={reset}>Retry</button>}
+    </div>
+  );
+}
+
+describe('ErrorBoundary', () => {
+  beforeEach(() => {
+    shouldThrow = true;
+    // React and the boundary both log caught errors
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('records the error with the boundary name, retry count and flags', () => {
+    setMockFlags({ releaseFancyWidget: true });
+    const onError = vi.fn();
+
+    render(
+      <ErrorBoundary name="Checkout" fallback={fallback} onError={onError}>
+        <Bomb />
+      </ErrorBoundary>
+    );
+
+    expect(screen.getByText('Caught: Boom')).toBeInTheDocument();
+    expect(LDObserve.recordError).toHaveBeenCalledTimes(1);
+    expect(LDObserve.recordError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Boom' }),
+      'React Error Boundary',
+      expect.objectContaining({
+        'error_boundary.name': 'Checkout',
+        'error_boundary.retry_count': '0',
+        flags: JSON.stringify({ releaseFancyWidget: true }),
+        componentStack: expect.stringContaining('Bomb'),
+      }),
+      'Checkout',
+      'React.ErrorBoundary'
+    );
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Boom' }),
+      expect.any(Object),
+      { name: 'Checkout', retryCount: 0 }
+    );
+  });
+
+  it('renders the children again after reset', () => {
+    render(
+      <ErrorBoundary name="Checkout" fallback={fallback}>
+        <Bomb />
+      </ErrorBoundary>
+    );
+
+    shouldThrow = false;
+    fireEvent.click(screen.getByText('Retry'));
+
+    expect(screen.getByText('Recovered')).toBeInTheDocument();
+  });
+
+  it('stops offering a retry after maxRetries', () => {
+    render(
+      <ErrorBoundary name="Checkout" fallback={fallback} maxRetries={1}>
+        <Bomb />
+      </ErrorBoundary>
+    );
+
+    fireEvent.click(screen.getByText('Retry'));
+
+    expect(screen.getByText('Retries: 1')).toBeInTheDocument();
+    expect(screen.queryByText('Retry')).not.toBeInTheDocument();
+    expect(LDObserve.recordError).toHaveBeenCalledTimes(2);
+    expect(LDObserve.recordError.mock.calls[1][2]['error_boundary.retry_count']).toBe('1');
+  });
+
+  it('resets when resetKeys change', () => {
+    const { rerender } = render(
+      <ErrorBoundary name="Checkout" fallback={fallback} resetKeys={[false]}>
+        <Bomb />
+      </ErrorBoundary>
+    );
+
+    shouldThrow = false;
+    rerender(
+      <ErrorBoundary name="Checkout" fallback={fallback} resetKeys={[true]}>
+        <Bomb />
+      </ErrorBoundary>
+    );
+
+    expect(screen.getByText('Recovered')).toBeInTheDocument();
+  });
+
+  it('resets on navigation', () => {
+    render(
+      <ErrorBoundary name="Checkout" fallback={fallback}>
+        <Bomb />
+      </ErrorBoundary>
+    );
+    expect(screen.getByText('Caught: Boom')).toBeInTheDocument();
+
+    shouldThrow = false;
+    act(() => navigate('/logs'));
+
+    expect(screen.getByText('Recovered')).toBeInTheDocument();
+    navigate('/');
+  });
+
+  it('shows the default fallback without a fallback prop', () => {
+    render(
+      <ErrorBoundary>
+        <Bomb />
+      </ErrorBoundary>
+    );
+
+    expect(screen.getByText('⚠️ Something went wrong')).toBeInTheDocument();
+    expect(LDObserve.recordError.mock.calls[0][3]).toBe('App');
+
+    shouldThrow = false;
+    fireEvent.click(screen.getByText('Reset and Try Again'));
+    expect(screen.getByText('Recovered')).toBeInTheDocument();
+  });
+});
@@ -1,8 +1,18 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { LDObserve } from '@launchdarkly/observability';
+import { subscribeToCapturedErrors } from '../lib/errorCapture';
+import FlagAttributesNote from './FlagAttributesNote';
+
+let nextCaptureId = 1;
 
 function ErrorDemo() {
   const [shouldThrowError, setShouldThrowError] = useState(false);
+  const [captured, setCaptured] = useState([]);
+
+  // Show what the global error capture module did with each error
+  useEffect(() => subscribeToCapturedErrors((event) => {
+    setCaptured(prev => [{ id: nextCaptureId++, ...event }, ...prev].slice(0, 15));
+  }), []);
 
   // This will trigger the Error Boundary
   if (shouldThrowError) {
@@ -45,6 +55,42 @@ function ErrorDemo() {
     setShouldThrowError(true);
   };
 
+  // The handlers below deliberately leave errors unhandled. Error boundaries
+  // don't see any of them; the global error capture module does.
+  const handleUnhandledRejection = () => {
+    Promise.reject(new Error('Unhandled promise rejection for demonstration'));
+  };
+
+  const handleTimeoutError = () => {
+    setTimeout(() => {
+      throw new Error('Error thrown from setTimeout for demonstration');
+    }, 0);
+  };
+
+  const handleEventHandlerError = () => {
+    throw new Error('Error thrown inside an event handler for demonstration');
+  };
+
+  const handleStringThrow = () => {
+    setTimeout(() => {
+      throw 'A plain string was thrown instead of an Error';
+    }, 0);
+  };
+
+  const handleObjectRejection = () => {
+    Promise.reject({ code: 'PAYMENT_DECLINED', retryable: false });
+  };
+
+  const handleRepeatedErrors = () => {
+    // Same error from the same place five times: only the first is recorded
+    // within the dedup window, the rest are counted as suppressed
+    for (let i = 0; i < 5; i++) {
+      setTimeout(() => {
+        throw new Error('Repeated error for deduplication demo');
+      }, i * 100);
+    }
+  };
+
   return (
     <div className="card">
       <h2>🐛 Error Tracking Demo</h2>
@@ -70,6 +116,65 @@ function ErrorDemo() {
         </button>
       </div>
 
+      <h3 style={{ margin: '25px 0 15px', color: '#333' }}>Global Error Capture</h3>
+      <p style={{ fontSize: '14px' }}>
+        These errors escape React entirely. They are captured by the global handlers installed in
+        <code>main.jsx</code>, normalized, deduplicated and sent with the last clicks and logs as breadcrumbs.
+      </p>
+      <div className="button-group">
+        <button onClick={handleUnhandledRejection} style={{ backgroundColor: '#ff9800' }}>
+          Unhandled Rejection
+        </button>
+        <button onClick={handleTimeoutError} style={{ backgroundColor: '#ff9800' }}>
+          Error in setTimeout
+        </button>
+        <button onClick={handleEventHandlerError} style={{ backgroundColor: '#ff9800' }}>
+          Error in Event Handler
+        </button>
+        <button onClick={handleStringThrow} style={{ backgroundColor: '#795548' }}>
+          Throw a String
+        </button>
+        <button onClick={handleObjectRejection} style={{ backgroundColor: '#795548' }}>
+          Reject with Plain Object
+        </button>
+        <button onClick={handleRepeatedErrors} style={{ backgroundColor: '#607d8b' }}>
+          Repeated Error ×5 (dedup)
+        </button>
+      </div>
+
+      {captured.length > 0 && (
+        <div style={{
+          marginTop: '15px',
+          maxHeight: '240px',
+          overflow: 'auto',
+          backgroundColor: '#f8f9fa',
+          borderRadius: '8px',
+          padding: '10px',
+          fontSize: '13px'
+        }}>
+          {captured.map(event => (
+            <div key={event.id} style={{ padding: '6px 0', borderBottom: '1px solid #eee' }}>
+              <span className={`status-badge ${event.suppressed ? 'info' : 'error'}`} style={{ marginTop: 0, marginRight: '8px' }}>
+                {event.suppressed ? 'deduplicated' : 'recorded'}
+              </span>
+              <code>{event.source}</code>{' '}
+              <strong>{event.error.name}</strong>: {event.error.message}
+              {event.breadcrumbs && event.breadcrumbs.length > 0 && (
+                <details style={{ marginTop: '4px', color: '#666' }}>
+                  <summary style={{ cursor: 'pointer' }}>{event.breadcrumbs.length} breadcrumbs</summary>
+                  <ol style={{ marginLeft: '20px', fontSize: '12px' }}>
+                    {event.breadcrumbs.map((crumb, index) => (
+                      <li key={index}>[{crumb.type}] {crumb.message}</li>
+                    ))}
+                  </ol>
+                </details>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      <FlagAttributesNote signal="recorded error" />
+
       <details style={{ marginTop: '20px', fontSize: '14px' }}>
         <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#555', marginBottom: '10px' }}>
           View API Usage & Examples
@@ -118,6 +223,7 @@ function ErrorDemo() {
             <li><strong>Manual Error:</strong> Caught error with custom context and metadata</li>
             <li><strong>Async Error:</strong> Error from asynchronous operations</li>
             <li><strong>Uncaught Error:</strong> Error caught by React Error Boundary</li>
+            <li><strong>Global Capture:</strong> Unhandled rejections, timer and event handler errors, and non-Error throwables, deduplicated by fingerprint with breadcrumbs attached</li>
           </ul>
         </div>
       </details>
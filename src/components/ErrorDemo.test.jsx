@@ -0,0 +1,56 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import ErrorBoundary from './ErrorBoundary';
+import ErrorDemo from './ErrorDemo';
+
+describe('ErrorDemo', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.stubGlobal('alert', vi.fn());
+  });
+
+  it('records a manually caught error', () => {
+    render(<ErrorDemo />);
+    fireEvent.click(screen.getByText('Trigger Manual Error'));
+
+    expect(LDObserve.recordError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Manually caught error for demonstration' }),
+      'Manual error from button click',
+      { component: 'ErrorDemo.jsx' }
+    );
+  });
+
+  it('records an async error once the operation fails', async () => {
+    vi.useFakeTimers();
+    render(<ErrorDemo />);
+    fireEvent.click(screen.getByText('Trigger Async Error'));
+
+    expect(LDObserve.recordError).not.toHaveBeenCalled();
+    await act(() => vi.advanceTimersByTimeAsync(1000));
+
+    expect(LDObserve.recordError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Async operation error for demonstration' }),
+      'Async operation error',
+      { component: 'ErrorDemo.jsx' }
+    );
+  });
+
+  it('throws to the nearest error boundary', () => {
+    render(
+      <ErrorBoundary name="ErrorDemo" fallback={({ error }) => <p>Caught: {error.message}</p>}>
+        <ErrorDemo />
+      </ErrorBoundary>
+    );
+    fireEvent.click(screen.getByText('Trigger Uncaught Error (Error Boundary)'));
+
+    expect(screen.getByText('Caught: This is a deliberate error to test the Error Boundary!')).toBeInTheDocument();
+    expect(LDObserve.recordError).toHaveBeenCalledWith(
+      expect.any(Error),
+      'React Error Boundary',
+      expect.objectContaining({ 'error_boundary.name': 'ErrorDemo' }),
+      'ErrorDemo',
+      'React.ErrorBoundary'
+    );
+  });
+});
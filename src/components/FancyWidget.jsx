@@ -1,7 +1,113 @@
-function FancyWidget() {
+import { useEffect, useRef, useState } from 'react';
+import { LDObserve } from '@launchdarkly/observability';
+import { useLDClient } from 'launchdarkly-react-client-sdk';
+import logger from '../lib/logger';
+import { routeStore } from '../lib/router';
+import useValidatedFlag from '../hooks/useValidatedFlag';
+
+const RELEASE_FLAG = 'releaseFancyWidget';
+
+const widgetLogger = logger.child({ component: 'FancyWidget', 'feature_flag.key': RELEASE_FLAG });
+
+const THEMES = {
+  aurora: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+  ocean: 'linear-gradient(135deg, #2193b0 0%, #6dd5ed 100%)',
+  sunset: 'linear-gradient(135deg, #f12711 0%, #f5af19 100%)',
+};
+
+// Multi-variation flags: a string, a number and a JSON object, each with a
+// schema so a malformed variation falls back to defaults (see lib/flagValues.js)
+const THEME_FLAG = 'fancyWidgetTheme';
+const THEME_SCHEMA = { type: 'string', defaultValue: 'aurora', oneOf: Object.keys(THEMES) };
+
+const REFRESH_FLAG = 'fancyWidgetRefreshInterval';
+const REFRESH_SCHEMA = { type: 'number', defaultValue: 30, min: 5, max: 300, integer: true };
+
+const LAYOUT_FLAG = 'fancyWidgetLayout';
+const LAYOUT_SCHEMA = {
+  type: 'json',
+  defaultValue: { columns: 3, showStats: true, title: 'Fancy Widget' },
+  fields: {
+    columns: { type: 'number', min: 1, max: 4, integer: true },
+    showStats: { type: 'boolean' },
+    title: { type: 'string', maxLength: 40 },
+  },
+};
+
+const tileStyle = {
+  background: 'rgba(255, 255, 255, 0.2)',
+  borderRadius: '6px',
+  padding: '10px',
+  fontSize: '14px'
+};
+
+// Demo crash mode: while `crashMode` is on, every render throws, so each
+// retry from the error fallback fails again and counts against the FlagGuard
+function FancyWidget({ crashMode = false, onCrashModeChange }) {
+  const theme = useValidatedFlag(THEME_FLAG, THEME_SCHEMA);
+  const refresh = useValidatedFlag(REFRESH_FLAG, REFRESH_SCHEMA);
+  const layout = useValidatedFlag(LAYOUT_FLAG, LAYOUT_SCHEMA);
+  const [refreshes, setRefreshes] = useState({ count: 0, lastAt: new Date() });
+  const ldClient = useLDClient();
+  const mount = useRef(null);
+  // The unmount waiting to be recorded
+  const pendingUnmount = useRef(null);
+
+  // The widget mounts when releaseFancyWidget turns on and unmounts when it
+  // turns off, so its mounted time is how long the flag stayed on. It also
+  // unmounts with the flag still on: when the user leaves its page, and when
+  // the FlagGuard or an error fallback replaces it. Those say nothing about
+  // the flag, so the flag value at unmount decides, and they are only logged.
+  // Like users.active in MetricsDemo, the unmount waits a tick so StrictMode's
+  // development remount cancels it.
+  useEffect(() => {
+    if (pendingUnmount.current) {
+      clearTimeout(pendingUnmount.current);
+      pendingUnmount.current = null;
+    } else {
+      mount.current = { at: performance.now(), route: routeStore.get().template };
+      widgetLogger.info('FancyWidget mounted');
+    }
+
+    return () => {
+      pendingUnmount.current = setTimeout(() => {
+        pendingUnmount.current = null;
+        const durationMs = Math.round(performance.now() - mount.current.at);
+        const flagOn = ldClient ? ldClient.variation(RELEASE_FLAG, false) : true;
+        let reason = 'error';
+        if (!flagOn) reason = 'flag_change';
+        else if (routeStore.get().template !== mount.current.route) reason = 'navigation';
+
+        if (reason === 'flag_change') {
+          LDObserve.recordHistogram({
+            name: 'fancy_widget.mounted_duration',
+            value: durationMs,
+            attributes: { 'feature_flag.key': RELEASE_FLAG },
+          });
+        }
+        widgetLogger.info('FancyWidget unmounted', {
+          'fancy_widget.mounted_duration_ms': durationMs,
+          'fancy_widget.unmount_reason': reason,
+        });
+      }, 0);
+    };
+  }, []);
+
+  // Stand-in for polling fresh data, at the flag-controlled interval
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setRefreshes(prev => ({ count: prev.count + 1, lastAt: new Date() }));
+    }, refresh.value * 1000);
+    return () => clearInterval(timer);
+  }, [refresh.value]);
+
+  if (crashMode) {
+    throw new Error('FancyWidget crashed (demo crash mode)');
+  }
+
   return (
     <div className="card" style={{
-      background: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+      background: THEMES[theme.value],
       color: 'white',
       borderLeft: 'none',
       padding: '25px'
@@ -17,7 +123,7 @@ function FancyWidget() {
           fontSize: '24px', 
           margin: 0
         }}>
-          Fancy Widget
+          {layout.value.title}
         </h3>
       </div>
       
@@ -45,6 +151,41 @@ function FancyWidget() {
       }}>
         Toggle the flag in your LaunchDarkly dashboard to make this component appear or disappear!
       </p>
+
+      {layout.value.showStats && (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: `repeat(${layout.value.columns}, 1fr)`,
+          gap: '10px',
+          marginTop: '15px'
+        }}>
+          <div style={tileStyle}><strong>Theme</strong><br />{theme.value}</div>
+          <div style={tileStyle}><strong>Refresh interval</strong><br />{refresh.value}s</div>
+          <div style={tileStyle}><strong>Refreshes</strong><br />{refreshes.count}</div>
+          <div style={tileStyle}><strong>Last refresh</strong><br />{refreshes.lastAt.toLocaleTimeString()}</div>
+        </div>
+      )}
+
+      {[[THEME_FLAG, theme], [REFRESH_FLAG, refresh], [LAYOUT_FLAG, layout]]
+        .filter(([, flag]) => flag.issues.length > 0)
+        .map(([key, flag]) => (
+          <p key={key} style={{ fontSize: '13px', margin: '10px 0 0', color: 'rgba(255, 255, 255, 0.95)' }}>
+            ⚠️ <code>{key}</code> is invalid ({flag.issues.join('; ')}), using defaults.
+          </p>
+        ))}
+
+      {onCrashModeChange && (
+        <button
+          onClick={() => onCrashModeChange(true)}
+          style={{
+            marginTop: '15px',
+            backgroundColor: 'rgba(255, 255, 255, 0.2)',
+            border: '1px solid rgba(255, 255, 255, 0.6)'
+          }}
+        >
+          💥 Make it crash
+        </button>
+      )}
     </div>
   );
 }
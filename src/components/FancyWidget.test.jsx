@@ -0,0 +1,77 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, act } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import { setMockFlags } from 'launchdarkly-react-client-sdk';
+import FancyWidget from './FancyWidget';
+
+function logCalls(message) {
+  return LDObserve.recordLog.mock.calls.filter(([logMessage]) => logMessage === message);
+}
+
+describe('FancyWidget', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  it('renders the theme, refresh interval and layout flags', () => {
+    vi.useFakeTimers();
+    setMockFlags({
+      fancyWidgetTheme: 'ocean',
+      fancyWidgetRefreshInterval: 10,
+      fancyWidgetLayout: { columns: 2, showStats: true, title: 'Ocean Widget' },
+    });
+    render(<FancyWidget />);
+
+    expect(screen.getByText('Ocean Widget')).toBeInTheDocument();
+    expect(screen.getByText('ocean')).toBeInTheDocument();
+    expect(screen.getByText('10s')).toBeInTheDocument();
+
+    act(() => vi.advanceTimersByTime(20000));
+    expect(screen.getByText('2')).toBeInTheDocument();
+  });
+
+  it('falls back to defaults for invalid variations', () => {
+    setMockFlags({
+      fancyWidgetTheme: 'neon',
+      fancyWidgetRefreshInterval: 1,
+      fancyWidgetLayout: '{ columns: 2',
+    });
+    render(<FancyWidget />);
+
+    expect(screen.getByText('Fancy Widget')).toBeInTheDocument();
+    expect(screen.getByText('aurora')).toBeInTheDocument();
+    expect(screen.getByText('30s')).toBeInTheDocument();
+    expect(screen.getByText(/"neon" is not one of aurora, ocean, sunset/)).toBeInTheDocument();
+    expect(screen.getByText(/malformed JSON/)).toBeInTheDocument();
+  });
+
+  it('keeps valid JSON fields and replaces invalid ones', () => {
+    setMockFlags({ fancyWidgetLayout: { columns: 9, showStats: true, title: 'Custom title' } });
+    render(<FancyWidget />);
+
+    expect(screen.getByText('Custom title')).toBeInTheDocument();
+    expect(screen.getByText(/columns: 9 is above the maximum of 4/)).toBeInTheDocument();
+  });
+
+  it('logs each flag value with its evaluation reason', () => {
+    setMockFlags({ fancyWidgetTheme: 'neon' });
+    render(<FancyWidget />);
+
+    expect(logCalls('Feature flag "fancyWidgetTheme" evaluated')[0][2]).toMatchObject({
+      'feature_flag.key': 'fancyWidgetTheme',
+      'feature_flag.value': 'neon',
+      'feature_flag.reason': 'FALLTHROUGH',
+    });
+    expect(logCalls('Feature flag "fancyWidgetRefreshInterval" evaluated')[0][2]).toMatchObject({
+      'feature_flag.value': 30,
+      'feature_flag.reason': 'ERROR (FLAG_NOT_FOUND)',
+    });
+    expect(logCalls('Feature flag "fancyWidgetTheme" failed validation; using defaults')[0][1]).toBe('warn');
+  });
+
+  it('throws while crash mode is on', () => {
+    expect(() => render(<FancyWidget crashMode />)).toThrow('FancyWidget crashed (demo crash mode)');
+  });
+});
@@ -0,0 +1,180 @@
+import { useState } from 'react';
+import { useLDClient } from 'launchdarkly-react-client-sdk';
+import { feedbackStore, SEVERITIES, openFeedback, closeFeedback, collectDebugInfo, submitFeedback } from '../lib/feedback';
+import useStore from '../hooks/useStore';
+
+const fieldLabelStyle = { display: 'block', fontSize: '14px', fontWeight: 600, color: '#333', marginBottom: '6px' };
+
+// Mounted only while the form is open, so the debug info is collected when
+// the user opens it and the same bundle is submitted and copied
+function FeedbackForm({ source }) {
+  const ldClient = useLDClient();
+  const [debugInfo] = useState(() => collectDebugInfo(ldClient));
+  const [report, setReport] = useState({ description: '', steps: '', severity: 'medium' });
+  const [submitted, setSubmitted] = useState(false);
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  const handleFieldChange = (event) => {
+    const { name, value } = event.target;
+    setReport(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    submitFeedback({ ...report, description: report.description.trim(), steps: report.steps.trim() }, debugInfo, source);
+    setSubmitted(true);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(JSON.stringify(debugInfo, null, 2));
+      setCopyStatus('✓ Debug info copied');
+    } catch (error) {
+      setCopyStatus(`✗ Couldn't copy: ${error.message}. Copy it from the preview below instead.`);
+    }
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-label="Report a problem"
+      style={{
+        position: 'fixed',
+        bottom: '20px',
+        right: '20px',
+        width: 'min(480px, calc(100% - 40px))',
+        maxHeight: 'calc(100vh - 40px)',
+        overflow: 'auto',
+        zIndex: 1002,
+        backgroundColor: 'white',
+        borderRadius: '12px',
+        padding: '20px',
+        boxShadow: '0 12px 32px rgba(0, 0, 0, 0.3)',
+        borderTop: '4px solid #667eea'
+      }}
+    >
+      <h3 style={{ color: '#333', marginBottom: '8px' }}>💬 Report a problem</h3>
+
+      {submitted ? (
+        <>
+          <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+            ✓ Thanks! Your report was sent with your session
+            {debugInfo.sessionId ? <> (<code>{debugInfo.sessionId}</code>)</> : ''} so we can look into it.
+          </p>
+          <button onClick={closeFeedback}>Close</button>
+        </>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+            Tell us what went wrong. Your session, the last error and your feature flags are
+            attached so support can jump straight to the replay.
+          </p>
+
+          <div style={{ marginBottom: '12px' }}>
+            <label htmlFor="feedback-description" style={fieldLabelStyle}>What happened?</label>
+            <textarea
+              id="feedback-description"
+              name="description"
+              rows={3}
+              required
+              value={report.description}
+              onChange={handleFieldChange}
+              data-redact="block"
+            />
+          </div>
+
+          <div style={{ marginBottom: '12px' }}>
+            <label htmlFor="feedback-steps" style={fieldLabelStyle}>Steps to reproduce (optional)</label>
+            <textarea
+              id="feedback-steps"
+              name="steps"
+              rows={3}
+              value={report.steps}
+              onChange={handleFieldChange}
+              data-redact="block"
+            />
+          </div>
+
+          <div style={{ marginBottom: '15px' }}>
+            <label htmlFor="feedback-severity" style={fieldLabelStyle}>Severity</label>
+            <select id="feedback-severity" name="severity" value={report.severity} onChange={handleFieldChange}>
+              {SEVERITIES.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className="button-group">
+            <button type="submit" disabled={!report.description.trim()}>
+              Send Report
+            </button>
+            <button type="button" onClick={handleCopy} style={{ backgroundColor: '#9e9e9e' }}>
+              Copy debug info
+            </button>
+            <button
+              type="button"
+              onClick={closeFeedback}
+              style={{ backgroundColor: 'transparent', color: '#666', boxShadow: 'none' }}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      {copyStatus && (
+        <p style={{ fontSize: '13px', color: copyStatus.startsWith('✓') ? '#4caf50' : '#f44336', marginTop: '10px' }}>
+          {copyStatus}
+        </p>
+      )}
+
+      <details style={{ marginTop: '15px', fontSize: '13px' }}>
+        <summary style={{ cursor: 'pointer', color: '#666' }}>Debug info</summary>
+        <pre
+          data-redact="mask"
+          style={{
+            marginTop: '8px',
+            padding: '10px',
+            backgroundColor: '#f8f9fa',
+            borderRadius: '4px',
+            fontSize: '12px',
+            whiteSpace: 'pre-wrap',
+            wordBreak: 'break-word'
+          }}
+        >
+          {JSON.stringify(debugInfo, null, 2)}
+        </pre>
+      </details>
+    </div>
+  );
+}
+
+// Floating "Report a problem" button and the feedback form. Rendered outside
+// the app's error boundary so it still works when the whole app has crashed.
+function FeedbackWidget() {
+  const { isOpen, source } = useStore(feedbackStore);
+
+  if (isOpen) {
+    return <FeedbackForm source={source} />;
+  }
+
+  return (
+    <button
+      onClick={() => openFeedback('button')}
+      style={{
+        position: 'fixed',
+        // Above the Telemetry Inspector button in development
+        bottom: import.meta.env.DEV ? '70px' : '20px',
+        right: '20px',
+        zIndex: 1000,
+        padding: '8px 16px',
+        fontSize: '14px',
+        backgroundColor: '#333'
+      }}
+    >
+      💬 Report a problem
+    </button>
+  );
+}
+
+export default FeedbackWidget;
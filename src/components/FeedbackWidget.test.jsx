@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import FeedbackWidget from './FeedbackWidget';
+import ErrorBoundary from './ErrorBoundary';
+import SectionErrorFallback from './SectionErrorFallback';
+import { closeFeedback } from '../lib/feedback';
+
+function Bomb() {
+  throw new Error('Boom');
+}
+
+describe('FeedbackWidget', () => {
+  afterEach(() => {
+    act(() => closeFeedback());
+    delete navigator.clipboard;
+  });
+
+  it('records a report from the floating button', () => {
+    render(<FeedbackWidget />);
+
+    fireEvent.click(screen.getByText('💬 Report a problem'));
+    expect(screen.getByText('Send Report')).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('What happened?'), { target: { value: ' The chart is empty ' } });
+    fireEvent.change(screen.getByLabelText('Severity'), { target: { value: 'low' } });
+    fireEvent.click(screen.getByText('Send Report'));
+
+    expect(LDObserve.recordLog).toHaveBeenCalledWith('User reported a problem', 'info', expect.objectContaining({
+      'feedback.description': 'The chart is empty',
+      'feedback.steps': '',
+      'feedback.severity': 'low',
+      'feedback.source': 'button',
+      'session.id': 'test-session',
+      'ld.context.user.key': 'test-user',
+    }));
+    expect(screen.getByText(/Thanks! Your report was sent/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByText('Close'));
+    expect(screen.getByText('💬 Report a problem')).toBeInTheDocument();
+  });
+
+  it('copies the debug info as JSON', async () => {
+    const writeText = vi.fn(async () => {});
+    Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+    render(<FeedbackWidget />);
+
+    fireEvent.click(screen.getByText('💬 Report a problem'));
+    fireEvent.click(screen.getByText('Copy debug info'));
+
+    await waitFor(() => expect(screen.getByText('✓ Debug info copied')).toBeInTheDocument());
+    expect(JSON.parse(writeText.mock.calls[0][0])).toMatchObject({
+      sessionId: 'test-session',
+      route: '/',
+      context: { 'ld.context.user.key': 'test-user' },
+    });
+  });
+
+  it('opens from an error boundary fallback', () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    render(
+      <>
+        <ErrorBoundary name="Checkout" fallback={props => <SectionErrorFallback {...props} />}>
+          <Bomb />
+        </ErrorBoundary>
+        <FeedbackWidget />
+      </>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Report a problem' }));
+    fireEvent.change(screen.getByLabelText('What happened?'), { target: { value: 'Checkout crashed' } });
+    fireEvent.click(screen.getByText('Send Report'));
+
+    expect(LDObserve.recordLog).toHaveBeenCalledWith('User reported a problem', 'warn', expect.objectContaining({
+      'feedback.source': 'error_boundary:Checkout',
+      'feedback.severity': 'medium',
+    }));
+  });
+});
@@ -0,0 +1,22 @@
+import { flagAttributesStore, getFlagAllowList } from '../lib/flagEnrichment';
+import useStore from '../hooks/useStore';
+
+// Shows which flag attributes lib/flagEnrichment.js adds to the telemetry a demo sends
+function FlagAttributesNote({ signal }) {
+  const attributes = Object.entries(useStore(flagAttributesStore));
+  const allowList = getFlagAllowList();
+
+  return (
+    <p style={{ fontSize: '13px', color: '#666', marginTop: '15px' }}>
+      🏷️ Each {signal} also carries the served flag variations
+      {allowList ? ` (allow-list: ${allowList.join(', ')})` : ''}:{' '}
+      {attributes.length > 0
+        ? attributes.map(([key, value]) => (
+          <code key={key} style={{ marginRight: '6px', wordBreak: 'break-all' }}>{key}={String(value)}</code>
+        ))
+        : <em>no flags evaluated yet</em>}
+    </p>
+  );
+}
+
+export default FlagAttributesNote;
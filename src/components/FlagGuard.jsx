@@ -0,0 +1,62 @@
+import { useState } from 'react';
+import ErrorBoundary from './ErrorBoundary';
+import SectionErrorFallback from './SectionErrorFallback';
+import useStore from '../hooks/useStore';
+import {
+  trippedGuardsStore,
+  isGuardTripped,
+  recordGuardError,
+  resetFlagGuard,
+} from '../lib/flagGuard';
+
+/**
+ * Guarded rollout for flag-controlled UI. Errors thrown by the children are
+ * counted against the current flag variation; once `threshold` errors land
+ * within `windowMs`, the guard trips and `control` is rendered instead for
+ * the rest of the session, regardless of what the flag serves.
+ *
+ * Props:
+ * - flagKey: the flag controlling the children
+ * - variation: the variation currently served (errors are counted per variation)
+ * - threshold: errors within the window that trip the guard (default 3)
+ * - windowMs: length of the counting window (default 60000)
+ * - control: render prop ({ flagKey, variation, reset }) for the control experience
+ * - name: boundary name used in recorded errors (default flagKey)
+ */
+function FlagGuard({ flagKey, variation, threshold = 3, windowMs = 60000, control, name = flagKey, children }) {
+  useStore(trippedGuardsStore);
+  const [errorCount, setErrorCount] = useState(0);
+
+  if (isGuardTripped(flagKey, variation)) {
+    const reset = () => {
+      setErrorCount(0);
+      resetFlagGuard(flagKey);
+    };
+    return control ? control({ flagKey, variation, reset }) : null;
+  }
+
+  const handleError = (error) => {
+    const { count } = recordGuardError(flagKey, variation, { threshold, windowMs }, error);
+    setErrorCount(count);
+  };
+
+  return (
+    <ErrorBoundary
+      name={name}
+      resetKeys={[variation]}
+      onError={handleError}
+      fallback={(props) => (
+        <SectionErrorFallback
+          {...props}
+          note={`Flag guard: ${errorCount} of ${threshold} errors for ${flagKey}=${JSON.stringify(variation)} ` +
+            `in the last ${Math.round(windowMs / 1000)}s. At ${threshold}, the control experience is shown ` +
+            'for the rest of the session.'}
+        />
+      )}
+    >
+      {children}
+    </ErrorBoundary>
+  );
+}
+
+export default FlagGuard;
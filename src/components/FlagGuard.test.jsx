@@ -0,0 +1,95 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import FlagGuard from './FlagGuard';
+import { resetFlagGuard } from '../lib/flagGuard';
+
+function Bomb() {
+  throw new Error('Boom');
+}
+
+function renderGuard(props = {}) {
+  return render(
+    <FlagGuard
+      flagKey="releaseFancyWidget"
+      variation={true}
+      threshold={2}
+      windowMs={60000}
+      control={({ reset }) => <button onClick={reset}>Control experience</button>}
+      {...props}
+    >
+      <Bomb />
+    </FlagGuard>
+  );
+}
+
+function guardTrippedCalls() {
+  return LDObserve.recordError.mock.calls.filter(([, message]) => message === 'Flag guard tripped');
+}
+
+describe('FlagGuard', () => {
+  beforeEach(() => {
+    resetFlagGuard();
+    sessionStorage.clear();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  it('shows the control experience once the threshold is reached and records the trip', () => {
+    renderGuard();
+
+    expect(screen.getByText(/1 of 2 errors/)).toBeInTheDocument();
+    expect(guardTrippedCalls()).toHaveLength(0);
+
+    fireEvent.click(screen.getByText('Retry'));
+
+    expect(screen.getByText('Control experience')).toBeInTheDocument();
+    expect(guardTrippedCalls()).toHaveLength(1);
+    expect(guardTrippedCalls()[0]).toEqual([
+      expect.objectContaining({ message: 'Flag guard tripped for releaseFancyWidget (variation true)' }),
+      'Flag guard tripped',
+      expect.objectContaining({
+        'feature_flag.key': 'releaseFancyWidget',
+        'feature_flag.variation': 'true',
+        'flag_guard.error_count': '2',
+        'flag_guard.last_error': 'Error: Boom',
+      }),
+      'FlagGuard',
+      'FlagGuard.tripped',
+    ]);
+  });
+
+  it('keeps the guard tripped for the session but only for that variation', () => {
+    const { unmount } = renderGuard();
+    fireEvent.click(screen.getByText('Retry'));
+    unmount();
+
+    expect(JSON.parse(sessionStorage.getItem('ld-demo.flagGuard.tripped'))).toEqual({ releaseFancyWidget: ['true'] });
+
+    const remounted = renderGuard();
+    expect(screen.getByText('Control experience')).toBeInTheDocument();
+    remounted.unmount();
+
+    renderGuard({ variation: 'treatment-b' });
+    expect(screen.getByText(/1 of 2 errors/)).toBeInTheDocument();
+  });
+
+  it('only counts errors inside the time window', () => {
+    const now = vi.spyOn(Date, 'now').mockReturnValue(0);
+    renderGuard();
+
+    now.mockReturnValue(60000);
+    fireEvent.click(screen.getByText('Retry'));
+
+    expect(screen.getByText(/1 of 2 errors/)).toBeInTheDocument();
+    expect(guardTrippedCalls()).toHaveLength(0);
+  });
+
+  it('re-enables the children when the control experience resets the guard', () => {
+    renderGuard();
+    fireEvent.click(screen.getByText('Retry'));
+    fireEvent.click(screen.getByText('Control experience'));
+
+    expect(screen.getByText(/1 of 2 errors/)).toBeInTheDocument();
+    expect(sessionStorage.getItem('ld-demo.flagGuard.tripped')).toBe('{}');
+  });
+});
@@ -0,0 +1,49 @@
+import useStore from '../hooks/useStore';
+import { flagSourceStore } from '../lib/flagBootstrap';
+
+const SOURCES = {
+  live: { label: '🟢 Live flags', background: '#e8f5e9', color: '#2e7d32' },
+  cached: { label: '🟡 Cached flags', background: '#fff8e1', color: '#8d6e00' },
+  default: { label: '⚪ Default flags', background: '#f5f5f5', color: '#555' },
+};
+
+// Where the flags on screen came from (see lib/flagBootstrap.js)
+function FlagSourceIndicator() {
+  const { source, cachedAt, degraded, initError, clientFailed, failureReportedAt } = useStore(flagSourceStore);
+  const style = SOURCES[source];
+
+  let detail = 'Streaming from LaunchDarkly.';
+  if (source === 'cached') {
+    detail = `Last saved ${cachedAt ? new Date(cachedAt).toLocaleString() : 'on a previous visit'}.`;
+  } else if (source === 'default') {
+    detail = 'Bundled defaults from src/flagDefaults.json.';
+  }
+
+  return (
+    <div
+      role="status"
+      style={{
+        display: 'inline-block',
+        marginTop: '15px',
+        padding: '8px 16px',
+        borderRadius: '20px',
+        backgroundColor: style.background,
+        color: style.color,
+        fontSize: '14px'
+      }}
+    >
+      <strong>{style.label}</strong> · {detail}
+      {degraded && (
+        <span>
+          {' '}Degraded mode: {initError}.{' '}
+          {clientFailed ? 'Reload the page to try again.' : 'The failure is reported once LaunchDarkly is reachable.'}
+        </span>
+      )}
+      {source === 'live' && failureReportedAt && (
+        <span> Recovered; the earlier initialization failure was reported.</span>
+      )}
+    </div>
+  );
+}
+
+export default FlagSourceIndicator;
@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { useLDClient } from 'launchdarkly-react-client-sdk';
+import { loadProfile, signIn, signOut, contextAttributes } from '../lib/ldContext';
+
+const EMPTY_PROFILE = { name: '', email: '', organization: '', includeDevice: false };
+
+function IdentityPanel() {
+  const ldClient = useLDClient();
+  const [profile, setProfile] = useState(loadProfile() || EMPTY_PROFILE);
+  const [context, setContext] = useState(() => ldClient?.getContext());
+  const [status, setStatus] = useState(null);
+  const [pending, setPending] = useState(false);
+
+  const isSignedIn = context && !(context.kind === 'user' && context.anonymous);
+
+  const handleFieldChange = (event) => {
+    const { name, type, value, checked } = event.target;
+    setProfile(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const runIdentify = async (identifyCall, successMessage) => {
+    setPending(true);
+    setStatus(null);
+    try {
+      const nextContext = await identifyCall();
+      setContext(nextContext);
+      setStatus(`✓ ${successMessage}`);
+    } catch (error) {
+      console.error('Identify failed:', error);
+      setStatus(`✗ Identify failed: ${error.message}`);
+    } finally {
+      setPending(false);
+    }
+  };
+
+  const handleSignIn = (event) => {
+    event.preventDefault();
+    if (!profile.name.trim() || !profile.email.trim()) {
+      setStatus('✗ Name and email are required');
+      return;
+    }
+    runIdentify(() => signIn(ldClient, profile), `Signed in as ${profile.email}`);
+  };
+
+  const handleSignOut = () => {
+    setProfile(EMPTY_PROFILE);
+    runIdentify(() => signOut(ldClient), 'Signed out, now using an anonymous context');
+  };
+
+  return (
+    <div className="card">
+      <h2>👤 Context & Identity</h2>
+      <p>
+        Sign in to identify a user, optionally as a multi-context with an organization and this
+        device. Keys are stable across reloads, and signing out returns to a persistent anonymous
+        context. Every identify call is recorded as a log and an <code>ld.identify</code> span.
+      </p>
+
+      <form
+        onSubmit={handleSignIn}
+        style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '12px' }}
+      >
+        <input name="name" placeholder="Name *" value={profile.name} onChange={handleFieldChange} />
+        <input name="email" type="email" placeholder="Email *" value={profile.email} onChange={handleFieldChange}
+          data-redact="block" />
+        <input name="organization" placeholder="Organization (optional)" value={profile.organization}
+          onChange={handleFieldChange} />
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333' }}>
+          <input name="includeDevice" type="checkbox" checked={profile.includeDevice}
+            onChange={handleFieldChange} style={{ width: 'auto' }} />
+          Include device context
+        </label>
+
+        <div className="button-group" style={{ gridColumn: '1 / -1' }}>
+          <button type="submit" disabled={pending || !ldClient}>
+            {isSignedIn ? 'Update Identity' : 'Sign In'}
+          </button>
+          {isSignedIn && (
+            <button type="button" onClick={handleSignOut} disabled={pending}
+              style={{ backgroundColor: '#9e9e9e' }}>
+              Sign Out
+            </button>
+          )}
+        </div>
+      </form>
+
+      {status && (
+        <div className={`status-badge ${status.startsWith('✓') ? 'success' : 'error'}`} data-redact="mask">{status}</div>
+      )}
+
+      {context && (
+        <div style={{ marginTop: '20px', display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '15px' }}>
+          <div>
+            <strong style={{ color: '#333' }}>Current context</strong>
+            <pre data-redact="mask" style={{
+              marginTop: '8px',
+              padding: '12px',
+              backgroundColor: '#f8f9fa',
+              borderRadius: '4px',
+              border: '1px solid #ddd',
+              overflow: 'auto',
+              fontSize: '12px'
+            }}>
+              {JSON.stringify(context, null, 2)}
+            </pre>
+          </div>
+          <div>
+            <strong style={{ color: '#333' }}>Attributes sent with identify telemetry</strong>
+            <pre style={{
+              marginTop: '8px',
+              padding: '12px',
+              backgroundColor: '#f8f9fa',
+              borderRadius: '4px',
+              border: '1px solid #ddd',
+              overflow: 'auto',
+              fontSize: '12px'
+            }}>
+              {JSON.stringify(contextAttributes(context), null, 2)}
+            </pre>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default IdentityPanel;
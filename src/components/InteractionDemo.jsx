@@ -0,0 +1,428 @@
+import { useState } from 'react';
+import { LDObserve } from '@launchdarkly/observability';
+import { SpanStatusCode } from '../lib/tracing';
+
+const PLANS = ['starter', 'team', 'enterprise'];
+
+const EMPTY_FORM = {
+  name: '',
+  email: '',
+  company: '',
+  teamSize: '',
+  plan: 'team',
+  message: '',
+  acceptTerms: false,
+};
+
+function validateForm(form) {
+  const errors = {};
+  if (form.name.trim().length < 2) {
+    errors.name = 'Name must be at least 2 characters';
+  }
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.email)) {
+    errors.email = 'Enter a valid email address';
+  }
+  const teamSize = Number(form.teamSize);
+  if (!Number.isInteger(teamSize) || teamSize < 1 || teamSize > 10000) {
+    errors.teamSize = 'Team size must be a whole number between 1 and 10000';
+  }
+  if (!PLANS.includes(form.plan)) {
+    errors.plan = 'Choose a plan';
+  }
+  if (!form.acceptTerms) {
+    errors.acceptTerms = 'You must accept the terms';
+  }
+  return errors;
+}
+
+function serializeForm(form) {
+  return {
+    name: form.name.trim(),
+    email: form.email.trim().toLowerCase(),
+    company: form.company.trim() || null,
+    teamSize: Number(form.teamSize),
+    plan: form.plan,
+    message: form.message.trim(),
+  };
+}
+
+class ValidationError extends Error {
+  constructor(fields) {
+    super(`Form validation failed: ${Object.keys(fields).join(', ')}`);
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+function InteractionDemo() {
+  const [clickCount, setClickCount] = useState(0);
+  const [theme, setTheme] = useState('light');
+  const [notificationsEnabled, setNotificationsEnabled] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [submitResult, setSubmitResult] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleClick = () => {
+    const nextCount = clickCount + 1;
+    setClickCount(nextCount);
+    LDObserve.recordLog('Counter button clicked', 'info', {
+      component: 'InteractionDemo.jsx',
+      'click.count': nextCount,
+    });
+  };
+
+  const handleThemeChange = (event) => {
+    LDObserve.recordLog('Theme dropdown changed', 'info', {
+      component: 'InteractionDemo.jsx',
+      'theme.previous': theme,
+      'theme.selected': event.target.value,
+    });
+    setTheme(event.target.value);
+  };
+
+  const handleToggle = () => {
+    const enabled = !notificationsEnabled;
+    setNotificationsEnabled(enabled);
+    LDObserve.recordLog(`Notifications ${enabled ? 'enabled' : 'disabled'}`, 'info', {
+      component: 'InteractionDemo.jsx',
+      'notifications.enabled': enabled,
+    });
+  };
+
+  const handleFieldChange = (event) => {
+    const { name, type, value, checked } = event.target;
+    setForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setFieldErrors(prev => ({ ...prev, [name]: undefined }));
+  };
+
+  // Child span for the validate step. Records the failure on both the
+  // child and the parent span so either one explains why the submit failed.
+  // The error is returned rather than thrown: startSpan only ends the span
+  // when its callback returns normally.
+  const runValidateStep = (parentSpan, mode) => {
+    const error = LDObserve.startSpan('form.validate', (span) => {
+      const errors = validateForm(form);
+      const invalidFields = Object.keys(errors);
+      span.setAttribute('form.invalid_field_count', invalidFields.length);
+
+      if (invalidFields.length > 0) {
+        const error = new ValidationError(errors);
+        span.setAttribute('form.invalid_fields', invalidFields.join(','));
+        span.recordException(error);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        parentSpan.recordException(error);
+
+        LDObserve.recordLog('Form validation failed', 'warn', {
+          component: 'InteractionDemo.jsx',
+          'form.name': 'demo_request',
+          'form.submit_mode': mode,
+          'form.invalid_fields': invalidFields.join(','),
+        });
+        return error;
+      }
+
+      span.setStatus({ code: SpanStatusCode.OK });
+      return null;
+    });
+
+    if (error) throw error;
+  };
+
+  const runSerializeStep = () => (
+    LDObserve.startSpan('form.serialize', (span) => {
+      const payload = serializeForm(form);
+      const body = JSON.stringify(payload);
+      span.setAttribute('form.payload_bytes', body.length);
+      span.setStatus({ code: SpanStatusCode.OK });
+      return body;
+    })
+  );
+
+  const finishSubmit = (mode, error, detail) => {
+    if (error) {
+      setFieldErrors(error.fields || {});
+      setSubmitResult(`✗ ${mode} submit failed: ${error.message}`);
+    } else {
+      setFieldErrors({});
+      setForm(EMPTY_FORM);
+      setSubmitResult(`✓ ${mode} submit succeeded: ${detail}`);
+    }
+  };
+
+  // Synchronous submit: the whole operation happens inside one startSpan
+  // callback, so every child span nests under the parent automatically.
+  const handleSyncSubmit = () => {
+    LDObserve.startSpan('form.submit.sync', (span) => {
+      span.setAttribute('form.name', 'demo_request');
+      span.setAttribute('form.submit_mode', 'sync');
+
+      try {
+        runValidateStep(span, 'sync');
+        const body = runSerializeStep();
+
+        LDObserve.startSpan('form.submit', (child) => {
+          // Persist locally instead of calling the network
+          localStorage.setItem('interactionDemo.lastDraft', body);
+          child.setAttribute('form.destination', 'localStorage');
+          child.setStatus({ code: SpanStatusCode.OK });
+        });
+
+        span.setStatus({ code: SpanStatusCode.OK });
+        finishSubmit('Sync', null, 'saved to localStorage');
+      } catch (error) {
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        finishSubmit('Sync', error);
+      }
+    });
+  };
+
+  // Asynchronous submit: the parent is a manual span that stays open until
+  // the network request settles. Child spans are started before the first
+  // await so they are created while the parent is still the active span.
+  const handleAsyncSubmit = () => {
+    setSubmitting(true);
+    LDObserve.startManualSpan('form.submit.async', async (span) => {
+      span.setAttribute('form.name', 'demo_request');
+      span.setAttribute('form.submit_mode', 'async');
+
+      try {
+        runValidateStep(span, 'async');
+        const body = runSerializeStep();
+
+        const result = await LDObserve.startSpan('form.submit', async (child) => {
+          child.setAttribute('http.method', 'POST');
+          child.setAttribute('http.url', '/api/demo-requests');
+          const response = await fetch('/api/demo-requests?delay=500', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+          });
+          child.setAttribute('http.status_code', response.status);
+          const payload = await response.json();
+          if (!response.ok) {
+            const error = new Error(payload.error || `Request failed with ${response.status}`);
+            child.recordException(error);
+            child.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+            throw error;
+          }
+          child.setStatus({ code: SpanStatusCode.OK });
+          return payload.data;
+        });
+
+        span.setAttribute('form.request_id', result.id);
+        span.setStatus({ code: SpanStatusCode.OK });
+        finishSubmit('Async', null, `request ${result.id} created`);
+      } catch (error) {
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+        finishSubmit('Async', error);
+      } finally {
+        span.end();
+        setSubmitting(false);
+      }
+    });
+  };
+
+  const inputStyle = (field) => ({
+    borderColor: fieldErrors[field] ? '#f44336' : undefined,
+  });
+
+  const renderError = (field) => fieldErrors[field] && (
+    <div style={{ color: '#f44336', fontSize: '12px', marginTop: '4px' }}>{fieldErrors[field]}</div>
+  );
+
+  return (
+    <div className="card">
+      <h2>🖱️ Interaction & Tracing Demo</h2>
+      <p>
+        Interact with common UI controls and submit a form. Every interaction is logged, and each
+        form submission produces a parent span with child spans for its steps so you can compare
+        the session replay against the traces.
+      </p>
+
+      <div style={{ marginTop: '20px' }}>
+        <h3 style={{ marginBottom: '15px', color: '#333' }}>UI Controls</h3>
+        <div className="button-group" style={{ alignItems: 'center' }}>
+          <button onClick={handleClick}>
+            Clicked {clickCount} {clickCount === 1 ? 'time' : 'times'}
+          </button>
+
+          <select value={theme} onChange={handleThemeChange} style={{ width: 'auto' }}>
+            <option value="light">Light theme</option>
+            <option value="dark">Dark theme</option>
+            <option value="high-contrast">High contrast</option>
+          </select>
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', cursor: 'pointer', color: '#333' }}>
+            <span
+              role="switch"
+              aria-checked={notificationsEnabled}
+              onClick={handleToggle}
+              style={{
+                width: '44px',
+                height: '24px',
+                borderRadius: '12px',
+                backgroundColor: notificationsEnabled ? '#4caf50' : '#ccc',
+                position: 'relative',
+                transition: 'background-color 0.2s ease'
+              }}
+            >
+              <span style={{
+                position: 'absolute',
+                top: '2px',
+                left: notificationsEnabled ? '22px' : '2px',
+                width: '20px',
+                height: '20px',
+                borderRadius: '50%',
+                backgroundColor: 'white',
+                transition: 'left 0.2s ease'
+              }} />
+            </span>
+            Notifications {notificationsEnabled ? 'on' : 'off'}
+          </label>
+        </div>
+      </div>
+
+      <div style={{ marginTop: '25px' }}>
+        <h3 style={{ marginBottom: '15px', color: '#333' }}>Request a Demo</h3>
+        <form
+          onSubmit={(event) => event.preventDefault()}
+          noValidate
+          style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: '12px' }}
+        >
+          <div>
+            <input name="name" placeholder="Full name *" value={form.name}
+              onChange={handleFieldChange} style={inputStyle('name')} />
+            {renderError('name')}
+          </div>
+          <div>
+            <input name="email" type="email" placeholder="Work email *" value={form.email}
+              onChange={handleFieldChange} style={inputStyle('email')} data-redact="block" />
+            {renderError('email')}
+          </div>
+          <div>
+            <input name="company" placeholder="Company" value={form.company}
+              onChange={handleFieldChange} />
+          </div>
+          <div>
+            <input name="teamSize" type="number" min="1" placeholder="Team size *" value={form.teamSize}
+              onChange={handleFieldChange} style={inputStyle('teamSize')} />
+            {renderError('teamSize')}
+          </div>
+          <div>
+            <select name="plan" value={form.plan} onChange={handleFieldChange} style={inputStyle('plan')}>
+              {PLANS.map(plan => <option key={plan} value={plan}>{plan}</option>)}
+            </select>
+            {renderError('plan')}
+          </div>
+          <div style={{ gridColumn: '1 / -1' }}>
+            <textarea name="message" rows="3" placeholder="What would you like to see?" value={form.message}
+              onChange={handleFieldChange} />
+          </div>
+          <div style={{ gridColumn: '1 / -1' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333' }}>
+              <input name="acceptTerms" type="checkbox" checked={form.acceptTerms}
+                onChange={handleFieldChange} style={{ width: 'auto' }} />
+              I accept the terms *
+            </label>
+            {renderError('acceptTerms')}
+          </div>
+        </form>
+
+        <div className="button-group" style={{ marginTop: '15px' }}>
+          <button onClick={handleSyncSubmit} style={{ backgroundColor: '#2196f3' }}>
+            Submit (Sync, startSpan)
+          </button>
+          <button onClick={handleAsyncSubmit} disabled={submitting} style={{ backgroundColor: '#9c27b0' }}>
+            {submitting ? 'Submitting...' : 'Submit (Async, startManualSpan)'}
+          </button>
+        </div>
+
+        {submitResult && (
+          <div style={{
+            marginTop: '15px',
+            padding: '12px',
+            backgroundColor: submitResult.startsWith('✓') ? '#e8f5e9' : '#ffebee',
+            borderRadius: '6px',
+            borderLeft: `4px solid ${submitResult.startsWith('✓') ? '#4caf50' : '#f44336'}`,
+            fontSize: '14px'
+          }}>
+            {submitResult}
+          </div>
+        )}
+      </div>
+
+      <details style={{ marginTop: '20px', fontSize: '14px' }}>
+        <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#555', marginBottom: '10px' }}>
+          View API Usage & Examples
+        </summary>
+
+        <div style={{
+          marginTop: '15px',
+          padding: '15px',
+          backgroundColor: '#f8f9fa',
+          borderRadius: '8px',
+          fontSize: '14px'
+        }}>
+          <strong>Span Structure:</strong>
+          <pre style={{
+            marginTop: '10px',
+            padding: '12px',
+            backgroundColor: '#fff',
+            borderRadius: '4px',
+            border: '1px solid #ddd',
+            overflow: 'auto'
+          }}>
+{`form.submit.async          (startManualSpan, ended in finally)
+├── form.validate          (recordException on failure)
+├── form.serialize
+└── form.submit            (POST /api/demo-requests)`}
+          </pre>
+          <strong style={{ display: 'block', marginTop: '15px' }}>API Usage:</strong>
+          <pre style={{
+            marginTop: '10px',
+            padding: '12px',
+            backgroundColor: '#fff',
+            borderRadius: '4px',
+            border: '1px solid #ddd',
+            overflow: 'auto'
+          }}>
+{`LDObserve.startManualSpan('form.submit.async', async (span) => {
+  try {
+    // Start children before the first await so they nest under the parent
+    LDObserve.startSpan('form.validate', (child) => validate(child));
+    const body = LDObserve.startSpan('form.serialize', () => serialize());
+    await LDObserve.startSpan('form.submit', (child) => post(body));
+    span.setStatus({ code: SpanStatusCode.OK });
+  } catch (error) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+  } finally {
+    span.end();
+  }
+});`}
+          </pre>
+        </div>
+
+        <div style={{
+          marginTop: '15px',
+          padding: '15px',
+          backgroundColor: '#f3e5f5',
+          borderRadius: '8px',
+          fontSize: '14px',
+          borderLeft: '4px solid #9c27b0'
+        }}>
+          <strong>What's being tracked:</strong>
+          <ul style={{ marginTop: '10px', marginLeft: '20px', lineHeight: '1.8' }}>
+            <li><strong>Click Counter, Dropdown, Toggle:</strong> Logged with <code>recordLog</code> and attributes</li>
+            <li><strong>Sync Submit:</strong> One <code>startSpan</code> parent, saved to localStorage</li>
+            <li><strong>Async Submit:</strong> One <code>startManualSpan</code> parent, posted to the mock API</li>
+            <li><strong>Validation Failures:</strong> <code>recordException</code> on the spans plus a warn log</li>
+          </ul>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+export default InteractionDemo;
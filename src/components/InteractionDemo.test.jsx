@@ -0,0 +1,74 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import { getSpan, getSpans } from '../test/mocks/observability';
+import { SpanStatusCode } from '../lib/tracing';
+import InteractionDemo from './InteractionDemo';
+
+function fillValidForm() {
+  fireEvent.change(screen.getByPlaceholderText('Full name *'), { target: { name: 'name', value: 'Ada Lovelace' } });
+  fireEvent.change(screen.getByPlaceholderText('Work email *'), { target: { name: 'email', value: 'Ada@Example.com' } });
+  fireEvent.change(screen.getByPlaceholderText('Team size *'), { target: { name: 'teamSize', value: '12' } });
+  fireEvent.click(screen.getByRole('checkbox'));
+}
+
+describe('InteractionDemo', () => {
+  it('logs counter clicks and theme changes', () => {
+    render(<InteractionDemo />);
+    fireEvent.click(screen.getByText('Clicked 0 times'));
+    fireEvent.change(screen.getByDisplayValue('Light theme'), { target: { value: 'dark' } });
+
+    expect(LDObserve.recordLog).toHaveBeenCalledWith('Counter button clicked', 'info', {
+      component: 'InteractionDemo.jsx',
+      'click.count': 1,
+    });
+    expect(LDObserve.recordLog).toHaveBeenCalledWith('Theme dropdown changed', 'info', {
+      component: 'InteractionDemo.jsx',
+      'theme.previous': 'light',
+      'theme.selected': 'dark',
+    });
+  });
+
+  it('records a failed validation on the child and parent span', () => {
+    render(<InteractionDemo />);
+    fireEvent.click(screen.getByText('Submit (Sync, startSpan)'));
+
+    const parent = getSpan('form.submit.sync');
+    const validate = getSpan('form.validate');
+    expect(validate.status.code).toBe(SpanStatusCode.ERROR);
+    expect(validate.exceptions[0].name).toBe('ValidationError');
+    expect(parent.exceptions[0]).toBe(validate.exceptions[0]);
+    expect(parent.status.code).toBe(SpanStatusCode.ERROR);
+    expect(getSpans().every(span => span.ended)).toBe(true);
+    expect(LDObserve.recordLog).toHaveBeenCalledWith('Form validation failed', 'warn', expect.objectContaining({
+      'form.submit_mode': 'sync',
+      'form.invalid_fields': 'name,email,teamSize,acceptTerms',
+    }));
+  });
+
+  it('submits asynchronously in a manual span that ends after the request', async () => {
+    const fetchMock = vi.fn(async () => new Response(JSON.stringify({ data: { id: 'req_1' } }), { status: 201 }));
+    vi.stubGlobal('fetch', fetchMock);
+    render(<InteractionDemo />);
+    fillValidForm();
+    fireEvent.click(screen.getByText('Submit (Async, startManualSpan)'));
+
+    expect(await screen.findByText(/request req_1 created/)).toBeInTheDocument();
+    expect(LDObserve.startManualSpan).toHaveBeenCalledWith('form.submit.async', expect.any(Function));
+    expect(getSpans().map(span => span.name)).toEqual([
+      'form.submit.async',
+      'form.validate',
+      'form.serialize',
+      'form.submit',
+    ]);
+
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/demo-requests?delay=500');
+    expect(JSON.parse(options.body)).toMatchObject({ name: 'Ada Lovelace', email: 'ada@example.com', teamSize: 12 });
+
+    const parent = getSpan('form.submit.async');
+    await waitFor(() => expect(parent.ended).toBe(true));
+    expect(parent.attributes['form.request_id']).toBe('req_1');
+    expect(parent.status.code).toBe(SpanStatusCode.OK);
+  });
+});
@@ -1,63 +1,228 @@
-import { LDObserve } from '@launchdarkly/observability';
+import { useEffect, useMemo, useState } from 'react';
+import { useFlags } from 'launchdarkly-react-client-sdk';
+import logger, { LOG_LEVELS, LOG_LEVEL_FLAG } from '../lib/logger';
+import useStore from '../hooks/useStore';
+import {
+  instrumentationStore,
+  setConsoleForwarding,
+  setFetchLogging,
+  resetStats,
+} from '../lib/logInstrumentation';
+import FlagAttributesNote from './FlagAttributesNote';
+
+const LEVEL_COLORS = {
+  debug: '#9e9e9e',
+  info: '#2196f3',
+  warn: '#ff9800',
+  error: '#d9534f',
+};
+
+const OUTCOME_LABELS = {
+  sent: 'sent',
+  filtered: 'below min level',
+  sampled_out: 'sampled out',
+};
+
+let nextRecordId = 1;
 
 function LogsDemo() {
-  const handleDebugLog = () => {
-    LDObserve.recordLog('Debug log message', 'debug');
-    console.log('Debug log sent to LaunchDarkly');
+  const flags = useFlags();
+  const [records, setRecords] = useState([]);
+  const [settings, setSettings] = useState(logger.getSettings());
+  const instrumentation = useStore(instrumentationStore);
+
+  // Child logger bound to this component and the flag values it was served
+  const componentLogger = useMemo(() => logger.child({
+    component: 'LogsDemo',
+    flags: { releaseFancyWidget: Boolean(flags.releaseFancyWidget) },
+  }), [flags.releaseFancyWidget]);
+
+  useEffect(() => logger.subscribe((record) => {
+    setRecords(prev => [{ id: nextRecordId++, ...record }, ...prev].slice(0, 30));
+  }), []);
+
+  // Level changes can also come from the flag, so follow the logger itself
+  useEffect(() => logger.subscribeToSettings(() => setSettings(logger.getSettings())), []);
+
+  const sendLevel = (level) => {
+    componentLogger[level](`${level.charAt(0).toUpperCase() + level.slice(1)} log message`, {
+      action: `send_${level}`,
+      ui: { button: `${level}-log` },
+    });
   };
 
-  const handleInfoLog = () => {
-    LDObserve.recordLog('Info log message', 'info');
-    console.log('Info log sent to LaunchDarkly');
+  const handleChildLoggerDemo = () => {
+    // Each nested child adds context; every record carries all of it
+    const checkoutLogger = componentLogger.child({ checkout: { id: `chk_${Date.now()}`, step: 'payment' } });
+    checkoutLogger.info('Checkout started', { cart: { items: 3, total: 79.5 } });
+    checkoutLogger.child({ payment: { provider: 'demo-pay' } })
+      .warn('Payment provider slow to respond', { latency_ms: 2300 });
+    checkoutLogger.error('Checkout failed', { error: new Error('Card declined') });
   };
 
-  const handleWarnLog = () => {
-    LDObserve.recordLog('Warning log message', 'warn');
-    console.log('Warning log sent to LaunchDarkly');
+  const handleBurstTest = () => {
+    // 100 console calls in one tick: only rateLimit.maxEvents get through
+    for (let i = 1; i <= 100; i++) {
+      console.info(`Burst test message ${i}/100`, { iteration: i });
+    }
   };
 
-  const handleErrorLog = () => {
-    LDObserve.recordLog('Error log message', 'error');
-    console.log('Error log sent to LaunchDarkly');
+  const handleConsoleVariety = () => {
+    const circular = { name: 'circular' };
+    circular.self = circular;
+    console.warn('Object with a circular reference:', circular);
+    console.error('Error object passed to console.error:', new Error('Something broke'));
+    console.info(`${instrumentation.options.excludeTag} This message stays in the browser console only`);
   };
 
+  const switchStyle = { display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' };
+
   return (
     <div className="card">
       <h2>📝 Custom Logs Demo</h2>
       <p>
-        Send custom log messages to LaunchDarkly at different severity levels.
-        All logs are captured and viewable in the LaunchDarkly dashboard.
+        Send structured logs through the <code>logger</code> module. Attributes, bound child-logger
+        context, level filtering and debug sampling are all visible below before the logs reach
+        LaunchDarkly.
       </p>
 
       <div style={{ marginTop: '20px' }}>
         <h3 style={{ marginBottom: '15px', color: '#333' }}>Log Severity Levels</h3>
         <div className="button-group">
-          <button 
-            onClick={handleDebugLog}
-            style={{ backgroundColor: '#9e9e9e' }}
-          >
-            Send Debug Log
+          {LOG_LEVELS.map(level => (
+            <button
+              key={level}
+              onClick={() => sendLevel(level)}
+              style={{ backgroundColor: LEVEL_COLORS[level] }}
+            >
+              Send {level.charAt(0).toUpperCase() + level.slice(1)} Log
+            </button>
+          ))}
+          <button onClick={handleChildLoggerDemo} style={{ backgroundColor: '#9c27b0' }}>
+            Child Logger Workflow
           </button>
-          
-          <button 
-            onClick={handleInfoLog}
-            style={{ backgroundColor: '#2196f3' }}
+        </div>
+      </div>
+
+      <div style={{
+        marginTop: '20px',
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+        gap: '15px',
+        alignItems: 'end'
+      }}>
+        <label style={{ color: '#333', fontSize: '14px' }}>
+          <strong>Minimum level</strong>
+          <select
+            value={settings.minLevel}
+            onChange={(event) => logger.setMinLevel(event.target.value, 'LogsDemo')}
+            style={{ marginTop: '6px' }}
           >
-            Send Info Log
+            {LOG_LEVELS.map(level => <option key={level} value={level}>{level}</option>)}
+          </select>
+          <span style={{ fontSize: '12px', color: '#666' }}>set by: {settings.minLevelSource}</span>
+        </label>
+
+        <label style={{ color: '#333', fontSize: '14px' }}>
+          <strong>Debug sample rate: {Math.round(settings.debugSampleRate * 100)}%</strong>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.1"
+            value={settings.debugSampleRate}
+            onChange={(event) => logger.setDebugSampleRate(event.target.value)}
+            style={{ marginTop: '6px', padding: 0 }}
+          />
+          <span style={{ fontSize: '12px', color: '#666' }}>&nbsp;</span>
+        </label>
+
+        <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+          <input
+            type="checkbox"
+            checked={settings.mirrorToConsole}
+            onChange={(event) => logger.setMirrorToConsole(event.target.checked)}
+            style={{ width: 'auto' }}
+          />
+          Mirror to console
+        </label>
+      </div>
+
+      <div style={{ marginTop: '20px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+          <h3 style={{ color: '#333' }}>Log Records ({records.length})</h3>
+          {records.length > 0 && (
+            <button onClick={() => setRecords([])} style={{ padding: '6px 14px', backgroundColor: '#9e9e9e' }}>
+              Clear
+            </button>
+          )}
+        </div>
+        <div style={{
+          maxHeight: '260px',
+          overflow: 'auto',
+          backgroundColor: '#f8f9fa',
+          borderRadius: '8px',
+          padding: '10px',
+          fontFamily: 'monospace',
+          fontSize: '12px'
+        }}>
+          {records.length === 0 && <div style={{ color: '#999' }}>No logs yet.</div>}
+          {records.map(record => (
+            <div key={record.id} style={{
+              padding: '6px 0',
+              borderBottom: '1px solid #eee',
+              opacity: record.outcome === 'sent' ? 1 : 0.5
+            }}>
+              <strong style={{ color: LEVEL_COLORS[record.level] }}>{record.level.toUpperCase()}</strong>{' '}
+              {record.message}{' '}
+              <span style={{ color: '#999' }}>({OUTCOME_LABELS[record.outcome]})</span>
+              <div style={{ color: '#666', wordBreak: 'break-word' }}>{JSON.stringify(record.attributes)}</div>
+            </div>
+          ))}
+        </div>
+        <FlagAttributesNote signal="sent log" />
+      </div>
+
+      <div style={{ marginTop: '25px' }}>
+        <h3 style={{ marginBottom: '10px', color: '#333' }}>Auto-instrumentation</h3>
+        <p style={{ fontSize: '14px' }}>
+          Forward <code>console.debug/info/warn/error</code> calls and <code>fetch</code> requests as logs
+          without calling <code>recordLog</code>. Forwarding is rate limited to{' '}
+          {instrumentation.options.rateLimit.maxEvents} logs per {instrumentation.options.rateLimit.intervalMs} ms,
+          and console messages starting with <code>{instrumentation.options.excludeTag}</code> are skipped.
+        </p>
+        <div className="button-group" style={{ alignItems: 'center' }}>
+          <label style={switchStyle}>
+            <input
+              type="checkbox"
+              checked={instrumentation.console}
+              onChange={(event) => setConsoleForwarding(event.target.checked)}
+              style={{ width: 'auto' }}
+            />
+            Forward console
+          </label>
+          <label style={switchStyle}>
+            <input
+              type="checkbox"
+              checked={instrumentation.fetch}
+              onChange={(event) => setFetchLogging(event.target.checked)}
+              style={{ width: 'auto' }}
+            />
+            Log fetch requests
+          </label>
+          <button onClick={handleBurstTest} disabled={!instrumentation.console} style={{ backgroundColor: '#ff9800' }}>
+            Burst Test (100 console.info)
           </button>
-          
-          <button 
-            onClick={handleWarnLog}
-            style={{ backgroundColor: '#ff9800' }}
-          >
-            Send Warning Log
+          <button onClick={handleConsoleVariety} disabled={!instrumentation.console} style={{ backgroundColor: '#607d8b' }}>
+            Circular / Error / Excluded
           </button>
-          
-          <button 
-            onClick={handleErrorLog}
-            style={{ backgroundColor: '#d9534f' }}
-          >
-            Send Error Log
+        </div>
+        <div style={{ marginTop: '10px', fontSize: '14px', color: '#666' }}>
+          Forwarded: <strong>{instrumentation.stats.forwarded}</strong> ·
+          Dropped by rate limit: <strong>{instrumentation.stats.dropped}</strong> ·
+          Excluded by tag: <strong>{instrumentation.stats.excluded}</strong>{' '}
+          <button onClick={resetStats} style={{ padding: '4px 10px', fontSize: '12px', backgroundColor: '#9e9e9e' }}>
+            Reset
           </button>
         </div>
       </div>
@@ -66,16 +231,16 @@ function LogsDemo() {
         <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#555', marginBottom: '10px' }}>
           View API Usage & Examples
         </summary>
-        
-        <div style={{ 
-          marginTop: '15px', 
-          padding: '15px', 
+
+        <div style={{
+          marginTop: '15px',
+          padding: '15px',
           backgroundColor: '#f8f9fa',
           borderRadius: '8px',
           fontSize: '14px'
         }}>
           <strong>API Usage:</strong>
-          <pre style={{ 
+          <pre style={{
             marginTop: '10px',
             padding: '12px',
             backgroundColor: '#fff',
@@ -83,20 +248,26 @@ function LogsDemo() {
             border: '1px solid #ddd',
             overflow: 'auto'
           }}>
-{`LDObserve.recordLog('Example log message', Severity.DEBUG);`}
+{`import logger from './lib/logger';
+
+const log = logger.child({ component: 'Checkout' });
+log.info('Checkout started', { cart: { items: 3 } });
+// -> LDObserve.recordLog('Checkout started', 'info',
+//      { component: 'Checkout', 'cart.items': 3 })
+
+logger.setMinLevel('warn');        // drop debug and info
+logger.setDebugSampleRate(0.1);    // keep 10% of debug logs
+logger.setMirrorToConsole(true);   // also print to the console`}
           </pre>
           <p style={{ marginTop: '10px', color: '#666' }}>
-            <strong>Parameters:</strong>
+            The minimum level can also be set with the <code>{LOG_LEVEL_FLAG}</code> string flag
+            (<code>debug</code>, <code>info</code>, <code>warn</code> or <code>error</code>).
           </p>
-          <ul style={{ marginLeft: '20px', color: '#666', lineHeight: '1.8' }}>
-            <li><strong>message</strong> (string): The log message to record</li>
-            <li><strong>severity</strong>: Log level - 'debug', 'info', 'warn', or 'error'</li>
-          </ul>
         </div>
 
-        <div style={{ 
-          marginTop: '15px', 
-          padding: '15px', 
+        <div style={{
+          marginTop: '15px',
+          padding: '15px',
           backgroundColor: '#e3f2fd',
           borderRadius: '8px',
           fontSize: '14px',
@@ -116,4 +287,3 @@ function LogsDemo() {
 }
 
 export default LogsDemo;
-
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import { setMockFlags } from 'launchdarkly-react-client-sdk';
+import logger from '../lib/logger';
+import LogsDemo from './LogsDemo';
+
+describe('LogsDemo', () => {
+  beforeEach(() => {
+    logger.setMirrorToConsole(false);
+  });
+
+  afterEach(() => {
+    logger.setMinLevel('debug', 'test');
+  });
+
+  it('sends a log with component, action and flag context', () => {
+    setMockFlags({ releaseFancyWidget: true });
+    render(<LogsDemo />);
+    fireEvent.click(screen.getByText('Send Warn Log'));
+
+    expect(LDObserve.recordLog).toHaveBeenCalledWith('Warn log message', 'warn', {
+      component: 'LogsDemo',
+      'flags.releaseFancyWidget': true,
+      action: 'send_warn',
+      'ui.button': 'warn-log',
+    });
+  });
+
+  it('binds nested child logger context to every record', () => {
+    render(<LogsDemo />);
+    fireEvent.click(screen.getByText('Child Logger Workflow'));
+
+    expect(LDObserve.recordLog).toHaveBeenCalledWith(
+      'Payment provider slow to respond',
+      'warn',
+      expect.objectContaining({
+        component: 'LogsDemo',
+        'checkout.step': 'payment',
+        'payment.provider': 'demo-pay',
+        latency_ms: 2300,
+      })
+    );
+    expect(LDObserve.recordLog).toHaveBeenCalledWith(
+      'Checkout failed',
+      'error',
+      expect.objectContaining({ 'error.name': 'Error', 'error.message': 'Card declined' })
+    );
+  });
+
+  it('does not send logs below the minimum level', () => {
+    render(<LogsDemo />);
+    fireEvent.change(screen.getByDisplayValue('debug'), { target: { value: 'error' } });
+    fireEvent.click(screen.getByText('Send Info Log'));
+
+    expect(LDObserve.recordLog).not.toHaveBeenCalled();
+    expect(screen.getByText('(below min level)')).toBeInTheDocument();
+  });
+
+  it('follows the minimum level set from elsewhere', () => {
+    render(<LogsDemo />);
+    act(() => logger.setMinLevel('warn', 'flag:minimumLogLevel'));
+
+    expect(screen.getByText('set by: flag:minimumLogLevel')).toBeInTheDocument();
+  });
+});
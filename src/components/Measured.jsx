@@ -0,0 +1,33 @@
+import { Profiler } from 'react';
+import { recordRender } from '../lib/renderMetrics';
+
+// Records render timings for everything inside it (see lib/renderMetrics.js).
+// Don't wrap anything that shows telemetry, like the Telemetry Inspector:
+// each recorded metric would re-render it and record another one.
+function Measured({ name, slowThresholdMs, children }) {
+  const handleRender = (id, phase, actualDuration, baseDuration, startTime, commitTime) => {
+    recordRender({ name: id, phase, actualDuration, baseDuration, startTime, commitTime }, { slowThresholdMs });
+  };
+
+  return (
+    <Profiler id={name} onRender={handleRender}>
+      {children}
+    </Profiler>
+  );
+}
+
+export function withRenderMetrics(Component, { name, slowThresholdMs } = {}) {
+  const componentName = name || Component.displayName || Component.name || 'Component';
+
+  function WithRenderMetrics(props) {
+    return (
+      <Measured name={componentName} slowThresholdMs={slowThresholdMs}>
+        <Component {...props} />
+      </Measured>
+    );
+  }
+  WithRenderMetrics.displayName = `withRenderMetrics(${componentName})`;
+  return WithRenderMetrics;
+}
+
+export default Measured;
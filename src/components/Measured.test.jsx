@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { LDObserve, getSpan, getSpans } from '@launchdarkly/observability';
+import { withRenderMetrics } from './Measured';
+import TracesDemo from './TracesDemo';
+
+function Greeting({ name }) {
+  return <p>Hello {name}</p>;
+}
+
+describe('withRenderMetrics', () => {
+  it('records render and commit durations by component and phase', () => {
+    const MeasuredGreeting = withRenderMetrics(Greeting);
+    const { rerender } = render(<MeasuredGreeting name="Ada" />);
+    rerender(<MeasuredGreeting name="Grace" />);
+
+    expect(screen.getByText('Hello Grace')).toBeInTheDocument();
+    expect(MeasuredGreeting.displayName).toBe('withRenderMetrics(Greeting)');
+    ['mount', 'update'].forEach((phase) => {
+      ['react.render.duration', 'react.commit.duration'].forEach((name) => {
+        expect(LDObserve.recordHistogram).toHaveBeenCalledWith({
+          name,
+          value: expect.any(Number),
+          attributes: { 'react.component': 'Greeting', 'react.phase': phase },
+        });
+      });
+    });
+    expect(getSpan('react.render')).toBeUndefined();
+  });
+
+  it('records slow renders as span events', () => {
+    const MeasuredTracesDemo = withRenderMetrics(TracesDemo, { slowThresholdMs: 50 });
+    render(<MeasuredTracesDemo />);
+    fireEvent.click(screen.getByLabelText(/Heavy render/));
+
+    // The first mount can be slow too in a cold test environment
+    const updateEvents = getSpans()
+      .filter(span => span.name === 'react.render')
+      .flatMap(span => span.events)
+      .filter(event => event.attributes['react.phase'] === 'update');
+    expect(updateEvents).toEqual([{
+      name: 'react.slow_render',
+      attributes: expect.objectContaining({
+        'react.component': 'TracesDemo',
+        'react.phase': 'update',
+        'react.render.duration_ms': expect.any(Number),
+        'react.render.threshold_ms': 50,
+      }),
+    }]);
+  });
+});
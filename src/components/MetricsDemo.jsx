@@ -0,0 +1,313 @@
+import { useEffect, useRef, useState } from 'react';
+import { LDObserve } from '@launchdarkly/observability';
+
+const CATALOG = [
+  { id: 'hoodie', name: 'Observability Hoodie', price: 59.0 },
+  { id: 'mug', name: 'Feature Flag Mug', price: 14.5 },
+  { id: 'stickers', name: 'Session Replay Stickers', price: 6.0 },
+];
+
+const METRIC_METHODS = {
+  counter: 'recordIncr',
+  gauge: 'recordGauge',
+  upDownCounter: 'recordUpDownCounter',
+  histogram: 'recordHistogram',
+};
+
+let nextMetricId = 1;
+// page.load_time describes the document, so it is recorded once per page load
+// rather than on every visit to the metrics page
+let pageLoadTimeRecorded = false;
+
+function MetricsDemo() {
+  const [cart, setCart] = useState({});
+  const [simulatedUsers, setSimulatedUsers] = useState(0);
+  const [checkoutStatus, setCheckoutStatus] = useState(null);
+  const [emitted, setEmitted] = useState([]);
+  // The users.active -1 waiting to be sent after an unmount
+  const pendingRelease = useRef(null);
+
+  // Send a metric to LaunchDarkly and keep a copy for the on-page list
+  const emitMetric = (type, metric) => {
+    LDObserve[METRIC_METHODS[type]](metric);
+    setEmitted(prev => [
+      { id: nextMetricId++, type, time: new Date().toLocaleTimeString(), ...metric },
+      ...prev,
+    ].slice(0, 50));
+  };
+
+  const cartSize = Object.values(cart).reduce((total, quantity) => total + quantity, 0);
+  const cartTotal = CATALOG.reduce((total, product) => total + (cart[product.id] || 0) * product.price, 0);
+
+  // This browser tab counts as one active user while the demo is mounted.
+  // StrictMode unmounts and remounts effects in development, so the -1 waits
+  // a tick and is cancelled by the remount instead of emitting -1 and +1 again.
+  useEffect(() => {
+    if (pendingRelease.current) {
+      clearTimeout(pendingRelease.current);
+      pendingRelease.current = null;
+    } else {
+      emitMetric('upDownCounter', { name: 'users.active', value: 1, attributes: { source: 'page' } });
+    }
+    return () => {
+      pendingRelease.current = setTimeout(() => {
+        pendingRelease.current = null;
+        LDObserve.recordUpDownCounter({ name: 'users.active', value: -1, attributes: { source: 'page' } });
+      }, 0);
+    };
+  }, []);
+
+  // Record page load time once from the Navigation Timing API
+  useEffect(() => {
+    if (pageLoadTimeRecorded) return;
+    const [navigation] = performance.getEntriesByType('navigation');
+    if (navigation) {
+      pageLoadTimeRecorded = true;
+      emitMetric('histogram', {
+        name: 'page.load_time',
+        value: Math.round(navigation.loadEventEnd || navigation.domContentLoadedEventEnd),
+        attributes: { page: 'dashboard' },
+      });
+    }
+  }, []);
+
+  const updateCart = (product, delta) => {
+    const quantity = (cart[product.id] || 0) + delta;
+    if (quantity < 0) return;
+
+    const nextCart = { ...cart, [product.id]: quantity };
+    const nextSize = Object.values(nextCart).reduce((total, q) => total + q, 0);
+    setCart(nextCart);
+
+    emitMetric('counter', {
+      name: delta > 0 ? 'cart.item.added' : 'cart.item.removed',
+      attributes: { product_id: product.id, product_name: product.name },
+    });
+    emitMetric('gauge', { name: 'cart.size', value: nextSize });
+  };
+
+  const updateSimulatedUsers = (delta) => {
+    if (simulatedUsers + delta < 0) return;
+    setSimulatedUsers(simulatedUsers + delta);
+    emitMetric('upDownCounter', {
+      name: 'users.active',
+      value: delta,
+      attributes: { source: 'simulated' },
+    });
+  };
+
+  const handleCheckout = async () => {
+    setCheckoutStatus('Processing...');
+    const items = Object.entries(cart)
+      .filter(([, quantity]) => quantity > 0)
+      .map(([productId, quantity]) => ({ productId, quantity }));
+
+    // Random latency so the histogram gets a spread of values
+    const delay = 100 + Math.round(Math.random() * 900);
+    const startTime = performance.now();
+    let status = 'network_error';
+
+    try {
+      const response = await fetch(`/api/orders?delay=${delay}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items, total: cartTotal }),
+      });
+      status = String(response.status);
+    } catch (error) {
+      console.error('Checkout request failed:', error);
+    }
+
+    const duration = Math.round(performance.now() - startTime);
+    emitMetric('histogram', {
+      name: 'api.response_time',
+      value: duration,
+      attributes: { endpoint: '/api/orders', method: 'POST', status },
+    });
+
+    if (status === '201') {
+      setCart({});
+      emitMetric('gauge', { name: 'cart.size', value: 0 });
+      setCheckoutStatus(`✓ Order placed in ${duration} ms`);
+    } else {
+      setCheckoutStatus(`✗ Checkout failed (${status}) after ${duration} ms`);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>📈 Custom Metrics Demo</h2>
+      <p>
+        A small shopping cart that records counters, gauges, up/down counters and histograms.
+        Every metric sent this session is listed below so you can check the numbers before
+        looking at the dashboard.
+      </p>
+
+      <div style={{ marginTop: '20px' }}>
+        <h3 style={{ marginBottom: '15px', color: '#333' }}>Shopping Cart</h3>
+        {CATALOG.map(product => (
+          <div key={product.id} style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            gap: '12px',
+            padding: '10px 0',
+            borderBottom: '1px solid #eee'
+          }}>
+            <span style={{ color: '#333' }}>
+              {product.name} <span style={{ color: '#999' }}>${product.price.toFixed(2)}</span>
+            </span>
+            <div className="button-group" style={{ alignItems: 'center' }}>
+              <button
+                onClick={() => updateCart(product, -1)}
+                disabled={!cart[product.id]}
+                style={{ padding: '6px 14px', backgroundColor: '#9e9e9e' }}
+              >
+                −
+              </button>
+              <strong style={{ minWidth: '20px', textAlign: 'center' }}>{cart[product.id] || 0}</strong>
+              <button
+                onClick={() => updateCart(product, 1)}
+                style={{ padding: '6px 14px', backgroundColor: '#4caf50' }}
+              >
+                +
+              </button>
+            </div>
+          </div>
+        ))}
+
+        <div className="button-group" style={{ marginTop: '15px', alignItems: 'center' }}>
+          <button onClick={handleCheckout} disabled={cartSize === 0} style={{ backgroundColor: '#2196f3' }}>
+            Checkout ({cartSize} items, ${cartTotal.toFixed(2)})
+          </button>
+          {checkoutStatus && (
+            <span className={`status-badge ${checkoutStatus.startsWith('✓') ? 'success' : checkoutStatus.startsWith('✗') ? 'error' : 'info'}`}
+              style={{ marginTop: 0 }}>
+              {checkoutStatus}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div style={{ marginTop: '25px' }}>
+        <h3 style={{ marginBottom: '15px', color: '#333' }}>Active Users</h3>
+        <div className="button-group" style={{ alignItems: 'center' }}>
+          <button onClick={() => updateSimulatedUsers(1)} style={{ backgroundColor: '#9c27b0' }}>
+            Simulate User Join
+          </button>
+          <button
+            onClick={() => updateSimulatedUsers(-1)}
+            disabled={simulatedUsers === 0}
+            style={{ backgroundColor: '#ff9800' }}
+          >
+            Simulate User Leave
+          </button>
+          <span style={{ color: '#666' }}>
+            Simulated users online: <strong>{simulatedUsers}</strong> (+1 for this tab)
+          </span>
+        </div>
+      </div>
+
+      <div style={{ marginTop: '25px' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+          <h3 style={{ color: '#333' }}>Metrics Emitted This Session ({emitted.length})</h3>
+          {emitted.length > 0 && (
+            <button onClick={() => setEmitted([])} style={{ padding: '6px 14px', backgroundColor: '#9e9e9e' }}>
+              Clear
+            </button>
+          )}
+        </div>
+        <div style={{
+          maxHeight: '220px',
+          overflow: 'auto',
+          backgroundColor: '#f8f9fa',
+          borderRadius: '8px',
+          padding: '10px',
+          fontFamily: 'monospace',
+          fontSize: '12px'
+        }}>
+          {emitted.length === 0 && <div style={{ color: '#999' }}>No metrics recorded yet.</div>}
+          {emitted.map(metric => (
+            <div key={metric.id} style={{ padding: '4px 0', borderBottom: '1px solid #eee', color: '#333' }}>
+              <span style={{ color: '#999' }}>{metric.time}</span>{' '}
+              <strong>{METRIC_METHODS[metric.type]}</strong>{' '}
+              {metric.name}
+              {metric.value !== undefined && <> = <strong>{metric.value}</strong></>}
+              {metric.attributes && (
+                <span style={{ color: '#666' }}> {JSON.stringify(metric.attributes)}</span>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <details style={{ marginTop: '20px', fontSize: '14px' }}>
+        <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#555', marginBottom: '10px' }}>
+          View API Usage & Examples
+        </summary>
+
+        <div style={{
+          marginTop: '15px',
+          padding: '15px',
+          backgroundColor: '#f8f9fa',
+          borderRadius: '8px',
+          fontSize: '14px'
+        }}>
+          <strong>API Usage:</strong>
+          <pre style={{
+            marginTop: '10px',
+            padding: '12px',
+            backgroundColor: '#fff',
+            borderRadius: '4px',
+            border: '1px solid #ddd',
+            overflow: 'auto'
+          }}>
+{`// Counter: increments by one each call
+LDObserve.recordIncr({ name: 'cart.item.added', attributes: { product_id: 'mug' } });
+
+// Gauge: current value at a point in time
+LDObserve.recordGauge({ name: 'cart.size', value: 3 });
+
+// Up/down counter: value can be positive or negative
+LDObserve.recordUpDownCounter({ name: 'users.active', value: -1 });
+
+// Histogram: distribution of values
+LDObserve.recordHistogram({
+  name: 'api.response_time',
+  value: 240,
+  attributes: { endpoint: '/api/orders', status: '201' },
+});`}
+          </pre>
+          <p style={{ marginTop: '10px', color: '#666' }}>
+            <strong>Parameters:</strong>
+          </p>
+          <ul style={{ marginLeft: '20px', color: '#666', lineHeight: '1.8' }}>
+            <li><strong>name</strong> (string): Metric name</li>
+            <li><strong>value</strong> (number): Metric value (not used by <code>recordIncr</code>)</li>
+            <li><strong>attributes</strong> (object): Dimensions to group and filter by (optional)</li>
+          </ul>
+        </div>
+
+        <div style={{
+          marginTop: '15px',
+          padding: '15px',
+          backgroundColor: '#e8f5e9',
+          borderRadius: '8px',
+          fontSize: '14px',
+          borderLeft: '4px solid #4caf50'
+        }}>
+          <strong>What's being tracked:</strong>
+          <ul style={{ marginTop: '10px', marginLeft: '20px', lineHeight: '1.8' }}>
+            <li><strong>cart.item.added / cart.item.removed:</strong> Counters tagged with the product</li>
+            <li><strong>cart.size:</strong> Gauge updated on every cart change</li>
+            <li><strong>users.active:</strong> Up/down counter for this tab and simulated users</li>
+            <li><strong>api.response_time:</strong> Histogram of checkout latency against the mock API</li>
+            <li><strong>page.load_time:</strong> Histogram from the Navigation Timing API</li>
+          </ul>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+export default MetricsDemo;
@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest';
+import { StrictMode } from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import MetricsDemo from './MetricsDemo';
+
+describe('MetricsDemo', () => {
+  it('counts this tab as an active user while mounted', async () => {
+    const { unmount } = render(<MetricsDemo />);
+    expect(LDObserve.recordUpDownCounter).toHaveBeenCalledWith({
+      name: 'users.active',
+      value: 1,
+      attributes: { source: 'page' },
+    });
+
+    unmount();
+    await waitFor(() => expect(LDObserve.recordUpDownCounter).toHaveBeenLastCalledWith({
+      name: 'users.active',
+      value: -1,
+      attributes: { source: 'page' },
+    }));
+  });
+
+  it('counts the tab once under StrictMode', () => {
+    render(<StrictMode><MetricsDemo /></StrictMode>);
+
+    expect(LDObserve.recordUpDownCounter).toHaveBeenCalledTimes(1);
+  });
+
+  it('records the page load time once per page load', () => {
+    const getEntries = vi.spyOn(performance, 'getEntriesByType').mockReturnValue([{ loadEventEnd: 850, domContentLoadedEventEnd: 600 }]);
+    const { unmount } = render(<StrictMode><MetricsDemo /></StrictMode>);
+    unmount();
+    render(<MetricsDemo />);
+
+    const loadTimes = LDObserve.recordHistogram.mock.calls.filter(([metric]) => metric.name === 'page.load_time');
+    expect(loadTimes).toEqual([[{ name: 'page.load_time', value: 850, attributes: { page: 'dashboard' } }]]);
+    getEntries.mockRestore();
+  });
+
+  it('records a counter and the cart size gauge when items change', () => {
+    render(<MetricsDemo />);
+    const [addHoodie] = screen.getAllByText('+');
+    fireEvent.click(addHoodie);
+    fireEvent.click(addHoodie);
+
+    expect(LDObserve.recordIncr).toHaveBeenCalledWith({
+      name: 'cart.item.added',
+      attributes: { product_id: 'hoodie', product_name: 'Observability Hoodie' },
+    });
+    expect(LDObserve.recordGauge).toHaveBeenLastCalledWith({ name: 'cart.size', value: 2 });
+
+    fireEvent.click(screen.getAllByText('−')[0]);
+    expect(LDObserve.recordIncr).toHaveBeenLastCalledWith(expect.objectContaining({ name: 'cart.item.removed' }));
+    expect(LDObserve.recordGauge).toHaveBeenLastCalledWith({ name: 'cart.size', value: 1 });
+  });
+
+  it('records the checkout response time as a histogram', async () => {
+    const fetchMock = vi.fn(async () => new Response('{}', { status: 201 }));
+    vi.stubGlobal('fetch', fetchMock);
+    render(<MetricsDemo />);
+
+    fireEvent.click(screen.getAllByText('+')[1]);
+    fireEvent.click(screen.getByText(/^Checkout/));
+
+    await waitFor(() => expect(LDObserve.recordHistogram).toHaveBeenCalledWith({
+      name: 'api.response_time',
+      value: expect.any(Number),
+      attributes: { endpoint: '/api/orders', method: 'POST', status: '201' },
+    }));
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toMatch(/^\/api\/orders\?delay=\d+$/);
+    expect(JSON.parse(options.body)).toEqual({ items: [{ productId: 'mug', quantity: 1 }], total: 14.5 });
+    expect(LDObserve.recordGauge).toHaveBeenLastCalledWith({ name: 'cart.size', value: 0 });
+  });
+
+  it('records simulated users joining', () => {
+    render(<MetricsDemo />);
+    fireEvent.click(screen.getByText('Simulate User Join'));
+
+    expect(LDObserve.recordUpDownCounter).toHaveBeenLastCalledWith({
+      name: 'users.active',
+      value: 1,
+      attributes: { source: 'simulated' },
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { routeStore, navigate } from '../lib/router';
+import useStore from '../hooks/useStore';
+
+// In-app link: navigates without reloading the page. Modified clicks (new
+// tab, new window) are left to the browser.
+function NavLink({ to, children, style, activeStyle, ...props }) {
+  const { pathname } = useStore(routeStore);
+  const isActive = pathname === to;
+
+  const handleClick = (event) => {
+    if (event.defaultPrevented || event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+    event.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a
+      href={to}
+      onClick={handleClick}
+      aria-current={isActive ? 'page' : undefined}
+      style={{ ...style, ...(isActive && activeStyle) }}
+      {...props}
+    >
+      {children}
+    </a>
+  );
+}
+
+export default NavLink;
@@ -0,0 +1,206 @@
+import { useState } from 'react';
+
+// Headers added by the Observability plugin when tracingOrigins matches the request
+const TRACE_HEADERS = ['traceparent', 'tracestate', 'baggage', 'x-highlight-request'];
+
+let nextRequestId = 1;
+
+function NetworkDemo() {
+  const [requests, setRequests] = useState([]);
+
+  const trackRequest = async (method, url, options = {}) => {
+    const id = nextRequestId++;
+    setRequests(prev => [{ id, method, url, status: 'pending' }, ...prev].slice(0, 20));
+
+    const startTime = performance.now();
+    let entry;
+
+    try {
+      const response = await fetch(url, { method, ...options });
+      const payload = await response.json().catch(() => null);
+      const receivedHeaders = payload?.request?.headers || {};
+
+      entry = {
+        status: response.status,
+        ok: response.ok,
+        traceHeaders: TRACE_HEADERS
+          .filter(header => receivedHeaders[header])
+          .map(header => ({ name: header, value: receivedHeaders[header] })),
+      };
+    } catch (error) {
+      console.error('Network request failed:', error);
+      entry = { status: 'network error', ok: false, traceHeaders: [] };
+    }
+
+    const duration = Math.round(performance.now() - startTime);
+    setRequests(prev => prev.map(request => (
+      request.id === id ? { ...request, ...entry, duration } : request
+    )));
+  };
+
+  const handleGetRequest = () => {
+    trackRequest('GET', '/api/products');
+  };
+
+  const handlePostRequest = () => {
+    trackRequest('POST', '/api/orders', {
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        items: [
+          { productId: 1, quantity: 1 },
+          { productId: 3, quantity: 2 },
+        ],
+        note: 'Created from the Network Recording Demo',
+      }),
+    });
+  };
+
+  const handleFailedRequest = () => {
+    trackRequest('GET', '/api/does-not-exist');
+  };
+
+  const handleConcurrentRequests = () => {
+    // Fire several requests at once with different simulated latencies
+    Promise.allSettled([
+      trackRequest('GET', '/api/products/1?delay=200'),
+      trackRequest('GET', '/api/products/2?delay=600'),
+      trackRequest('GET', '/api/products/3?delay=400'),
+      trackRequest('GET', '/api/products/99'),
+      trackRequest('GET', '/api/products?delay=800'),
+    ]);
+  };
+
+  return (
+    <div className="card">
+      <h2>🌐 Network Recording Demo</h2>
+      <p>
+        Make real HTTP requests against a local mock API served by the Vite dev server.
+        Each request is recorded with headers and body, and tracing headers are injected
+        because <code>tracingOrigins</code> is enabled.
+      </p>
+
+      <div className="button-group">
+        <button onClick={handleGetRequest} style={{ backgroundColor: '#2196f3' }}>
+          GET Request
+        </button>
+
+        <button onClick={handlePostRequest} style={{ backgroundColor: '#4caf50' }}>
+          POST Request
+        </button>
+
+        <button onClick={handleFailedRequest} style={{ backgroundColor: '#d9534f' }}>
+          Failed Request (404)
+        </button>
+
+        <button onClick={handleConcurrentRequests} style={{ backgroundColor: '#9c27b0' }}>
+          Concurrent Batch (5 requests)
+        </button>
+
+        {requests.length > 0 && (
+          <button onClick={() => setRequests([])} style={{ backgroundColor: '#9e9e9e' }}>
+            Clear
+          </button>
+        )}
+      </div>
+
+      {requests.length > 0 && (
+        <div style={{ marginTop: '20px', overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '14px' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', borderBottom: '2px solid #ddd', color: '#333' }}>
+                <th style={{ padding: '8px' }}>Request</th>
+                <th style={{ padding: '8px' }}>Status</th>
+                <th style={{ padding: '8px' }}>Duration</th>
+                <th style={{ padding: '8px' }}>Injected Trace Headers</th>
+              </tr>
+            </thead>
+            <tbody>
+              {requests.map(request => (
+                <tr key={request.id} style={{ borderBottom: '1px solid #eee', verticalAlign: 'top' }}>
+                  <td style={{ padding: '8px' }}>
+                    <code>{request.method} {request.url}</code>
+                  </td>
+                  <td style={{
+                    padding: '8px',
+                    fontWeight: '600',
+                    color: request.status === 'pending' ? '#ff9800' : request.ok ? '#4caf50' : '#f44336'
+                  }}>
+                    {request.status === 'pending' ? '⏳ pending' : request.status}
+                  </td>
+                  <td style={{ padding: '8px', color: '#666' }}>
+                    {request.duration !== undefined ? `${request.duration} ms` : '—'}
+                  </td>
+                  <td style={{ padding: '8px', fontSize: '12px', color: '#666' }}>
+                    {request.traceHeaders && request.traceHeaders.length > 0
+                      ? request.traceHeaders.map(header => (
+                          <div key={header.name} style={{ wordBreak: 'break-all' }}>
+                            <strong>{header.name}:</strong> {header.value}
+                          </div>
+                        ))
+                      : request.status === 'pending' ? '' : 'none'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <details style={{ marginTop: '20px', fontSize: '14px' }}>
+        <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#555', marginBottom: '10px' }}>
+          View API Usage & Examples
+        </summary>
+
+        <div style={{
+          marginTop: '15px',
+          padding: '15px',
+          backgroundColor: '#f8f9fa',
+          borderRadius: '8px',
+          fontSize: '14px'
+        }}>
+          <strong>Plugin Configuration:</strong>
+          <pre style={{
+            marginTop: '10px',
+            padding: '12px',
+            backgroundColor: '#fff',
+            borderRadius: '4px',
+            border: '1px solid #ddd',
+            overflow: 'auto'
+          }}>
+{`new Observability({
+  tracingOrigins: true,
+  networkRecording: {
+    enabled: true,
+    recordHeadersAndBody: true
+  }
+})`}
+          </pre>
+          <p style={{ marginTop: '10px', color: '#666' }}>
+            No extra code is needed at the call site: plain <code>fetch</code> and
+            <code>XMLHttpRequest</code> calls are recorded automatically.
+          </p>
+        </div>
+
+        <div style={{
+          marginTop: '15px',
+          padding: '15px',
+          backgroundColor: '#e3f2fd',
+          borderRadius: '8px',
+          fontSize: '14px',
+          borderLeft: '4px solid #2196f3'
+        }}>
+          <strong>What's being tracked:</strong>
+          <ul style={{ marginTop: '10px', marginLeft: '20px', lineHeight: '1.8' }}>
+            <li><strong>GET Request:</strong> Simple read with recorded response body</li>
+            <li><strong>POST Request:</strong> JSON request body recorded alongside the response</li>
+            <li><strong>Failed Request:</strong> 404 from a non-existent endpoint</li>
+            <li><strong>Concurrent Batch:</strong> Overlapping requests with different latencies</li>
+            <li><strong>Trace Headers:</strong> Echoed back by the mock API to show what the plugin injected</li>
+          </ul>
+        </div>
+      </details>
+    </div>
+  );
+}
+
+export default NetworkDemo;
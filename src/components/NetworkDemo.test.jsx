@@ -0,0 +1,53 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import NetworkDemo from './NetworkDemo';
+
+// Responds like plugins/mockApi.js, echoing the request headers
+function mockApiResponse(status, headers = {}) {
+  return new Response(JSON.stringify({ data: {}, request: { headers } }), { status });
+}
+
+describe('NetworkDemo', () => {
+  let fetchMock;
+
+  beforeEach(() => {
+    fetchMock = vi.fn(async () => mockApiResponse(200, { traceparent: '00-abc-def-01' }));
+    vi.stubGlobal('fetch', fetchMock);
+  });
+
+  it('sends a GET request and shows the injected trace headers', async () => {
+    render(<NetworkDemo />);
+    fireEvent.click(screen.getByText('GET Request'));
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/products', { method: 'GET' });
+    expect(await screen.findByText('00-abc-def-01')).toBeInTheDocument();
+    expect(screen.getByText('200')).toBeInTheDocument();
+  });
+
+  it('posts an order with a JSON body', () => {
+    render(<NetworkDemo />);
+    fireEvent.click(screen.getByText('POST Request'));
+
+    const [url, options] = fetchMock.mock.calls[0];
+    expect(url).toBe('/api/orders');
+    expect(options).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'application/json' } });
+    expect(JSON.parse(options.body).items).toHaveLength(2);
+  });
+
+  it('shows failed requests with their status', async () => {
+    fetchMock.mockResolvedValueOnce(mockApiResponse(404));
+    render(<NetworkDemo />);
+    fireEvent.click(screen.getByText('Failed Request (404)'));
+
+    expect(fetchMock).toHaveBeenCalledWith('/api/does-not-exist', { method: 'GET' });
+    expect(await screen.findByText('404')).toBeInTheDocument();
+  });
+
+  it('fires the concurrent batch at once', async () => {
+    render(<NetworkDemo />);
+    fireEvent.click(screen.getByText('Concurrent Batch (5 requests)'));
+
+    expect(fetchMock).toHaveBeenCalledTimes(5);
+    await waitFor(() => expect(screen.queryByText('⏳ pending')).not.toBeInTheDocument());
+  });
+});
@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import RedactionDemo from './RedactionDemo';
+
+describe('RedactionDemo', () => {
+  it('shows a recorded request before and after redaction', () => {
+    render(<RedactionDemo />);
+
+    const before = screen.getByTestId('redaction-before');
+    const after = screen.getByTestId('redaction-after');
+    expect(before).toHaveAttribute('data-redact', 'mask');
+    expect(before).toHaveTextContent('hunter2');
+    expect(after).not.toHaveTextContent('hunter2');
+    expect(after).not.toHaveTextContent('ada@example.com');
+    expect(after).toHaveTextContent('"Authorization": "[REDACTED]"');
+    expect(after).toHaveTextContent('"cardNumber": "[REDACTED]"');
+  });
+
+  it('sends the sample log', () => {
+    render(<RedactionDemo />);
+    fireEvent.click(screen.getByText('Log'));
+    fireEvent.click(screen.getByText('Send it'));
+
+    expect(screen.getByTestId('redaction-after')).toHaveTextContent('"form.password": "[REDACTED]"');
+    expect(LDObserve.recordLog).toHaveBeenCalledWith(
+      'Password reset requested for ada@example.com',
+      'info',
+      expect.objectContaining({ 'form.password': 'hunter2' })
+    );
+  });
+});
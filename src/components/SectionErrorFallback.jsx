@@ -0,0 +1,59 @@
+import { openFeedback } from '../lib/feedback';
+
+// Compact fallback for a single dashboard card, used as an ErrorBoundary
+// `fallback` render prop so one crashing demo doesn't replace the page.
+function SectionErrorFallback({ name, error, reset, retryCount, maxRetries, canRetry, note }) {
+  return (
+    <div className="card" style={{
+      backgroundColor: '#fff3cd',
+      borderLeft: '4px solid #ffc107'
+    }}>
+      <h3 style={{ color: '#856404', marginBottom: '10px' }}>
+        ⚠️ {name} crashed
+      </h3>
+      <p style={{ color: '#856404', fontSize: '14px', marginBottom: '10px' }}>
+        The error has been reported to LaunchDarkly Observability. The rest of the dashboard
+        keeps working.
+      </p>
+      {error && (
+        <code style={{
+          display: 'block',
+          padding: '10px',
+          backgroundColor: '#fff',
+          borderRadius: '4px',
+          color: '#d9534f',
+          whiteSpace: 'pre-wrap',
+          wordBreak: 'break-word',
+          marginBottom: '15px'
+        }}>
+          {error.toString()}
+        </code>
+      )}
+      {note && (
+        <p style={{ color: '#856404', fontSize: '13px', marginBottom: '15px' }}>{note}</p>
+      )}
+      <div className="button-group" style={{ alignItems: 'center' }}>
+        {canRetry ? (
+          <button
+            onClick={reset}
+            style={{ backgroundColor: '#ffc107', color: '#856404' }}
+          >
+            Retry{Number.isFinite(maxRetries) ? ` (${maxRetries - retryCount} left)` : ''}
+          </button>
+        ) : (
+          <p style={{ color: '#856404', fontSize: '14px', margin: 0 }}>
+            Retried {retryCount} times without success. Reload the page to try again.
+          </p>
+        )}
+        <button
+          onClick={() => openFeedback(`error_boundary:${name}`)}
+          style={{ backgroundColor: 'transparent', color: '#856404', boxShadow: 'none' }}
+        >
+          Report a problem
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SectionErrorFallback;
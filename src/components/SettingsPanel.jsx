@@ -0,0 +1,182 @@
+import { useState } from 'react';
+import {
+  PRIVACY_SETTINGS,
+  runningPluginConfig,
+  getRunningPluginOptions,
+  savePluginConfig,
+  resetPluginConfig,
+} from '../lib/pluginConfig';
+import { clearConsent } from '../lib/consent';
+
+// JSON.stringify drops RegExp and function values, so print them in literal form
+function formatOptions(options) {
+  return JSON.stringify(
+    options,
+    (key, value) => {
+      if (value instanceof RegExp) return value.toString();
+      if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+      return value;
+    },
+    2
+  );
+}
+
+const toLines = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+function SettingsPanel() {
+  const [draft, setDraft] = useState(runningPluginConfig);
+  const [patternsText, setPatternsText] = useState(runningPluginConfig.tracingOrigins.patterns.join('\n'));
+  const [blocklistText, setBlocklistText] = useState(runningPluginConfig.networkRecording.urlBlocklist.join('\n'));
+
+  const patterns = toLines(patternsText);
+  const nextConfig = {
+    ...draft,
+    tracingOrigins: { ...draft.tracingOrigins, patterns },
+    networkRecording: { ...draft.networkRecording, urlBlocklist: toLines(blocklistText) },
+  };
+  const isDirty = JSON.stringify(nextConfig) !== JSON.stringify(runningPluginConfig);
+
+  const updateDraft = (section, key, value) => {
+    setDraft(prev => (key === null
+      ? { ...prev, [section]: value }
+      : { ...prev, [section]: { ...prev[section], [key]: value } }));
+  };
+
+  const handleSave = () => {
+    savePluginConfig(nextConfig);
+    window.location.reload();
+  };
+
+  const handleReset = () => {
+    resetPluginConfig();
+    clearConsent();
+    window.location.reload();
+  };
+
+  const labelStyle = { display: 'block', fontWeight: '600', color: '#333', marginBottom: '6px' };
+  const checkboxLabelStyle = { display: 'flex', alignItems: 'center', gap: '8px', color: '#333', marginBottom: '8px' };
+
+  return (
+    <div className="card">
+      <h2>⚙️ Plugin Configuration</h2>
+      <p>
+        Change the Observability and Session Replay plugin options. Settings are stored in
+        localStorage and applied when the page reloads.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))', gap: '20px' }}>
+        <div>
+          <label style={labelStyle}>Tracing origins</label>
+          <select
+            value={draft.tracingOrigins.mode}
+            onChange={(event) => updateDraft('tracingOrigins', 'mode', event.target.value)}
+          >
+            <option value="all">All requests (true)</option>
+            <option value="list">Listed origins only</option>
+            <option value="off">Disabled (false)</option>
+          </select>
+          {draft.tracingOrigins.mode === 'list' && (
+            <>
+              <textarea
+                rows="3"
+                value={patternsText}
+                onChange={(event) => setPatternsText(event.target.value)}
+                placeholder={'localhost\n/^https:\\/\\/.*\\.example\\.com/'}
+                style={{ marginTop: '8px', fontFamily: 'monospace' }}
+              />
+              <div style={{ fontSize: '12px', color: '#666', marginTop: '4px' }}>
+                One origin per line. Wrap a line in slashes to use it as a regex.
+              </div>
+            </>
+          )}
+        </div>
+
+        <div>
+          <label style={labelStyle}>Network recording</label>
+          <label style={checkboxLabelStyle}>
+            <input
+              type="checkbox"
+              checked={draft.networkRecording.enabled}
+              onChange={(event) => updateDraft('networkRecording', 'enabled', event.target.checked)}
+              style={{ width: 'auto' }}
+            />
+            Record network requests
+          </label>
+          <label style={checkboxLabelStyle}>
+            <input
+              type="checkbox"
+              checked={draft.networkRecording.recordHeadersAndBody}
+              disabled={!draft.networkRecording.enabled}
+              onChange={(event) => updateDraft('networkRecording', 'recordHeadersAndBody', event.target.checked)}
+              style={{ width: 'auto' }}
+            />
+            Capture headers and bodies
+          </label>
+          <textarea
+            rows="2"
+            value={blocklistText}
+            onChange={(event) => setBlocklistText(event.target.value)}
+            placeholder="URL block list, one per line"
+            style={{ fontFamily: 'monospace' }}
+          />
+        </div>
+
+        <div>
+          <label style={labelStyle}>Session replay privacy</label>
+          <select
+            value={draft.privacySetting}
+            onChange={(event) => updateDraft('privacySetting', null, event.target.value)}
+          >
+            {PRIVACY_SETTINGS.map(setting => (
+              <option key={setting} value={setting}>{setting}</option>
+            ))}
+          </select>
+
+          <label style={{ ...checkboxLabelStyle, marginTop: '15px' }}>
+            <input
+              type="checkbox"
+              checked={draft.manualStart}
+              onChange={(event) => updateDraft('manualStart', null, event.target.checked)}
+              style={{ width: 'auto' }}
+            />
+            <span>Ask for consent before recording (<code>manualStart</code>)</span>
+          </label>
+        </div>
+      </div>
+
+      <div className="button-group" style={{ marginTop: '20px' }}>
+        <button onClick={handleSave} disabled={!isDirty}>
+          Save & Reload
+        </button>
+        <button onClick={handleReset} style={{ backgroundColor: '#9e9e9e' }}>
+          Reset to Defaults
+        </button>
+      </div>
+
+      {isDirty && (
+        <div className="status-badge info">Unsaved changes: save to reload with the new options</div>
+      )}
+
+      <details style={{ marginTop: '20px', fontSize: '14px' }}>
+        <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#555', marginBottom: '10px' }}>
+          View Running Configuration
+        </summary>
+        <pre style={{
+          marginTop: '10px',
+          padding: '12px',
+          backgroundColor: '#f8f9fa',
+          borderRadius: '4px',
+          border: '1px solid #ddd',
+          overflow: 'auto',
+          fontSize: '12px'
+        }}>
+{`new Observability(${formatOptions(getRunningPluginOptions()?.observability)})
+
+new SessionReplay(${formatOptions(getRunningPluginOptions()?.sessionReplay)})`}
+        </pre>
+      </details>
+    </div>
+  );
+}
+
+export default SettingsPanel;
@@ -0,0 +1,87 @@
+import { SpanStatusCode } from '../lib/tracing';
+
+const STATUS_STYLES = {
+  [SpanStatusCode.UNSET]: { label: 'UNSET', color: '#9e9e9e' },
+  [SpanStatusCode.OK]: { label: 'OK', color: '#4caf50' },
+  [SpanStatusCode.ERROR]: { label: 'ERROR', color: '#f44336' },
+};
+
+function descendantsOf(span, spans) {
+  const children = spans.filter(candidate => candidate.parentId === span.id);
+  return children.flatMap(child => [child, ...descendantsOf(child, spans)]);
+}
+
+function spanTimeline(spans) {
+  const start = Math.min(...spans.map(span => span.startTime));
+  const end = Math.max(...spans.map(span => span.startTime + span.durationMs));
+  return { start, total: Math.max(end - start, 1) };
+}
+
+// One row per span: name, status, duration, a bar placed on the trace's
+// timeline, then its attributes and child spans
+function SpanTreeNode({ span, spans, timeline, depth = 0 }) {
+  const status = STATUS_STYLES[span.statusCode] || STATUS_STYLES[SpanStatusCode.UNSET];
+  const children = spans.filter(candidate => candidate.parentId === span.id);
+  const offset = ((span.startTime - timeline.start) / timeline.total) * 100;
+  const width = Math.max((span.durationMs / timeline.total) * 100, 1);
+
+  return (
+    <div style={{ marginLeft: depth ? '20px' : 0, borderLeft: depth ? '1px dashed #ccc' : 'none', paddingLeft: depth ? '10px' : 0 }}>
+      <div style={{ padding: '6px 0' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', gap: '10px' }}>
+          <span>
+            <strong>{span.name}</strong>{' '}
+            <span style={{ color: status.color, fontWeight: '600' }}>{status.label}</span>
+            {span.statusMessage && <span style={{ color: '#f44336' }}> - {span.statusMessage}</span>}
+          </span>
+          <span style={{ color: '#666' }}>{span.durationMs} ms</span>
+        </div>
+        <div style={{ position: 'relative', height: '6px', backgroundColor: '#eee', borderRadius: '3px', margin: '4px 0' }}>
+          <div style={{
+            position: 'absolute',
+            left: `${offset}%`,
+            width: `${width}%`,
+            height: '100%',
+            backgroundColor: status.color,
+            borderRadius: '3px'
+          }} />
+        </div>
+        <div style={{ color: '#666', wordBreak: 'break-word' }}>{JSON.stringify(span.attributes)}</div>
+        {span.events?.length > 0 && (
+          <div style={{ color: '#999' }}>events: {span.events.map(event => event.name).join(', ')}</div>
+        )}
+      </div>
+      {children.map(childSpan => (
+        <SpanTreeNode key={childSpan.id} span={childSpan} spans={spans} timeline={timeline} depth={depth + 1} />
+      ))}
+    </div>
+  );
+}
+
+// Renders finished span records ({ id, parentId, name, startTime, durationMs,
+// statusCode, statusMessage, attributes, [events] }) as one waterfall per root span.
+// Spans whose parent hasn't ended yet show up as roots until it does.
+function SpanWaterfall({ spans }) {
+  const roots = spans.filter(span => !spans.some(candidate => candidate.id === span.parentId));
+
+  return (
+    <div style={{
+      padding: '10px',
+      backgroundColor: '#f8f9fa',
+      borderRadius: '8px',
+      fontFamily: 'monospace',
+      fontSize: '12px'
+    }}>
+      {roots.map(root => (
+        <SpanTreeNode
+          key={root.id}
+          span={root}
+          spans={spans}
+          timeline={spanTimeline([root, ...descendantsOf(root, spans)])}
+        />
+      ))}
+    </div>
+  );
+}
+
+export default SpanWaterfall;
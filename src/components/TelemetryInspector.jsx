@@ -0,0 +1,195 @@
+import { useState } from 'react';
+import { exportedTelemetryStore, clearExportedTelemetry } from '../lib/localExporter';
+import { LOG_LEVELS } from '../lib/logger';
+import SpanWaterfall from './SpanWaterfall';
+import useStore from '../hooks/useStore';
+
+const TABS = [
+  { key: 'spans', label: 'Spans' },
+  { key: 'logs', label: 'Logs' },
+  { key: 'errors', label: 'Errors' },
+  { key: 'metrics', label: 'Metrics' },
+];
+
+const LEVEL_COLORS = {
+  debug: '#9e9e9e',
+  info: '#2196f3',
+  warn: '#ff9800',
+  error: '#d9534f',
+};
+
+const listStyle = {
+  fontFamily: 'monospace',
+  fontSize: '12px',
+  backgroundColor: '#f8f9fa',
+  borderRadius: '8px',
+  padding: '10px'
+};
+
+const rowStyle = { padding: '6px 0', borderBottom: '1px solid #eee' };
+
+function LogStream({ logs }) {
+  const [levels, setLevels] = useState(LOG_LEVELS);
+
+  const toggleLevel = (level) => {
+    setLevels(prev => (prev.includes(level) ? prev.filter(item => item !== level) : [...prev, level]));
+  };
+
+  // Levels outside LOG_LEVELS (e.g. from the SDK itself) are always shown
+  const visible = logs.filter(log => !LOG_LEVELS.includes(log.level) || levels.includes(log.level));
+
+  return (
+    <>
+      <div style={{ display: 'flex', gap: '12px', marginBottom: '10px', flexWrap: 'wrap' }}>
+        {LOG_LEVELS.map(level => (
+          <label key={level} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '14px', color: LEVEL_COLORS[level] }}>
+            <input
+              type="checkbox"
+              checked={levels.includes(level)}
+              onChange={() => toggleLevel(level)}
+              style={{ width: 'auto' }}
+            />
+            {level} ({logs.filter(log => log.level === level).length})
+          </label>
+        ))}
+      </div>
+      <div style={listStyle}>
+        {visible.length === 0 && <div style={{ color: '#999' }}>No logs.</div>}
+        {visible.slice().reverse().map(log => (
+          <div key={log.id} style={rowStyle}>
+            <span style={{ color: '#999' }}>{log.timestamp.slice(11, 23)}</span>{' '}
+            <strong style={{ color: LEVEL_COLORS[log.level] || '#333' }}>{String(log.level).toUpperCase()}</strong>{' '}
+            {log.message}
+            <div style={{ color: '#666', wordBreak: 'break-word' }}>{JSON.stringify(log.attributes)}</div>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
+
+function ErrorList({ errors }) {
+  return (
+    <div style={listStyle}>
+      {errors.length === 0 && <div style={{ color: '#999' }}>No errors.</div>}
+      {errors.slice().reverse().map(error => (
+        <details key={error.id} style={rowStyle}>
+          <summary style={{ cursor: 'pointer' }}>
+            <span style={{ color: '#999' }}>{error.timestamp.slice(11, 23)}</span>{' '}
+            <strong style={{ color: '#d9534f' }}>{error.name}</strong>: {error.message}
+            <div style={{ color: '#666', marginLeft: '14px' }}>
+              {error.description} · {error.source || 'unknown source'} · {error.type || 'custom'}
+            </div>
+          </summary>
+          {Object.keys(error.payload).length > 0 && (
+            <div style={{ color: '#666', wordBreak: 'break-word', marginTop: '6px' }}>
+              {JSON.stringify(error.payload)}
+            </div>
+          )}
+          <pre style={{ marginTop: '6px', whiteSpace: 'pre-wrap', color: '#333' }}>
+            {error.stack || 'No stack trace'}
+          </pre>
+        </details>
+      ))}
+    </div>
+  );
+}
+
+function MetricList({ metrics }) {
+  return (
+    <div style={listStyle}>
+      {metrics.length === 0 && <div style={{ color: '#999' }}>No metrics.</div>}
+      {metrics.slice().reverse().map(metric => (
+        <div key={metric.id} style={rowStyle}>
+          <span style={{ color: '#999' }}>{metric.timestamp.slice(11, 23)}</span>{' '}
+          <strong>{metric.name}</strong> <span style={{ color: '#009688' }}>{metric.type}</span> = {metric.value}
+          <div style={{ color: '#666', wordBreak: 'break-word' }}>{JSON.stringify(metric.attributes)}</div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Development-only drawer over the dashboard showing what the local exporter
+// captured, so instrumentation can be checked without the LaunchDarkly UI
+function TelemetryInspector() {
+  const telemetry = useStore(exportedTelemetryStore);
+  const [open, setOpen] = useState(false);
+  const [tab, setTab] = useState('spans');
+
+  if (!open) {
+    return (
+      <button
+        onClick={() => setOpen(true)}
+        style={{
+          position: 'fixed',
+          bottom: '20px',
+          right: '20px',
+          zIndex: 1000,
+          padding: '8px 16px',
+          fontSize: '14px',
+          backgroundColor: '#333'
+        }}
+      >
+        🧪 Telemetry Inspector ({telemetry.spans.length + telemetry.logs.length + telemetry.errors.length + telemetry.metrics.length})
+      </button>
+    );
+  }
+
+  return (
+    <aside
+      aria-label="Telemetry Inspector"
+      style={{
+        position: 'fixed',
+        top: 0,
+        right: 0,
+        bottom: 0,
+        width: 'min(560px, 100%)',
+        zIndex: 1001,
+        backgroundColor: 'white',
+        boxShadow: '-8px 0 24px rgba(0, 0, 0, 0.25)',
+        padding: '20px',
+        overflow: 'auto'
+      }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+        <h3 style={{ color: '#333' }}>🧪 Telemetry Inspector</h3>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button onClick={clearExportedTelemetry} style={{ padding: '6px 14px', backgroundColor: '#9e9e9e' }}>
+            Clear
+          </button>
+          <button onClick={() => setOpen(false)} style={{ padding: '6px 14px', backgroundColor: '#333' }}>
+            Close
+          </button>
+        </div>
+      </div>
+      <p style={{ fontSize: '13px', color: '#666', marginBottom: '15px' }}>
+        Captured locally from every <code>LDObserve</code> call in this tab, whether or not telemetry is
+        running or LaunchDarkly is reachable. Development builds only.
+      </p>
+
+      <div className="button-group" style={{ marginBottom: '15px' }}>
+        {TABS.map(({ key, label }) => (
+          <button
+            key={key}
+            onClick={() => setTab(key)}
+            style={{ padding: '6px 14px', backgroundColor: tab === key ? '#667eea' : '#bdbdbd' }}
+          >
+            {label} ({telemetry[key].length})
+          </button>
+        ))}
+      </div>
+
+      {tab === 'spans' && (
+        telemetry.spans.length > 0
+          ? <SpanWaterfall spans={telemetry.spans} />
+          : <div style={{ ...listStyle, color: '#999' }}>No finished spans.</div>
+      )}
+      {tab === 'logs' && <LogStream logs={telemetry.logs} />}
+      {tab === 'errors' && <ErrorList errors={telemetry.errors} />}
+      {tab === 'metrics' && <MetricList metrics={telemetry.metrics} />}
+    </aside>
+  );
+}
+
+export default TelemetryInspector;
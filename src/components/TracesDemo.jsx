@@ -1,10 +1,87 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
 import { LDObserve } from '@launchdarkly/observability';
+import useSpan from '../hooks/useSpan';
+import { SpanStatusCode, subscribeToSpans } from '../lib/tracing';
+import { subscribeToLongTasks, supportedEntryType } from '../lib/longTasks';
+import SpanWaterfall from './SpanWaterfall';
+import FlagAttributesNote from './FlagAttributesNote';
+
+const WORKFLOW_STEPS = [
+  { name: 'workflow.step.validate', label: 'Validating input' },
+  { name: 'workflow.step.process', label: 'Processing data' },
+  { name: 'workflow.step.persist', label: 'Saving results' },
+];
+
+// Heavy render mode: every render blocks the main thread this long, the way
+// an expensive list or chart would
+const HEAVY_RENDER_MS = 80;
+
+function blockMainThread(ms) {
+  const end = performance.now() + ms;
+  while (performance.now() < end) {
+    // Busy wait
+  }
+}
+
+const BLOCKING_COMPUTATION_MS = 400;
+// How long to wait for the browser to report the block before giving up
+const LONG_TASK_REPORT_TIMEOUT_MS = 5000;
+
+// Deliberately blocking: counts primes by trial division until `ms` have passed
+function countPrimesFor(ms) {
+  const end = performance.now() + ms;
+  let count = 0;
+  for (let candidate = 2; performance.now() < end; candidate++) {
+    let isPrime = true;
+    for (let divisor = 2; divisor * divisor <= candidate; divisor++) {
+      if (candidate % divisor === 0) {
+        isPrime = false;
+        break;
+      }
+    }
+    if (isPrime) count++;
+  }
+  return count;
+}
+
+function describeLongTask(record) {
+  const kind = record.entryType === 'long-animation-frame' ? 'long animation frame' : 'long task';
+  const script = record.slowestScript;
+  const parts = [`✓ Detected a ${record.durationMs} ms ${kind}${record.freeze ? ' (UI freeze)' : ''}`];
+  if (script) {
+    parts.push(`slowest script: ${script.sourceFunctionName || script.invoker || 'unknown'} (${script.durationMs} ms)`);
+  }
+  if (record.interaction) {
+    parts.push(`caused by ${record.interaction.type} on ${record.interaction.target}`);
+  }
+  return parts.join(', ');
+}
 
 function TracesDemo() {
   const [autoResult, setAutoResult] = useState(null);
   const [manualResult, setManualResult] = useState(null);
   const [manualProgress, setManualProgress] = useState('');
+  const [failAtStep, setFailAtStep] = useState(0);
+  const [stepLatencyMs, setStepLatencyMs] = useState(600);
+  const [workflowSpans, setWorkflowSpans] = useState([]);
+  const [heavyRender, setHeavyRender] = useState(false);
+  const [renderCount, setRenderCount] = useState(0);
+  const [blockingResult, setBlockingResult] = useState(null);
+  // Stops waiting for the blocking computation's long task report
+  const stopWaitingForLongTask = useRef(null);
+  const workflow = useSpan('workflow.multi_step', {
+    'operation.type': 'multi_step_workflow',
+    component: 'TracesDemo',
+  });
+
+  // Children end before their parent, so the tree fills in bottom-up
+  useEffect(() => subscribeToSpans((record) => {
+    if (record.name.startsWith('workflow.')) {
+      setWorkflowSpans(prev => [...prev, record]);
+    }
+  }), []);
+
+  useEffect(() => () => stopWaitingForLongTask.current?.(), []);
 
   const handleAutomaticSpan = async () => {
     setAutoResult('Processing...');
@@ -27,68 +104,97 @@ function TracesDemo() {
       
       span.setAttribute('response.status', 200);
       span.setAttribute('response.title', simulatedData.title);
+      span.setStatus({ code: SpanStatusCode.OK });
       
       setAutoResult(`✓ Fetched: "${simulatedData.title}"`);
       // Span ends automatically here when callback completes
     });
   };
 
-  const handleManualSpan = async () => {
-    setManualResult('Processing...');
-    setManualProgress('Step 1/3: Starting...');
-    
+  const runWorkflow = async () => {
+    setManualResult(null);
+    setWorkflowSpans([]);
     let completedSteps = 0;
-    
-    // Manual span - you control when the span ends by calling span.end()
-    LDObserve.startManualSpan('workflow.multi_step', async (span) => {
+    let failure = null;
+
+    // Parent span with one child span per step. Each child is timed on its
+    // own, and a failing child marks itself and the parent as ERROR.
+    const result = await workflow.run(async (span, child) => {
+      span.setAttribute('workflow.total_steps', WORKFLOW_STEPS.length);
+      span.setAttribute('workflow.fail_at_step', failAtStep);
+      span.setAttribute('workflow.step_latency_ms', stepLatencyMs);
       try {
-        span.setAttribute('operation.type', 'multi_step_workflow');
-        span.setAttribute('workflow.total_steps', 3);
-        
-        // Step 1: Simulate first operation
-        setManualProgress('Step 1/3: Processing first operation...');
-        await new Promise(resolve => setTimeout(resolve, 600));
-        completedSteps = 1;
-        span.setAttribute('step.1.completed', true);
-        span.setAttribute('step.1.timestamp', new Date().toISOString());
-        
-        // Step 2: Simulate second operation
-        setManualProgress('Step 2/3: Processing second operation...');
-        await new Promise(resolve => setTimeout(resolve, 600));
-        completedSteps = 2;
-        span.setAttribute('step.2.completed', true);
-        span.setAttribute('step.2.timestamp', new Date().toISOString());
-        
-        // Step 3: Simulate final operation
-        setManualProgress('Step 3/3: Processing final operation...');
-        await new Promise(resolve => setTimeout(resolve, 600));
-        completedSteps = 3;
-        span.setAttribute('step.3.completed', true);
-        span.setAttribute('step.3.timestamp', new Date().toISOString());
-        span.setAttribute('workflow.success', true);
-        
-        span.setStatus({ code: 1 });
-        setManualResult(`✓ Completed ${completedSteps}/3 steps!`);
-        setManualProgress('');
-        
+        for (const [index, step] of WORKFLOW_STEPS.entries()) {
+          const stepNumber = index + 1;
+          setManualProgress(`Step ${stepNumber}/${WORKFLOW_STEPS.length}: ${step.label}...`);
+          await child(step.name, async () => {
+            await new Promise(resolve => setTimeout(resolve, stepLatencyMs));
+            if (stepNumber === failAtStep) {
+              throw new Error(`${step.label} failed`);
+            }
+          }, { 'step.number': stepNumber, 'step.label': step.label });
+          completedSteps = stepNumber;
+        }
+        span.setAttribute('workflow.completed_steps', completedSteps);
+        return completedSteps;
       } catch (error) {
-        console.error('Manual span error:', error);
-        span.setStatus({ code: 2, message: error.message });
-        
+        failure = error;
+        span.setAttribute('workflow.completed_steps', completedSteps);
+
         // Record error using the same pattern as ErrorDemo
         LDObserve.recordError(error, 'Multi-step workflow failed', {
           component: 'TracesDemo.jsx',
+          'workflow.failed_step': String(completedSteps + 1),
         });
-        
-        setManualResult(`✗ Error after ${completedSteps}/3 steps: ${error.message}`);
-        setManualProgress('');
-      } finally {
-        // IMPORTANT: You must explicitly call span.end()
-        span.end();
+        throw error;
       }
     });
+
+    setManualProgress('');
+    if (result === undefined) {
+      setManualResult(`✗ Failed at step ${completedSteps + 1}/${WORKFLOW_STEPS.length}: ${failure.message}`);
+    } else {
+      setManualResult(`✓ Completed ${result}/${WORKFLOW_STEPS.length} steps!`);
+    }
+  };
+
+  const handleBlockingComputation = () => {
+    const entryType = supportedEntryType();
+    if (entryType) {
+      setBlockingResult('⏳ Waiting for the browser to report the block...');
+      stopWaitingForLongTask.current?.();
+      // The observer reports the block after it ends; skip unrelated short ones
+      const unsubscribe = subscribeToLongTasks((record) => {
+        if (record.durationMs < BLOCKING_COMPUTATION_MS) return;
+        stopWaitingForLongTask.current();
+        setBlockingResult(describeLongTask(record));
+      });
+      const timer = setTimeout(() => {
+        stopWaitingForLongTask.current();
+        setBlockingResult('✗ The browser didn\'t report the block in time');
+      }, LONG_TASK_REPORT_TIMEOUT_MS);
+      stopWaitingForLongTask.current = () => {
+        unsubscribe();
+        clearTimeout(timer);
+        stopWaitingForLongTask.current = null;
+      };
+    }
+
+    LDObserve.startSpan('traces_demo.blocking_computation', (span) => {
+      const primes = countPrimesFor(BLOCKING_COMPUTATION_MS);
+      span.setAttribute('computation.primes_found', primes);
+      span.setAttribute('computation.duration_ms', BLOCKING_COMPUTATION_MS);
+    });
+
+    if (!entryType) {
+      setBlockingResult('✗ This browser reports neither long animation frames nor long tasks');
+    }
   };
 
+  if (heavyRender) {
+    blockMainThread(HEAVY_RENDER_MS);
+  }
+
   return (
     <div className="card">
       <h2>🔍 Traces Demo</h2>
@@ -185,6 +291,7 @@ LDObserve.startSpan('api.fetch.simple', async (span) => {
   
   span.setAttribute('response.status', 200);
   span.setAttribute('response.title', 'Data loaded successfully');
+  span.setStatus({ code: SpanStatusCode.OK }); // from './lib/tracing'
   
   // Span ends here automatically
 });`}
@@ -195,20 +302,52 @@ LDObserve.startSpan('api.fetch.simple', async (span) => {
 
       <hr style={{ margin: '30px 0', border: 'none', borderTop: '1px solid #ddd' }} />
 
-      {/* Manual Span Example */}
+      {/* Nested Span Example */}
       <div style={{ marginTop: '30px', marginBottom: '20px' }}>
         <h3 style={{ marginBottom: '10px', color: '#333' }}>
-          Example 2: Manual Span (startManualSpan)
+          Example 2: Nested Spans Across await (traced)
         </h3>
         <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
-          For operations where you need explicit control over when the span ends. Unlike automatic spans,
-          you must call <code>span.end()</code> yourself - perfect for complex workflows with multiple steps.
+          A parent <code>workflow.multi_step</code> span with one timed child span per step. The{' '}
+          <code>traced</code> helper ends every span for you, sets its status, and records the exception
+          when a step throws - the failure shows up on both the failing step and the workflow.
         </p>
-        
-        <button onClick={handleManualSpan} style={{ backgroundColor: '#9c27b0' }}>
-          Run Multi-Step Workflow
-        </button>
-        
+
+        <div className="button-group" style={{ alignItems: 'center' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            Fail at step
+            <select
+              value={failAtStep}
+              onChange={(event) => setFailAtStep(Number(event.target.value))}
+              style={{ width: 'auto' }}
+            >
+              <option value={0}>Never</option>
+              {WORKFLOW_STEPS.map((step, index) => (
+                <option key={step.name} value={index + 1}>{index + 1} ({step.label})</option>
+              ))}
+            </select>
+          </label>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            Step latency: {stepLatencyMs} ms
+            <input
+              type="range"
+              min="100"
+              max="2000"
+              step="100"
+              value={stepLatencyMs}
+              onChange={(event) => setStepLatencyMs(Number(event.target.value))}
+              style={{ width: '150px', padding: 0 }}
+            />
+          </label>
+          <button
+            onClick={runWorkflow}
+            disabled={workflow.status === 'running'}
+            style={{ backgroundColor: failAtStep ? '#f44336' : '#9c27b0' }}
+          >
+            Run Multi-Step Workflow
+          </button>
+        </div>
+
         {manualProgress && (
           <div style={{
             marginTop: '15px',
@@ -233,8 +372,21 @@ LDObserve.startSpan('api.fetch.simple', async (span) => {
             fontSize: '14px'
           }}>
             {manualResult}
+            {workflow.durationMs !== null && (
+              <span style={{ color: '#666' }}> ({workflow.durationMs} ms)</span>
+            )}
           </div>
         )}
+
+        {workflowSpans.length > 0 && (
+          <div style={{ marginTop: '15px' }}>
+            <strong style={{ fontSize: '14px', color: '#333' }}>Span Tree</strong>
+            <div style={{ marginTop: '8px' }}>
+              <SpanWaterfall spans={workflowSpans} />
+            </div>
+          </div>
+        )}
+        <FlagAttributesNote signal="span" />
         
         <details style={{ marginTop: '15px', fontSize: '14px' }}>
           <summary style={{ cursor: 'pointer', fontWeight: '600', color: '#555', marginBottom: '10px' }}>
@@ -257,13 +409,15 @@ LDObserve.startSpan('api.fetch.simple', async (span) => {
               border: '1px solid #ddd',
               overflow: 'auto'
             }}>
-{`LDObserve.startManualSpan('operation.name', async (span) => {
-  try {
-    span.setAttribute('key', 'value');
-    // Your operation here
-  } finally {
-    span.end(); // MUST call this!
-  }
+{`import { traced } from './lib/tracing';
+
+await traced('operation.name', async (span, child) => {
+  span.setAttribute('key', 'value');
+  await somethingAsync();
+  // Still nested under operation.name after the await
+  await child('operation.step', async (stepSpan) => {
+    // ...
+  }, { 'step.number': 1 });
 });`}
             </pre>
             <p style={{ marginTop: '10px', color: '#666' }}>
@@ -271,10 +425,14 @@ LDObserve.startSpan('api.fetch.simple', async (span) => {
             </p>
             <ul style={{ marginLeft: '20px', color: '#666', lineHeight: '1.8' }}>
               <li><strong>name</strong> (string): Name of the span operation</li>
-              <li><strong>callback</strong> (function): Async function that receives the span object</li>
+              <li><strong>callback</strong> (function): Receives the span and a <code>child</code> function that starts spans under it</li>
+              <li><strong>attributes</strong> (object, optional): Attributes set when the span starts</li>
             </ul>
             <p style={{ marginTop: '10px', color: '#666' }}>
-              <strong>Important:</strong> You must explicitly call <code>span.end()</code> in a finally block.
+              <strong>Why <code>child</code>?</strong> The active span is lost after the first <code>await</code>,
+              so a plain nested <code>startSpan</code> would start a new trace. <code>child</code> passes the
+              parent explicitly. In components, <code>useSpan(name, attributes)</code> wraps <code>traced</code>{' '}
+              and exposes <code>status</code>, <code>error</code> and <code>durationMs</code> for rendering.
             </p>
           </div>
 
@@ -295,46 +453,87 @@ LDObserve.startSpan('api.fetch.simple', async (span) => {
               border: '1px solid #ddd',
               overflow: 'auto'
             }}>
-{`// Manual span - YOU must call span.end()
-LDObserve.startManualSpan('workflow.multi_step', async (span) => {
-  let completedSteps = 0;
-  
-  try {
-    span.setAttribute('workflow.total_steps', 3);
-    
-    // Step 1
-    await new Promise(resolve => setTimeout(resolve, 600));
-    completedSteps = 1;
-    span.setAttribute('step.1.completed', true);
-    
-    // Step 2
-    await new Promise(resolve => setTimeout(resolve, 600));
-    completedSteps = 2;
-    span.setAttribute('step.2.completed', true);
-    
-    // Step 3
-    await new Promise(resolve => setTimeout(resolve, 600));
-    completedSteps = 3;
-    span.setAttribute('step.3.completed', true);
-    
-    span.setStatus({ code: 'OK' });
-    // Result: Completed 3/3 steps!
-  } catch (error) {
-    span.setStatus({ code: 'ERROR' });
-    
-    // Record error (consistent with ErrorDemo)
-    LDObserve.recordError(error, 'Workflow failed', {
-      component: 'TracesDemo.jsx',
-    });
-  } finally {
-    span.end(); // MUST call this!
-  }
-});`}
+{`const workflow = useSpan('workflow.multi_step');
+
+await workflow.run(async (span, child) => {
+  span.setAttribute('workflow.total_steps', 3);
+
+  await child('workflow.step.validate', () => sleep(600));
+  await child('workflow.step.process', async () => {
+    await sleep(600);
+    throw new Error('Processing data failed');
+    // -> step span: exception recorded, status ERROR
+  });
+  await child('workflow.step.persist', () => sleep(600));
+});
+// -> workflow.multi_step: exception recorded, status ERROR
+// workflow.status === 'error', workflow.error is the Error`}
             </pre>
           </div>
         </details>
       </div>
 
+      <hr style={{ margin: '30px 0', border: 'none', borderTop: '1px solid #ddd' }} />
+
+      {/* Render Performance Example */}
+      <div style={{ marginTop: '30px', marginBottom: '20px' }}>
+        <h3 style={{ marginBottom: '10px', color: '#333' }}>
+          Example 3: Render Performance (React Profiler)
+        </h3>
+        <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+          This card is wrapped in <code>withRenderMetrics</code>, so every render records{' '}
+          <code>react.render.duration</code> and <code>react.commit.duration</code> histograms. Turn on heavy
+          render mode and re-render: renders over 16 ms are also recorded as <code>react.slow_render</code>{' '}
+          span events.
+        </p>
+
+        <div className="button-group" style={{ alignItems: 'center' }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#333', fontSize: '14px' }}>
+            <input
+              type="checkbox"
+              checked={heavyRender}
+              onChange={(event) => setHeavyRender(event.target.checked)}
+              style={{ width: 'auto' }}
+            />
+            Heavy render ({HEAVY_RENDER_MS} ms per render)
+          </label>
+          <button onClick={() => setRenderCount(count => count + 1)} style={{ backgroundColor: '#ff9800' }}>
+            Re-render ({renderCount})
+          </button>
+        </div>
+      </div>
+
+      <hr style={{ margin: '30px 0', border: 'none', borderTop: '1px solid #ddd' }} />
+
+      {/* Long Task Example */}
+      <div style={{ marginTop: '30px', marginBottom: '20px' }}>
+        <h3 style={{ marginBottom: '10px', color: '#333' }}>
+          Example 4: Long Tasks & UI Freezes
+        </h3>
+        <p style={{ fontSize: '14px', color: '#666', marginBottom: '15px' }}>
+          Runs a {BLOCKING_COMPUTATION_MS} ms computation on the main thread. The long task observer records it
+          as a <code>ui.long_animation_frame</code> (or <code>ui.longtask</code>) span with the script that
+          ran and the click that caused it, and counts it in the <code>ui.freeze</code> metric.
+        </p>
+
+        <button onClick={handleBlockingComputation} style={{ backgroundColor: '#f44336' }}>
+          Run Blocking Computation
+        </button>
+
+        {blockingResult && (
+          <div style={{
+            marginTop: '15px',
+            padding: '12px',
+            backgroundColor: blockingResult.startsWith('✓') ? '#e8f5e9' : blockingResult.startsWith('✗') ? '#ffebee' : '#e3f2fd',
+            borderRadius: '6px',
+            borderLeft: `4px solid ${blockingResult.startsWith('✓') ? '#4caf50' : blockingResult.startsWith('✗') ? '#f44336' : '#2196f3'}`,
+            fontSize: '14px'
+          }}>
+            {blockingResult}
+          </div>
+        )}
+      </div>
+
       {/* Key Differences */}
       <div style={{ 
         marginTop: '30px', 
@@ -356,12 +555,12 @@ LDObserve.startManualSpan('workflow.multi_step', async (span) => {
         </div>
 
         <div style={{ marginTop: '15px' }}>
-          <strong style={{ color: '#9c27b0' }}>Manual Span (startManualSpan):</strong>
+          <strong style={{ color: '#9c27b0' }}>Nested Spans (traced):</strong>
           <ul style={{ marginTop: '8px', marginLeft: '20px', lineHeight: '1.8', color: '#666' }}>
-            <li>You explicitly control when the span ends</li>
-            <li>Must call <code>span.end()</code> in a finally block</li>
-            <li>Perfect for tracking multiple steps within one span</li>
-            <li>Use when you need to update span attributes throughout the operation</li>
+            <li>Built on <code>startManualSpan</code>, but always ends the span for you</li>
+            <li>Sets OK or ERROR status and records exceptions automatically</li>
+            <li>Child spans stay under their parent across <code>await</code></li>
+            <li>Perfect for workflows where each step should be timed on its own</li>
           </ul>
         </div>
       </div>
@@ -378,9 +577,9 @@ LDObserve.startManualSpan('workflow.multi_step', async (span) => {
         <strong>💡 Span Methods:</strong>
         <ul style={{ marginTop: '10px', marginLeft: '20px', lineHeight: '1.8' }}>
           <li><code>span.setAttribute(key, value)</code> - Add custom metadata to the span</li>
-          <li><code>span.setStatus(&#123;code: 'OK'|'ERROR'&#125;)</code> - Mark span status</li>
+          <li><code>span.setStatus(&#123; code: SpanStatusCode.OK &#125;)</code> - Mark span status (<code>OK</code> or <code>ERROR</code>, exported from <code>lib/tracing</code>)</li>
           <li><code>span.recordException(error)</code> - Record an error within the span</li>
-          <li><code>span.end()</code> - End the span (manual spans only)</li>
+          <li><code>span.end()</code> - End the span (manual spans only; <code>traced</code> does this for you)</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,123 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import { trace } from '@opentelemetry/api';
+import { getSpan, getSpans } from '../test/mocks/observability';
+import { stubPerformanceObserver } from '../test/mocks/performanceObserver';
+import { installLongTaskObserver } from '../lib/longTasks';
+import { SpanStatusCode } from '../lib/tracing';
+import TracesDemo from './TracesDemo';
+
+async function runWorkflow() {
+  fireEvent.click(screen.getByText('Run Multi-Step Workflow'));
+  await act(() => vi.advanceTimersByTimeAsync(3 * 600));
+}
+
+describe('TracesDemo', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  it('runs the simple fetch in an automatic span', async () => {
+    render(<TracesDemo />);
+    fireEvent.click(screen.getByText('Run Simple API Fetch'));
+    await act(() => vi.advanceTimersByTimeAsync(800));
+
+    expect(LDObserve.startSpan).toHaveBeenCalledWith('api.fetch.simple', expect.any(Function));
+    const span = getSpan('api.fetch.simple');
+    expect(span.attributes).toMatchObject({ 'operation.type': 'simple_fetch', 'response.status': 200 });
+    expect(span.status.code).toBe(SpanStatusCode.OK);
+    expect(span.ended).toBe(true);
+  });
+
+  it('nests one ended child span per step under the workflow span', async () => {
+    render(<TracesDemo />);
+    await runWorkflow();
+
+    expect(getSpans().map(span => span.name)).toEqual([
+      'workflow.multi_step',
+      'workflow.step.validate',
+      'workflow.step.process',
+      'workflow.step.persist',
+    ]);
+    expect(getSpans().every(span => span.ended && span.status.code === SpanStatusCode.OK)).toBe(true);
+    expect(getSpan('workflow.multi_step').attributes).toMatchObject({
+      component: 'TracesDemo',
+      'workflow.completed_steps': 3,
+    });
+
+    // Children are started with a context that holds the parent span
+    const [, , parentContext] = LDObserve.startManualSpan.mock.calls[1];
+    expect(trace.getSpan(parentContext)).toBe(getSpan('workflow.multi_step'));
+
+    expect(screen.getByText(/Completed 3\/3 steps/)).toBeInTheDocument();
+  });
+
+  it('marks the failing step and the workflow as errors', async () => {
+    render(<TracesDemo />);
+    fireEvent.change(screen.getByDisplayValue('Never'), { target: { value: '2' } });
+    await runWorkflow();
+
+    const step = getSpan('workflow.step.process');
+    const workflow = getSpan('workflow.multi_step');
+    expect(step.status).toEqual({ code: SpanStatusCode.ERROR, message: 'Processing data failed' });
+    expect(step.exceptions[0].message).toBe('Processing data failed');
+    expect(workflow.status.code).toBe(SpanStatusCode.ERROR);
+    expect(workflow.exceptions[0]).toBe(step.exceptions[0]);
+    expect(workflow.ended).toBe(true);
+    expect(getSpan('workflow.step.persist')).toBeUndefined();
+
+    expect(LDObserve.recordError).toHaveBeenCalledWith(
+      step.exceptions[0],
+      'Multi-step workflow failed',
+      { component: 'TracesDemo.jsx', 'workflow.failed_step': '2' }
+    );
+    expect(screen.getByText(/Failed at step 2\/3/)).toBeInTheDocument();
+  });
+
+  it('detects the blocking computation as a long animation frame', () => {
+    // The computation runs on the real clock
+    vi.useRealTimers();
+    const { report } = stubPerformanceObserver(['long-animation-frame']);
+    const uninstall = installLongTaskObserver();
+    render(<TracesDemo />);
+
+    // jsdom stamps events with Date.now(); browsers use the performance clock
+    const click = new MouseEvent('click', { bubbles: true });
+    Object.defineProperty(click, 'timeStamp', { value: performance.now() });
+    fireEvent(screen.getByText('Run Blocking Computation'), click);
+    expect(getSpan('traces_demo.blocking_computation').attributes['computation.primes_found']).toBeGreaterThan(0);
+    expect(screen.getByText(/Waiting for the browser/)).toBeInTheDocument();
+
+    act(() => report([{
+      entryType: 'long-animation-frame',
+      startTime: performance.now() - 420,
+      duration: 420,
+      blockingDuration: 370,
+      scripts: [{ invoker: 'BUTTON.onclick', invokerType: 'event-listener', sourceFunctionName: 'handleBlockingComputation', startTime: performance.now() - 415, duration: 405 }],
+    }]));
+
+    expect(screen.getByText(
+      '✓ Detected a 420 ms long animation frame (UI freeze), slowest script: handleBlockingComputation (405 ms), '
+      + 'caused by click on button "Run Blocking Computation"'
+    )).toBeInTheDocument();
+    uninstall();
+  });
+
+  it('stops waiting for the long task report after a timeout', () => {
+    // Fake only the timers; the computation still runs on the real clock
+    vi.useRealTimers();
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    const { report } = stubPerformanceObserver(['long-animation-frame']);
+    const uninstall = installLongTaskObserver();
+    render(<TracesDemo />);
+
+    fireEvent.click(screen.getByText('Run Blocking Computation'));
+    act(() => vi.advanceTimersByTime(5000));
+    expect(screen.getByText('✗ The browser didn\'t report the block in time')).toBeInTheDocument();
+
+    act(() => report([{ entryType: 'long-animation-frame', startTime: performance.now() - 420, duration: 420, blockingDuration: 370, scripts: [] }]));
+    expect(screen.queryByText(/Detected a 420 ms/)).not.toBeInTheDocument();
+    uninstall();
+  });
+});
@@ -0,0 +1,64 @@
+import { useEffect, useState } from 'react';
+import { LDObserve } from '@launchdarkly/observability';
+import { trace } from '@opentelemetry/api';
+import { useLDClient } from 'launchdarkly-react-client-sdk';
+import logger from '../lib/logger';
+
+const MAX_CHANGES = 10;
+
+// Attribute values must be primitives, so JSON flag values are stringified
+function attributeValue(value) {
+  if (value === undefined) return 'undefined';
+  return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// Subscribes to the LaunchDarkly client's `change` events. Every changed flag
+// is logged with its old and new value and added as an event to the active
+// span (or a short `feature_flag.change` span when none is active), so flag
+// flips line up with errors and performance changes in the same session.
+// Returns the most recent changes, newest first.
+export default function useFlagChangeTracking() {
+  const ldClient = useLDClient();
+  const [changes, setChanges] = useState([]);
+
+  useEffect(() => {
+    if (!ldClient) return undefined;
+
+    const handleChange = (changedFlags) => {
+      const timestamp = new Date().toISOString();
+      const entries = Object.entries(changedFlags).map(([key, { current, previous }]) => ({
+        key,
+        previous,
+        current,
+        timestamp,
+      }));
+
+      entries.forEach(({ key, previous, current }) => {
+        const attributes = {
+          'feature_flag.key': key,
+          'feature_flag.provider_name': 'LaunchDarkly',
+          'feature_flag.previous_value': attributeValue(previous),
+          'feature_flag.value': attributeValue(current),
+        };
+
+        logger.info(`Feature flag "${key}" changed`, attributes);
+
+        const activeSpan = trace.getActiveSpan();
+        if (activeSpan) {
+          activeSpan.addEvent('feature_flag.change', attributes);
+        } else {
+          LDObserve.startSpan('feature_flag.change', { attributes }, (span) => {
+            span.addEvent('feature_flag.change', attributes);
+          });
+        }
+      });
+
+      setChanges(prev => [...entries.reverse(), ...prev].slice(0, MAX_CHANGES));
+    };
+
+    ldClient.on('change', handleChange);
+    return () => ldClient.off('change', handleChange);
+  }, [ldClient]);
+
+  return changes;
+}
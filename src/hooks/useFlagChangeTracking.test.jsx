@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { LDObserve } from '@launchdarkly/observability';
+import { emitMockClientEvent, mockLDClient } from 'launchdarkly-react-client-sdk';
+import { getSpan } from '../test/mocks/observability';
+import useFlagChangeTracking from './useFlagChangeTracking';
+
+describe('useFlagChangeTracking', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+  });
+
+  it('logs each change with the flag key and old and new values', () => {
+    renderHook(() => useFlagChangeTracking());
+
+    act(() => emitMockClientEvent('change', {
+      'release-fancy-widget': { previous: false, current: true },
+      'widget-layout': { previous: { columns: 1 }, current: { columns: 2 } },
+    }));
+
+    expect(LDObserve.recordLog).toHaveBeenCalledWith('Feature flag "release-fancy-widget" changed', 'info', {
+      'feature_flag.key': 'release-fancy-widget',
+      'feature_flag.provider_name': 'LaunchDarkly',
+      'feature_flag.previous_value': false,
+      'feature_flag.value': true,
+    });
+    expect(LDObserve.recordLog).toHaveBeenCalledWith(
+      'Feature flag "widget-layout" changed',
+      'info',
+      expect.objectContaining({
+        'feature_flag.previous_value': '{"columns":1}',
+        'feature_flag.value': '{"columns":2}',
+      })
+    );
+  });
+
+  it('adds a span event for each change', () => {
+    renderHook(() => useFlagChangeTracking());
+
+    act(() => emitMockClientEvent('change', {
+      'release-fancy-widget': { previous: true, current: false },
+    }));
+
+    expect(getSpan('feature_flag.change').events).toEqual([{
+      name: 'feature_flag.change',
+      attributes: expect.objectContaining({ 'feature_flag.key': 'release-fancy-widget', 'feature_flag.value': false }),
+    }]);
+  });
+
+  it('returns recent changes newest first and unsubscribes on unmount', () => {
+    const { result, unmount } = renderHook(() => useFlagChangeTracking());
+
+    act(() => emitMockClientEvent('change', { first: { previous: 1, current: 2 } }));
+    act(() => emitMockClientEvent('change', { second: { previous: 'a', current: 'b' } }));
+    expect(result.current.map(change => change.key)).toEqual(['second', 'first']);
+
+    unmount();
+    expect(mockLDClient.off).toHaveBeenCalledWith('change', expect.any(Function));
+  });
+});
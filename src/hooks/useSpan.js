@@ -0,0 +1,26 @@
+import { useCallback, useRef, useState } from 'react';
+import { traced } from '../lib/tracing';
+
+// Runs an operation as a traced() span and tracks its state for rendering.
+// run(fn) resolves to fn's result, or to undefined when fn fails; the error
+// is already on the span, so it is exposed as `error` instead of rethrown.
+export default function useSpan(name, attributes = {}) {
+  const [state, setState] = useState({ status: 'idle', error: null, durationMs: null });
+  const attributesRef = useRef(attributes);
+  attributesRef.current = attributes;
+
+  const run = useCallback(async (fn) => {
+    const startTime = performance.now();
+    setState({ status: 'running', error: null, durationMs: null });
+    try {
+      const result = await traced(name, fn, attributesRef.current);
+      setState({ status: 'ok', error: null, durationMs: Math.round(performance.now() - startTime) });
+      return result;
+    } catch (error) {
+      setState({ status: 'error', error, durationMs: Math.round(performance.now() - startTime) });
+      return undefined;
+    }
+  }, [name]);
+
+  return { ...state, run };
+}
@@ -0,0 +1,6 @@
+import { useSyncExternalStore } from 'react';
+
+// The current state of a store from lib/store.js, re-rendering on every change
+export default function useStore(store) {
+  return useSyncExternalStore(store.subscribe, store.get);
+}
@@ -0,0 +1,47 @@
+import { useEffect, useMemo } from 'react';
+import { useFlags, useLDClient } from 'launchdarkly-react-client-sdk';
+import logger from '../lib/logger';
+import { formatReason, serializeFlagValue, validateFlagValue } from '../lib/flagValues';
+
+const flagLogger = logger.child({ 'feature_flag.provider_name': 'LaunchDarkly' });
+
+/**
+ * Evaluates a flag with variationDetail and validates the value against a
+ * schema (see lib/flagValues.js). Each evaluated value is logged with its
+ * reason, plus a warning when it failed validation and defaults were used.
+ * `schema` should be a module-level constant.
+ *
+ * Returns { value, issues, detail }.
+ */
+export default function useValidatedFlag(key, schema) {
+  const flags = useFlags();
+  const ldClient = useLDClient();
+  // Re-evaluate whenever the served value changes
+  const served = JSON.stringify(flags[key] ?? null);
+
+  const evaluation = useMemo(() => {
+    const detail = ldClient
+      ? ldClient.variationDetail(key, schema.defaultValue)
+      : { value: schema.defaultValue, variationIndex: null, reason: null };
+    return { ...validateFlagValue(detail.value, schema), detail };
+  }, [ldClient, key, schema, served]);
+
+  useEffect(() => {
+    const { detail, issues } = evaluation;
+    const attributes = {
+      'feature_flag.key': key,
+      'feature_flag.value': serializeFlagValue(detail.value),
+      'feature_flag.variation_index': detail.variationIndex,
+      'feature_flag.reason': formatReason(detail.reason),
+    };
+    flagLogger.info(`Feature flag "${key}" evaluated`, attributes);
+    if (issues.length > 0) {
+      flagLogger.warn(`Feature flag "${key}" failed validation; using defaults`, {
+        ...attributes,
+        'feature_flag.validation_issues': issues,
+      });
+    }
+  }, [key, evaluation]);
+
+  return evaluation;
+}
@@ -0,0 +1,118 @@
+// User consent for telemetry. Both plugins are constructed with
+// manualStart: true and this module starts or stops them to match the
+// user's choice, without a page reload.
+import { LDObserve } from '@launchdarkly/observability';
+import { LDRecord } from '@launchdarkly/session-replay';
+import { createStore } from './store';
+
+const STORAGE_KEY = 'ld-demo.consent';
+
+export const CONSENT_CATEGORIES = [
+  {
+    key: 'errorsAndLogs',
+    label: 'Errors, logs & traces',
+    description: 'Error reports, custom logs, spans and metrics',
+  },
+  {
+    key: 'network',
+    label: 'Network capture',
+    description: 'Request and response headers and bodies (needs errors, logs & traces)',
+  },
+  {
+    key: 'sessionReplay',
+    label: 'Session replay',
+    description: 'A recording of the page and your interactions with it',
+  },
+];
+
+export const ALL_GRANTED = { errorsAndLogs: true, network: true, sessionReplay: true };
+export const NONE_GRANTED = { errorsAndLogs: false, network: false, sessionReplay: false };
+
+// Current consent decision and which telemetry streams are running
+export const telemetryStatusStore = createStore({
+  consent: null, // null until the user decides (or consent is not required)
+  active: { errorsAndLogs: false, network: false, sessionReplay: false },
+});
+
+function setState(next) {
+  telemetryStatusStore.set({ ...telemetryStatusStore.get(), ...next });
+}
+
+export function loadConsent() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? { ...NONE_GRANTED, ...JSON.parse(raw) } : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable consent in localStorage:', error);
+    return null;
+  }
+}
+
+export function clearConsent() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+// Network capture rides on the Observability plugin, so it can only be
+// active while errors/logs are.
+function resolveStreams(consent) {
+  return {
+    errorsAndLogs: consent.errorsAndLogs,
+    network: consent.errorsAndLogs && consent.network,
+    sessionReplay: consent.sessionReplay,
+  };
+}
+
+async function startOrStop(name, shouldRun, isRunning, start, stop) {
+  if (shouldRun === isRunning) return isRunning;
+  try {
+    await (shouldRun ? start() : stop());
+    return shouldRun;
+  } catch (error) {
+    console.error(`Failed to ${shouldRun ? 'start' : 'stop'} ${name}:`, error);
+    return isRunning;
+  }
+}
+
+export async function applyConsent(consent, { persist = true } = {}) {
+  if (persist) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(consent));
+  }
+  setState({ consent });
+
+  const wanted = resolveStreams(consent);
+  const errorsAndLogs = await startOrStop(
+    'Observability',
+    wanted.errorsAndLogs,
+    telemetryStatusStore.get().active.errorsAndLogs,
+    () => LDObserve.start(),
+    () => LDObserve.stop()
+  );
+  const sessionReplay = await startOrStop(
+    'Session Replay',
+    wanted.sessionReplay,
+    telemetryStatusStore.get().active.sessionReplay,
+    () => LDRecord.start({ forceNew: false, silent: true }),
+    () => LDRecord.stop()
+  );
+
+  setState({
+    active: { errorsAndLogs, network: errorsAndLogs && wanted.network, sessionReplay },
+  });
+}
+
+// Called once from main.jsx after the LaunchDarkly client is ready. Without
+// a stored decision, recording starts right away unless consent is required.
+export function initConsent({ requireConsent }) {
+  const stored = loadConsent();
+  if (stored) {
+    applyConsent(stored, { persist: false });
+  } else if (!requireConsent) {
+    applyConsent(ALL_GRANTED, { persist: false });
+  }
+}
+
+// Passed as networkRecording.requestResponseSanitizer: drops recorded
+// request/response pairs while network capture is not consented.
+export function networkConsentSanitizer(pair) {
+  return telemetryStatusStore.get().active.network ? pair : null;
+}
@@ -0,0 +1,196 @@
+// Global capture for errors that React error boundaries never see:
+// unhandled promise rejections, errors thrown from timers and errors thrown
+// inside event handlers. Every error recorded through LDObserve.recordError,
+// caught or not, is normalized, deduplicated and sent with breadcrumbs.
+// Installed once from main.jsx.
+import { LDObserve } from '@launchdarkly/observability';
+import { redactValue } from './redaction';
+
+const DEFAULT_OPTIONS = {
+  dedupWindowMs: 5000,
+  maxBreadcrumbs: 20,
+};
+
+let options = DEFAULT_OPTIONS;
+let breadcrumbs = [];
+let lastErrorId = null;
+const recentFingerprints = new Map(); // fingerprint -> { lastRecordedAt, suppressed }
+const listeners = new Set();
+
+export function addBreadcrumb(type, message, data) {
+  breadcrumbs.push({ type, message, data, timestamp: new Date().toISOString() });
+  if (breadcrumbs.length > options.maxBreadcrumbs) {
+    breadcrumbs = breadcrumbs.slice(-options.maxBreadcrumbs);
+  }
+}
+
+export function getBreadcrumbs() {
+  return breadcrumbs.slice();
+}
+
+function generateId() {
+  return typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+// The `error.id` of the last error that was actually sent, so feedback
+// reports can point at it (see feedback.js). Dropped repeats get none.
+export function getLastErrorId() {
+  return lastErrorId;
+}
+
+// Listeners receive { error, fingerprint, source, suppressed }. Errors that
+// are sent also carry what was sent: breadcrumbs, message, payload and type.
+export function subscribeToCapturedErrors(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Turns anything that can be thrown (strings, plain objects, null) into an Error
+export function normalizeError(value) {
+  if (value instanceof Error) return value;
+
+  let message;
+  if (typeof value === 'string') {
+    message = value;
+  } else if (value && typeof value === 'object') {
+    try {
+      message = value.message || JSON.stringify(value);
+    } catch {
+      message = Object.prototype.toString.call(value);
+    }
+  } else {
+    message = String(value);
+  }
+
+  const error = new Error(message, { cause: value });
+  error.name = `NonError(${value === null ? 'null' : typeof value})`;
+  return error;
+}
+
+// Same error type and message thrown from the same place share a fingerprint
+export function fingerprint(error) {
+  const firstFrame = (error.stack || '')
+    .split('\n')
+    .map(line => line.trim())
+    .find(line => line.startsWith('at ') || line.includes('@'));
+  return `${error.name}: ${error.message} @ ${firstFrame || 'unknown'}`;
+}
+
+// e.g. button "Save changes"
+export function describeElement(element) {
+  if (!element || !element.tagName) return 'unknown';
+  const label = (element.getAttribute('aria-label') || element.textContent || '').trim().slice(0, 40);
+  return `${element.tagName.toLowerCase()}${element.id ? '#' + element.id : ''}${label ? ` "${label}"` : ''}`;
+}
+
+// Wraps LDObserve.recordError: the error is normalized, repeats within the
+// dedup window are dropped, and the rest get an `error.id` and the
+// breadcrumbs. An `error.id` passed by the caller is kept.
+function recordErrorWithDedup(original) {
+  return function (value, message, payload, source, ...rest) {
+    const error = normalizeError(value);
+    const originalType = value instanceof Error ? 'Error' : value === null ? 'null' : typeof value;
+    const key = fingerprint(error);
+    const now = Date.now();
+    const seen = recentFingerprints.get(key);
+    const event = { error, fingerprint: key, source: source || 'recordError' };
+
+    if (seen && now - seen.lastRecordedAt < options.dedupWindowMs) {
+      seen.suppressed += 1;
+      listeners.forEach(listener => listener({ ...event, suppressed: true }));
+      return;
+    }
+
+    const suppressedSinceLast = seen ? seen.suppressed : 0;
+    recentFingerprints.set(key, { lastRecordedAt: now, suppressed: 0 });
+
+    // Recorded after redaction has run, so the trail is redacted here
+    const trail = redactValue(getBreadcrumbs());
+    lastErrorId = payload?.['error.id'] || generateId();
+    const sentPayload = {
+      'error.fingerprint': key,
+      'error.suppressed_since_last': String(suppressedSinceLast),
+      'error.original_type': originalType,
+      breadcrumbs: JSON.stringify(trail),
+      ...payload,
+      'error.id': lastErrorId,
+    };
+    const result = original.call(this, error, message, sentPayload, source, ...rest);
+
+    listeners.forEach(listener => listener({
+      ...event,
+      suppressed: false,
+      breadcrumbs: trail,
+      message,
+      payload: sentPayload,
+      type: rest[0],
+    }));
+    return result;
+  };
+}
+
+export function captureError(value, source) {
+  LDObserve.recordError(value, `Unhandled error (${source})`, { 'error.source': source }, source, 'custom');
+}
+
+// The Observability plugin records uncaught errors itself by assigning
+// window.onerror and window.onunhandledrejection when it starts, and has no
+// option to turn that off. Those errors would skip the dedup and breadcrumbs
+// and be recorded a second time, so the properties ignore assignments while
+// capture is installed; use addEventListener for other global handlers.
+function ignoreHandlerProperty(name) {
+  const descriptor = Object.getOwnPropertyDescriptor(window, name);
+  window[name] = null;
+  Object.defineProperty(window, name, { configurable: true, get: () => null, set: () => {} });
+  return () => {
+    if (descriptor) {
+      Object.defineProperty(window, name, descriptor);
+    } else {
+      delete window[name];
+    }
+  };
+}
+
+export function installGlobalErrorCapture(userOptions = {}) {
+  options = { ...DEFAULT_OPTIONS, ...userOptions };
+
+  const handleError = (event) => {
+    // Cross-origin script errors arrive without an error object
+    captureError(event.error ?? event.message, 'window.error');
+  };
+  const handleRejection = (event) => {
+    captureError(event.reason, 'unhandledrejection');
+  };
+  const handleClick = (event) => {
+    const target = event.target instanceof Element
+      ? event.target.closest('button, a, input, select, label') || event.target
+      : null;
+    addBreadcrumb('click', describeElement(target));
+  };
+
+  // Every log recorded through LDObserve becomes a breadcrumb
+  const originalRecordLog = LDObserve.recordLog;
+  LDObserve.recordLog = function recordLogWithBreadcrumb(message, level, metadata) {
+    addBreadcrumb('log', String(message), { level });
+    return originalRecordLog.call(this, message, level, metadata);
+  };
+
+  const originalRecordError = LDObserve.recordError;
+  LDObserve.recordError = recordErrorWithDedup(originalRecordError);
+
+  const restoreHandlerProperties = ['onerror', 'onunhandledrejection'].map(ignoreHandlerProperty);
+  window.addEventListener('error', handleError);
+  window.addEventListener('unhandledrejection', handleRejection);
+  document.addEventListener('click', handleClick, true);
+
+  return () => {
+    window.removeEventListener('error', handleError);
+    window.removeEventListener('unhandledrejection', handleRejection);
+    document.removeEventListener('click', handleClick, true);
+    restoreHandlerProperties.forEach(restore => restore());
+    LDObserve.recordLog = originalRecordLog;
+    LDObserve.recordError = originalRecordError;
+  };
+}
@@ -0,0 +1,113 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { LDObserve } from '@launchdarkly/observability';
+
+// Fresh breadcrumbs and fingerprints for every test
+async function loadModule() {
+  vi.resetModules();
+  return import('./errorCapture');
+}
+
+function throwUncaught(error) {
+  window.dispatchEvent(new ErrorEvent('error', { error, message: error.message }));
+}
+
+describe('errorCapture', () => {
+  let recordError;
+  let uninstall;
+  let subscribeToCapturedErrors;
+  let getLastErrorId;
+
+  beforeEach(async () => {
+    const errorCapture = await loadModule();
+    ({ subscribeToCapturedErrors, getLastErrorId } = errorCapture);
+    recordError = LDObserve.recordError;
+    uninstall = errorCapture.installGlobalErrorCapture({ dedupWindowMs: 5000, maxBreadcrumbs: 20 });
+  });
+
+  afterEach(() => {
+    uninstall();
+  });
+
+  it('records uncaught errors with breadcrumbs and drops repeats', () => {
+    const listener = vi.fn();
+    const unsubscribe = subscribeToCapturedErrors(listener);
+    document.body.innerHTML = '<button>Pay now</button>';
+    document.querySelector('button').click();
+
+    const error = new Error('Payment failed');
+    throwUncaught(error);
+    throwUncaught(error);
+    throwUncaught(error);
+    unsubscribe();
+
+    expect(recordError).toHaveBeenCalledTimes(1);
+    const [recorded, message, payload, source] = recordError.mock.calls[0];
+    expect(recorded).toBe(error);
+    expect(message).toBe('Unhandled error (window.error)');
+    expect(source).toBe('window.error');
+    expect(payload).toMatchObject({ 'error.source': 'window.error', 'error.suppressed_since_last': '0' });
+    expect(JSON.parse(payload.breadcrumbs)).toEqual([
+      expect.objectContaining({ type: 'click', message: 'button "Pay now"' }),
+    ]);
+    expect(listener.mock.calls.map(([event]) => event.suppressed)).toEqual([false, true, true]);
+  });
+
+  it('gives every error that is sent an id and remembers the last one', () => {
+    throwUncaught(new Error('Uncaught'));
+    const uncaughtId = recordError.mock.calls[0][2]['error.id'];
+    expect(uncaughtId).toEqual(expect.any(String));
+    expect(getLastErrorId()).toBe(uncaughtId);
+
+    const record = () => LDObserve.recordError(new Error('Payment failed'), 'Checkout error', { component: 'Checkout' });
+    record();
+    const recordedId = recordError.mock.calls[1][2]['error.id'];
+    expect(recordedId).not.toBe(uncaughtId);
+
+    // A dropped repeat is never sent, so it doesn't become the last error
+    record();
+    expect(recordError).toHaveBeenCalledTimes(2);
+    expect(getLastErrorId()).toBe(recordedId);
+
+    LDObserve.recordError(new Error('Other'), 'Failed', { 'error.id': 'explicit-id' });
+    expect(recordError.mock.calls[2][2]['error.id']).toBe('explicit-id');
+    expect(getLastErrorId()).toBe('explicit-id');
+  });
+
+  it('redacts breadcrumbs before sending them', () => {
+    document.body.innerHTML = '<button>Email jane@example.com</button>';
+    document.querySelector('button').click();
+    throwUncaught(new Error('Uncaught'));
+
+    const { breadcrumbs } = recordError.mock.calls[0][2];
+    expect(breadcrumbs).not.toContain('jane@example.com');
+    expect(JSON.parse(breadcrumbs)[0].message).toBe('button "Email [REDACTED:email]"');
+  });
+
+  it('normalizes rejections with non-Error reasons', () => {
+    const rejection = new Event('unhandledrejection');
+    rejection.reason = { code: 'PAYMENT_DECLINED' };
+    window.dispatchEvent(rejection);
+
+    const [error, , payload] = recordError.mock.calls[0];
+    expect(error.name).toBe('NonError(object)');
+    expect(error.message).toBe('{"code":"PAYMENT_DECLINED"}');
+    expect(payload['error.original_type']).toBe('object');
+  });
+
+  it('ignores the plugin\'s own window.onerror and window.onunhandledrejection', () => {
+    const pluginHandler = vi.fn();
+    window.onerror = pluginHandler;
+    window.onunhandledrejection = pluginHandler;
+
+    expect(window.onerror).toBeNull();
+    expect(window.onunhandledrejection).toBeNull();
+    throwUncaught(new Error('Uncaught'));
+    expect(pluginHandler).not.toHaveBeenCalled();
+
+    uninstall();
+    uninstall = () => {};
+    window.onerror = pluginHandler;
+    expect(window.onerror).toBe(pluginHandler);
+    window.onerror = null;
+  });
+});
@@ -0,0 +1,86 @@
+// "Report a problem": user feedback recorded as a structured log, together
+// with a debug bundle that lets support jump straight to the session replay
+// and the error the user saw. To make that error findable, every error that
+// is sent gets an `error.id` attribute (see errorCapture.js); the latest one
+// goes into the bundle. The form itself is FeedbackWidget.jsx, opened from
+// its floating button or from an error boundary fallback.
+import { LDObserve } from '@launchdarkly/observability';
+import { LDRecord } from '@launchdarkly/session-replay';
+import { getLastErrorId } from './errorCapture';
+import { contextAttributes } from './ldContext';
+import { routeStore } from './router';
+import { createStore } from './store';
+
+export const SEVERITIES = [
+  { value: 'low', label: 'Low: something looks off', level: 'info' },
+  { value: 'medium', label: 'Medium: something doesn\'t work', level: 'warn' },
+  { value: 'high', label: 'High: I can\'t continue', level: 'error' },
+];
+
+// Whether the form is open, and where it was opened from
+export const feedbackStore = createStore({ isOpen: false, source: null });
+
+// `source` says where the form was opened from, e.g. 'button' or 'error_boundary:App'
+export function openFeedback(source) {
+  feedbackStore.set({ isOpen: true, source });
+}
+
+export function closeFeedback() {
+  feedbackStore.set({ isOpen: false, source: null });
+}
+
+// Null until session replay has started
+function currentSession() {
+  try {
+    return LDRecord.getSession();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Everything support needs to find this user's session: the replay, the
+ * last error, the LaunchDarkly context and the flag values they were served.
+ * "Copy debug info" copies exactly this object as JSON.
+ */
+export function collectDebugInfo(ldClient) {
+  const session = currentSession();
+  const context = ldClient?.getContext();
+  return {
+    timestamp: new Date().toISOString(),
+    sessionId: session?.sessionSecureID || null,
+    // Opens the replay at the moment the bundle was collected
+    sessionUrl: session?.urlWithTimestamp || session?.url || null,
+    lastErrorId: getLastErrorId(),
+    route: routeStore.get().pathname,
+    context: context ? contextAttributes(context) : {},
+    flags: ldClient ? ldClient.allFlags() : {},
+    userAgent: navigator.userAgent,
+  };
+}
+
+/**
+ * Records a feedback report as one log. The log level follows the severity.
+ * Attribute values must be primitives, so JSON flag values are stringified.
+ */
+export function submitFeedback({ description, steps = '', severity }, debugInfo, source = feedbackStore.get().source) {
+  const { level } = SEVERITIES.find(option => option.value === severity) || SEVERITIES[0];
+  const flagAttributes = Object.fromEntries(
+    Object.entries(debugInfo.flags).map(([key, value]) => [
+      `feature_flag.${key}`,
+      typeof value === 'object' ? JSON.stringify(value) : value,
+    ])
+  );
+
+  LDObserve.recordLog('User reported a problem', level, {
+    'feedback.description': description,
+    'feedback.steps': steps,
+    'feedback.severity': severity,
+    'feedback.source': source || 'unknown',
+    'session.id': debugInfo.sessionId || '',
+    'session.url': debugInfo.sessionUrl || '',
+    'error.last_id': debugInfo.lastErrorId || '',
+    ...debugInfo.context,
+    ...flagAttributes,
+  });
+}
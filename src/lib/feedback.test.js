@@ -0,0 +1,49 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { LDObserve } from '@launchdarkly/observability';
+import { mockLDClient, setMockFlags } from 'launchdarkly-react-client-sdk';
+import { installGlobalErrorCapture, getLastErrorId } from './errorCapture';
+import { collectDebugInfo, submitFeedback } from './feedback';
+
+describe('feedback', () => {
+  let uninstall;
+
+  afterEach(() => {
+    uninstall?.();
+    uninstall = undefined;
+  });
+
+  it('records a report with the session, last error, context and flags', () => {
+    const { recordLog } = LDObserve;
+    uninstall = installGlobalErrorCapture();
+    LDObserve.recordError(new Error('Boom'), 'Failed');
+    expect(getLastErrorId()).toEqual(expect.any(String));
+    setMockFlags({ releaseFancyWidget: true, fancyWidgetLayout: { columns: 2 } });
+
+    const debugInfo = collectDebugInfo(mockLDClient);
+    expect(debugInfo).toMatchObject({
+      sessionId: 'test-session',
+      sessionUrl: 'https://app.launchdarkly.com/sessions/test-session?ts=0',
+      lastErrorId: getLastErrorId(),
+      route: '/',
+      context: { 'ld.context.kind': 'user', 'ld.context.user.key': 'test-user' },
+      flags: { releaseFancyWidget: true, fancyWidgetLayout: { columns: 2 } },
+    });
+
+    submitFeedback({ description: 'Checkout hangs', steps: 'Click pay', severity: 'high' }, debugInfo, 'button');
+
+    expect(recordLog).toHaveBeenCalledWith('User reported a problem', 'error', {
+      'feedback.description': 'Checkout hangs',
+      'feedback.steps': 'Click pay',
+      'feedback.severity': 'high',
+      'feedback.source': 'button',
+      'session.id': 'test-session',
+      'session.url': 'https://app.launchdarkly.com/sessions/test-session?ts=0',
+      'error.last_id': getLastErrorId(),
+      'ld.context.kind': 'user',
+      'ld.context.user.key': 'test-user',
+      'ld.context.user.anonymous': true,
+      'feature_flag.releaseFancyWidget': true,
+      'feature_flag.fancyWidgetLayout': '{"columns":2}',
+    });
+  });
+});
@@ -0,0 +1,158 @@
+// Lets the app start without LaunchDarkly. The client is bootstrapped with
+// the last live flags cached in localStorage, or the defaults bundled in
+// src/flagDefaults.json on a first visit, and streams live flags in when it
+// can reach LaunchDarkly. This module tracks which of the three the app is
+// running on and, if live flags don't arrive in time, reports that failure
+// once they finally do.
+import { LDObserve } from '@launchdarkly/observability';
+import flagDefaults from '../flagDefaults.json';
+import logger from './logger';
+import { createStore } from './store';
+
+const STORAGE_KEY = 'ld-demo.flagCache';
+
+// Whether the app runs on live, cached or default flags, and whether it is degraded
+export const flagSourceStore = createStore({
+  source: 'default', // 'live' | 'cached' | 'default'
+  cachedAt: null,
+  liveAt: null,
+  degraded: false,
+  initError: null,
+  // No client at all, so there is nothing to recover until a reload
+  clientFailed: false,
+  failureReportedAt: null,
+});
+let cache = { flags: {}, savedAt: null };
+let pendingFailure = null;
+
+function setState(next) {
+  flagSourceStore.set({ ...flagSourceStore.get(), ...next });
+}
+
+function readCache() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.warn('Ignoring unreadable flag cache in localStorage:', error);
+    return null;
+  }
+}
+
+function writeCache(next) {
+  cache = { ...next, savedAt: new Date().toISOString() };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
+  } catch {
+    // Storage can be full or unavailable; the next visit falls back to defaults
+  }
+}
+
+/**
+ * Returns the `bootstrap` option for the LaunchDarkly client: cached flags if
+ * there are any, otherwise the bundled defaults. Both are plain key/value
+ * maps; the React SDK also uses them as its initial `flags`.
+ */
+export function loadBootstrapFlags() {
+  const cached = readCache();
+  if (cached && Object.keys(cached.flags || {}).length > 0) {
+    cache = cached;
+    setState({ source: 'cached', cachedAt: cached.savedAt });
+    return { ...cached.flags };
+  }
+  setState({ source: 'default', cachedAt: null });
+  return { ...flagDefaults };
+}
+
+function reportPendingFailure() {
+  if (!pendingFailure) return;
+  const { error, source, timeoutMs, failedAt } = pendingFailure;
+  pendingFailure = null;
+
+  LDObserve.recordError(
+    error,
+    'LaunchDarkly initialization failed',
+    {
+      'ld.flag_source': source,
+      'ld.init.timeout_ms': String(timeoutMs),
+      'ld.degraded_duration_ms': String(Date.now() - failedAt),
+    },
+    'main.jsx',
+    'LaunchDarkly.init'
+  );
+  logger.info('LaunchDarkly reachable again; switched to live flags', { 'ld.flag_source': source });
+  setState({ failureReportedAt: new Date().toISOString() });
+}
+
+function goLive() {
+  if (flagSourceStore.get().source !== 'live') {
+    setState({ source: 'live', liveAt: new Date().toISOString(), degraded: false });
+  }
+  reportPendingFailure();
+}
+
+// Synchronous so the cache and source are updated before any `change` listener runs.
+// The bootstrap flags don't trigger these, so the first call means live data.
+export const flagSourceInspectors = [
+  {
+    type: 'flag-details-changed',
+    name: 'flag-bootstrap-all-flags',
+    synchronous: true,
+    method: (details) => {
+      writeCache({ flags: Object.fromEntries(Object.entries(details).map(([key, detail]) => [key, detail.value])) });
+      goLive();
+    },
+  },
+  {
+    type: 'flag-detail-changed',
+    name: 'flag-bootstrap-flag',
+    synchronous: true,
+    method: (key, detail) => {
+      const { [key]: previous, ...flags } = cache.flags;
+      writeCache({ flags: detail?.value === undefined ? flags : { ...flags, [key]: detail.value } });
+      goLive();
+    },
+  },
+];
+
+/**
+ * Waits up to `timeoutMs` for live flags. Resolves true when they arrived;
+ * otherwise the app carries on in degraded mode on the bootstrap flags and
+ * the failure is reported as soon as live flags arrive.
+ */
+export function waitForLiveFlags({ timeoutMs }) {
+  if (flagSourceStore.get().source === 'live') return Promise.resolve(true);
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      const error = new Error(`LaunchDarkly flags did not arrive within ${timeoutMs} ms`);
+      pendingFailure = { error, source: flagSourceStore.get().source, timeoutMs, failedAt: Date.now() };
+      setState({ degraded: true, initError: error.message });
+      logger.warn('Running on bootstrap flags until LaunchDarkly is reachable', { 'ld.flag_source': flagSourceStore.get().source });
+      resolve(false);
+    }, timeoutMs);
+
+    const unsubscribe = flagSourceStore.subscribe(() => {
+      const { source, initError } = flagSourceStore.get();
+      if (source === 'live' || initError) {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(source === 'live');
+      }
+    });
+  });
+}
+
+/**
+ * For when the LaunchDarkly client could not be created at all. Live flags
+ * will never arrive, so the app runs degraded on the bootstrap flags for the
+ * rest of the page load, and any waitForLiveFlags() call resolves false now.
+ */
+export function failInitialization(error) {
+  logger.warn('LaunchDarkly client failed to initialize; running on bootstrap flags', {
+    'ld.flag_source': flagSourceStore.get().source,
+    error,
+  });
+  setState({ degraded: true, initError: error.message, clientFailed: true });
+}
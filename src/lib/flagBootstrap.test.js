@@ -0,0 +1,97 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { LDObserve } from '@launchdarkly/observability';
+import flagDefaults from '../flagDefaults.json';
+
+// Fresh module state for every test
+async function loadModule() {
+  vi.resetModules();
+  return import('./flagBootstrap');
+}
+
+function serveLiveFlags(inspectors, values) {
+  inspectors[0].method(Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, { value, variationIndex: 0 }])
+  ));
+}
+
+describe('flagBootstrap', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'info').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  it('bootstraps from the bundled defaults on a first visit', async () => {
+    const { loadBootstrapFlags, flagSourceStore } = await loadModule();
+
+    expect(loadBootstrapFlags()).toEqual(flagDefaults);
+    expect(flagSourceStore.get().source).toBe('default');
+  });
+
+  it('caches live flags and bootstraps from them next time', async () => {
+    const first = await loadModule();
+    first.loadBootstrapFlags();
+    serveLiveFlags(first.flagSourceInspectors, { releaseFancyWidget: true });
+    first.flagSourceInspectors[1].method('fancyWidgetTheme', { value: 'ocean', variationIndex: 1 });
+
+    expect(first.flagSourceStore.get().source).toBe('live');
+
+    const second = await loadModule();
+    expect(second.loadBootstrapFlags()).toEqual({ releaseFancyWidget: true, fancyWidgetTheme: 'ocean' });
+    expect(second.flagSourceStore.get()).toMatchObject({ source: 'cached', cachedAt: expect.any(String) });
+  });
+
+  it('resolves as soon as live flags arrive', async () => {
+    const { loadBootstrapFlags, flagSourceInspectors, waitForLiveFlags } = await loadModule();
+    loadBootstrapFlags();
+
+    const wait = waitForLiveFlags({ timeoutMs: 3000 });
+    serveLiveFlags(flagSourceInspectors, { releaseFancyWidget: true });
+
+    await expect(wait).resolves.toBe(true);
+    expect(LDObserve.recordError).not.toHaveBeenCalled();
+  });
+
+  it('degrades after the timeout and reports the failure once live flags arrive', async () => {
+    vi.useFakeTimers();
+    const { loadBootstrapFlags, flagSourceInspectors, waitForLiveFlags, flagSourceStore } = await loadModule();
+    loadBootstrapFlags();
+
+    const wait = waitForLiveFlags({ timeoutMs: 3000 });
+    vi.advanceTimersByTime(3000);
+
+    await expect(wait).resolves.toBe(false);
+    expect(flagSourceStore.get()).toMatchObject({ source: 'default', degraded: true });
+    expect(LDObserve.recordError).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(5000);
+    serveLiveFlags(flagSourceInspectors, { releaseFancyWidget: true });
+
+    expect(flagSourceStore.get()).toMatchObject({ source: 'live', degraded: false, failureReportedAt: expect.any(String) });
+    expect(LDObserve.recordError).toHaveBeenCalledTimes(1);
+    expect(LDObserve.recordError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'LaunchDarkly flags did not arrive within 3000 ms' }),
+      'LaunchDarkly initialization failed',
+      {
+        'ld.flag_source': 'default',
+        'ld.init.timeout_ms': '3000',
+        'ld.degraded_duration_ms': '5000',
+      },
+      'main.jsx',
+      'LaunchDarkly.init'
+    );
+
+    serveLiveFlags(flagSourceInspectors, { releaseFancyWidget: false });
+    expect(LDObserve.recordError).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops waiting and runs degraded when the client fails to initialize', async () => {
+    const { loadBootstrapFlags, waitForLiveFlags, failInitialization, flagSourceStore } = await loadModule();
+    loadBootstrapFlags();
+
+    const wait = waitForLiveFlags({ timeoutMs: 3000 });
+    failInitialization(new Error('Invalid environment'));
+
+    await expect(wait).resolves.toBe(false);
+    expect(flagSourceStore.get()).toMatchObject({ source: 'default', degraded: true, initError: 'Invalid environment' });
+  });
+});
@@ -0,0 +1,126 @@
+// Adds the flag variations this client was served to every error, log and
+// span as `feature_flag.<key>` attributes, following the OpenTelemetry
+// feature_flag.* naming. Values come from LaunchDarkly client inspectors
+// (registered in main.jsx), so they are current from the first evaluation.
+// The details they report are kept too, so the flag table can show reasons
+// without evaluating every flag again.
+// Like localExporter.js it wraps the LDObserve API; attributes passed by the
+// caller always win over the flag attributes.
+import { LDObserve } from '@launchdarkly/observability';
+import { createStore } from './store';
+
+let allowList = null;
+// The latest evaluation detail for each flag: { [key]: { value, variationIndex, reason } }
+export const flagDetailsStore = createStore({});
+// The feature_flag.<key> attributes currently attached to errors, logs and spans
+export const flagAttributesStore = createStore({});
+
+// Attributes must be primitives, so JSON flag values are stringified
+function toAttributeValue(value) {
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+function update(nextDetails) {
+  flagDetailsStore.set(nextDetails);
+  updateAttributes();
+}
+
+function updateAttributes() {
+  flagAttributesStore.set(Object.fromEntries(
+    Object.entries(flagDetailsStore.get())
+      .filter(([key]) => !allowList || allowList.includes(key))
+      .map(([key, detail]) => [`feature_flag.${key}`, toAttributeValue(detail.value)])
+  ));
+}
+
+// Synchronous, so the attributes change before any `change` listener runs
+export const flagEnrichmentInspectors = [
+  {
+    type: 'flag-details-changed',
+    name: 'flag-enrichment-all-flags',
+    synchronous: true,
+    method: (details) => {
+      update({ ...details });
+    },
+  },
+  {
+    type: 'flag-detail-changed',
+    name: 'flag-enrichment-flag',
+    synchronous: true,
+    method: (key, detail) => {
+      const { [key]: previous, ...rest } = flagDetailsStore.get();
+      update(detail?.value === undefined ? rest : { ...rest, [key]: detail });
+    },
+  },
+];
+
+// The client doesn't report bootstrap flags to inspectors, so main.jsx seeds
+// them here, without reasons; the inspectors take over once live flags arrive
+export function seedFlagValues(values) {
+  update(Object.fromEntries(Object.entries(values).map(([key, value]) => [key, { value }])));
+}
+
+export function getFlagAllowList() {
+  return allowList;
+}
+
+// startSpan and startManualSpan take (name, [options], [context], fn)
+function wrapSpanMethod(method) {
+  const original = LDObserve[method];
+  LDObserve[method] = function (name, ...rest) {
+    const fnIndex = rest.findIndex(arg => typeof arg === 'function');
+    if (fnIndex === -1) return original.call(this, name, ...rest);
+
+    const spanOptions = fnIndex > 0 ? rest[0] : undefined;
+    const enriched = { ...spanOptions, attributes: { ...flagAttributesStore.get(), ...spanOptions?.attributes } };
+    const args = fnIndex > 0 ? [enriched, ...rest.slice(1)] : [enriched, ...rest];
+    return original.call(this, name, ...args);
+  };
+  return () => {
+    LDObserve[method] = original;
+  };
+}
+
+function wrapMethod(method, enrich) {
+  const original = LDObserve[method];
+  LDObserve[method] = function (...args) {
+    return original.apply(this, enrich(...args));
+  };
+  return () => {
+    LDObserve[method] = original;
+  };
+}
+
+/**
+ * Starts enriching LDObserve calls. `allowList` limits which flag keys are
+ * attached; without it every evaluated flag is. Returns an uninstall function.
+ * Install after the local exporter so the Telemetry Inspector shows the
+ * enriched calls.
+ */
+export function installFlagEnrichment({ allowList: keys = null } = {}) {
+  allowList = keys && keys.length > 0 ? keys : null;
+  updateAttributes();
+
+  const restore = [
+    wrapSpanMethod('startSpan'),
+    wrapSpanMethod('startManualSpan'),
+    wrapMethod('recordLog', (message, level, attributes, ...rest) => [
+      message,
+      level,
+      { ...flagAttributesStore.get(), ...attributes },
+      ...rest,
+    ]),
+    // Error payload values must be strings
+    wrapMethod('recordError', (error, message, payload, ...rest) => [
+      error,
+      message,
+      {
+        ...Object.fromEntries(Object.entries(flagAttributesStore.get()).map(([key, value]) => [key, String(value)])),
+        ...payload,
+      },
+      ...rest,
+    ]),
+  ];
+
+  return () => restore.forEach(undo => undo());
+}
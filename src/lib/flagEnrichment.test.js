@@ -0,0 +1,90 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { LDObserve, getSpan } from '@launchdarkly/observability';
+import { installFlagEnrichment, flagEnrichmentInspectors, flagAttributesStore } from './flagEnrichment';
+
+const [allFlagsInspector, flagInspector] = flagEnrichmentInspectors;
+
+function serveFlags(values) {
+  allFlagsInspector.method(Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, { value, variationIndex: 0 }])
+  ));
+}
+
+describe('flagEnrichment', () => {
+  let uninstall;
+  let originals;
+
+  beforeEach(() => {
+    originals = {
+      recordLog: LDObserve.recordLog,
+      recordError: LDObserve.recordError,
+      startSpan: LDObserve.startSpan,
+    };
+    serveFlags({ releaseFancyWidget: true, minimumLogLevel: 'info', layout: { columns: 2 } });
+  });
+
+  afterEach(() => {
+    uninstall?.();
+    uninstall = undefined;
+  });
+
+  it('adds feature_flag.<key> attributes to logs, errors and spans', () => {
+    uninstall = installFlagEnrichment();
+
+    LDObserve.recordLog('Checkout started', 'info', { step: 1 });
+    LDObserve.recordError(new Error('Boom'), 'Checkout failed', { component: 'Checkout' }, 'Checkout');
+    LDObserve.startSpan('checkout', { attributes: { step: 1 } }, () => {});
+    LDObserve.startSpan('no-options', () => {});
+
+    expect(originals.recordLog).toHaveBeenCalledWith('Checkout started', 'info', {
+      'feature_flag.releaseFancyWidget': true,
+      'feature_flag.minimumLogLevel': 'info',
+      'feature_flag.layout': '{"columns":2}',
+      step: 1,
+    });
+    expect(originals.recordError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Boom' }),
+      'Checkout failed',
+      {
+        'feature_flag.releaseFancyWidget': 'true',
+        'feature_flag.minimumLogLevel': 'info',
+        'feature_flag.layout': '{"columns":2}',
+        component: 'Checkout',
+      },
+      'Checkout'
+    );
+    expect(getSpan('checkout').attributes).toMatchObject({ 'feature_flag.releaseFancyWidget': true, step: 1 });
+    expect(getSpan('no-options').attributes).toMatchObject({ 'feature_flag.releaseFancyWidget': true });
+  });
+
+  it('only attaches allow-listed flags and lets explicit attributes win', () => {
+    uninstall = installFlagEnrichment({ allowList: ['releaseFancyWidget'] });
+
+    LDObserve.recordLog('Rendered', 'info', { 'feature_flag.releaseFancyWidget': 'overridden' });
+
+    expect(originals.recordLog).toHaveBeenCalledWith('Rendered', 'info', {
+      'feature_flag.releaseFancyWidget': 'overridden',
+    });
+  });
+
+  it('follows single flag changes and deletions', () => {
+    uninstall = installFlagEnrichment();
+
+    flagInspector.method('releaseFancyWidget', { value: false });
+    flagInspector.method('layout', undefined);
+
+    expect(flagAttributesStore.get()).toEqual({
+      'feature_flag.releaseFancyWidget': false,
+      'feature_flag.minimumLogLevel': 'info',
+    });
+  });
+
+  it('restores the original LDObserve methods on uninstall', () => {
+    installFlagEnrichment()();
+
+    expect(LDObserve.recordLog).toBe(originals.recordLog);
+    expect(LDObserve.recordError).toBe(originals.recordError);
+    expect(LDObserve.startSpan).toBe(originals.startSpan);
+    expect(vi.isMockFunction(LDObserve.startSpan)).toBe(true);
+  });
+});
@@ -0,0 +1,89 @@
+// Error budget for flag-controlled UI. Errors are counted per flag variation;
+// once a variation reaches the threshold within the time window, the guard
+// trips and FlagGuard shows the control experience for the rest of the
+// browser session (tripped guards are kept in sessionStorage).
+import { LDObserve } from '@launchdarkly/observability';
+import { createStore } from './store';
+
+const STORAGE_KEY = 'ld-demo.flagGuard.tripped';
+
+const errorTimes = new Map(); // 'flagKey:variation' -> error timestamps
+
+function loadTripped() {
+  try {
+    return JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// { [flagKey]: [variation, ...] }
+export const trippedGuardsStore = createStore(loadTripped());
+
+function saveTripped(next) {
+  try {
+    sessionStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // Storage can be unavailable (private mode); the guard still holds in memory
+  }
+  trippedGuardsStore.set(next);
+}
+
+// Variations can be any JSON value; guards compare them as strings
+export function variationId(variation) {
+  return typeof variation === 'string' ? variation : JSON.stringify(variation ?? null);
+}
+
+export function isGuardTripped(flagKey, variation) {
+  return (trippedGuardsStore.get()[flagKey] || []).includes(variationId(variation));
+}
+
+/**
+ * Counts one error against a flag variation. Returns the number of errors
+ * inside the window and whether this error tripped the guard. Tripping
+ * records a "Flag guard tripped" error carrying the flag key and variation.
+ */
+export function recordGuardError(flagKey, variation, { threshold, windowMs }, error) {
+  const id = variationId(variation);
+  const key = `${flagKey}:${id}`;
+  const now = Date.now();
+  const recent = (errorTimes.get(key) || []).filter(time => now - time < windowMs);
+  recent.push(now);
+  errorTimes.set(key, recent);
+
+  if (recent.length < threshold || isGuardTripped(flagKey, variation)) {
+    return { count: recent.length, tripped: false };
+  }
+
+  const tripped = trippedGuardsStore.get();
+  saveTripped({ ...tripped, [flagKey]: [...(tripped[flagKey] || []), id] });
+  LDObserve.recordError(
+    new Error(`Flag guard tripped for ${flagKey} (variation ${id})`),
+    'Flag guard tripped',
+    {
+      'feature_flag.key': flagKey,
+      'feature_flag.variation': id,
+      'flag_guard.error_count': String(recent.length),
+      'flag_guard.threshold': String(threshold),
+      'flag_guard.window_ms': String(windowMs),
+      'flag_guard.last_error': error ? `${error.name}: ${error.message}` : '',
+    },
+    'FlagGuard',
+    'FlagGuard.tripped'
+  );
+  return { count: recent.length, tripped: true };
+}
+
+// Re-enables a flag (all variations) or, without a key, every guard
+export function resetFlagGuard(flagKey) {
+  [...errorTimes.keys()]
+    .filter(key => !flagKey || key.startsWith(`${flagKey}:`))
+    .forEach(key => errorTimes.delete(key));
+
+  if (flagKey) {
+    const { [flagKey]: removed, ...rest } = trippedGuardsStore.get();
+    saveTripped(rest);
+  } else {
+    saveTripped({});
+  }
+}
@@ -0,0 +1,106 @@
+// Helpers for non-boolean flags: describing a flag value's type and
+// evaluation reason, and validating string, number and JSON variations
+// against a small schema so malformed values fall back to defaults.
+//
+// Schemas:
+//   { type: 'string', defaultValue, oneOf: [...], maxLength }
+//   { type: 'number', defaultValue, min, max, integer }
+//   { type: 'boolean', defaultValue }
+//   { type: 'json', defaultValue: {...}, fields: { name: schema, ... } }
+// JSON fields are validated one by one; an invalid field takes its value
+// from the JSON default.
+
+export function flagType(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'json (array)';
+  if (typeof value === 'object') return 'json';
+  return typeof value;
+}
+
+// Reasons are only sent when the client is created with evaluationReasons: true
+export function formatReason(reason) {
+  if (!reason) return 'unavailable';
+  switch (reason.kind) {
+    case 'RULE_MATCH':
+      return `RULE_MATCH (rule ${reason.ruleIndex})`;
+    case 'PREREQUISITE_FAILED':
+      return `PREREQUISITE_FAILED (${reason.prerequisiteKey})`;
+    case 'ERROR':
+      return `ERROR (${reason.errorKind})`;
+    default:
+      return reason.inExperiment ? `${reason.kind} (experiment)` : reason.kind;
+  }
+}
+
+// Attribute-friendly form of any flag value
+export function serializeFlagValue(value) {
+  return typeof value === 'object' && value !== null ? JSON.stringify(value) : value;
+}
+
+function checkPrimitive(value, schema) {
+  if (schema.type === 'string') {
+    if (typeof value !== 'string') return `expected a string, got ${flagType(value)}`;
+    if (schema.oneOf && !schema.oneOf.includes(value)) {
+      return `"${value}" is not one of ${schema.oneOf.join(', ')}`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `longer than ${schema.maxLength} characters`;
+    }
+    return null;
+  }
+  if (schema.type === 'number') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return `expected a number, got ${flagType(value)}`;
+    if (schema.integer && !Number.isInteger(value)) return `${value} is not an integer`;
+    if (schema.min !== undefined && value < schema.min) return `${value} is below the minimum of ${schema.min}`;
+    if (schema.max !== undefined && value > schema.max) return `${value} is above the maximum of ${schema.max}`;
+    return null;
+  }
+  if (schema.type === 'boolean') {
+    return typeof value === 'boolean' ? null : `expected a boolean, got ${flagType(value)}`;
+  }
+  throw new Error(`Unknown flag schema type "${schema.type}"`);
+}
+
+function validateJson(value, schema) {
+  let parsed = value;
+  // JSON variations arrive parsed, but a string variation holding JSON is accepted too
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return { value: schema.defaultValue, issues: [`malformed JSON: ${error.message}`] };
+    }
+  }
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    return { value: schema.defaultValue, issues: [`expected a JSON object, got ${flagType(parsed)}`] };
+  }
+
+  const result = { ...schema.defaultValue };
+  const issues = [];
+  Object.entries(schema.fields || {}).forEach(([field, fieldSchema]) => {
+    if (!(field in parsed)) return;
+    const issue = checkPrimitive(parsed[field], fieldSchema);
+    if (issue) {
+      issues.push(`${field}: ${issue}`);
+    } else {
+      result[field] = parsed[field];
+    }
+  });
+  return { value: result, issues };
+}
+
+/**
+ * Validates a flag value against its schema. Returns the value to use and a
+ * list of problems found; with any problem the default (or, for JSON, the
+ * default for each invalid field) is used instead.
+ */
+export function validateFlagValue(value, schema) {
+  if (value === undefined || value === null) {
+    return { value: schema.defaultValue, issues: [] };
+  }
+  if (schema.type === 'json') {
+    return validateJson(value, schema);
+  }
+  const issue = checkPrimitive(value, schema);
+  return issue ? { value: schema.defaultValue, issues: [issue] } : { value, issues: [] };
+}
@@ -0,0 +1,168 @@
+// LaunchDarkly evaluation contexts with keys that survive reloads, so a
+// session keeps the same identity in the dashboard until the user signs out.
+import { LDObserve } from '@launchdarkly/observability';
+import { SpanStatusCode } from './tracing';
+
+const ANONYMOUS_KEY_STORAGE = 'ld-demo.anonymousKey';
+const DEVICE_KEY_STORAGE = 'ld-demo.deviceKey';
+const PROFILE_STORAGE = 'ld-demo.profile';
+
+function generateKey(prefix) {
+  const random = typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : Math.random().toString(36).slice(2) + Date.now().toString(36);
+  return `${prefix}-${random}`;
+}
+
+function getOrCreateKey(storageKey, prefix) {
+  let key = localStorage.getItem(storageKey);
+  if (!key) {
+    key = generateKey(prefix);
+    localStorage.setItem(storageKey, key);
+  }
+  return key;
+}
+
+// Turns a free-form name into a stable context key, e.g. "Acme Corp" -> "acme-corp"
+function slugify(value) {
+  return value.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export function getAnonymousContext() {
+  return {
+    kind: 'user',
+    key: getOrCreateKey(ANONYMOUS_KEY_STORAGE, 'anon'),
+    anonymous: true,
+  };
+}
+
+function getDeviceContext() {
+  return {
+    key: getOrCreateKey(DEVICE_KEY_STORAGE, 'device'),
+    userAgent: navigator.userAgent,
+    language: navigator.language,
+    platform: navigator.userAgentData?.platform || navigator.platform,
+  };
+}
+
+// profile: { userKey, email, name, organization?, includeDevice? }
+// The key is random rather than derived from the email, because context keys
+// are sent with identify telemetry and feedback reports; the email itself is
+// a private attribute, so LaunchDarkly doesn't store it either.
+export function buildContext(profile) {
+  const user = {
+    key: profile.userKey,
+    name: profile.name,
+    email: profile.email,
+    _meta: { privateAttributes: ['email'] },
+  };
+
+  if (!profile.organization && !profile.includeDevice) {
+    return { kind: 'user', ...user };
+  }
+
+  const context = { kind: 'multi', user };
+  if (profile.organization) {
+    context.organization = {
+      key: `org-${slugify(profile.organization)}`,
+      name: profile.organization,
+    };
+  }
+  if (profile.includeDevice) {
+    context.device = getDeviceContext();
+  }
+  return context;
+}
+
+function readStoredProfile() {
+  try {
+    const raw = localStorage.getItem(PROFILE_STORAGE);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Signing in again with the same email keeps the user's key
+function saveProfile(profile) {
+  const previous = readStoredProfile();
+  const userKey = previous?.email === profile.email && previous.userKey
+    ? previous.userKey
+    : generateKey('user');
+  const saved = { ...profile, userKey };
+  localStorage.setItem(PROFILE_STORAGE, JSON.stringify(saved));
+  return saved;
+}
+
+export function loadProfile() {
+  const profile = readStoredProfile();
+  // Profiles saved before keys were random have none yet
+  return profile && !profile.userKey ? saveProfile(profile) : profile;
+}
+
+// Context for the first identify at startup: the signed-in profile if any
+export function getInitialContext() {
+  const profile = loadProfile();
+  return profile ? buildContext(profile) : getAnonymousContext();
+}
+
+// Flattens a context into span/log attributes such as
+// "ld.context.user.key" so replays and traces can be joined to it.
+export function contextAttributes(context) {
+  const kinds = context.kind === 'multi'
+    ? Object.keys(context).filter(kind => kind !== 'kind')
+    : [context.kind];
+  const attributes = { 'ld.context.kind': context.kind };
+  kinds.forEach(kind => {
+    const single = context.kind === 'multi' ? context[kind] : context;
+    attributes[`ld.context.${kind}.key`] = single.key;
+    if (single.anonymous) {
+      attributes[`ld.context.${kind}.anonymous`] = true;
+    }
+  });
+  return attributes;
+}
+
+async function identify(ldClient, context, reason) {
+  const attributes = { ...contextAttributes(context), 'ld.identify.reason': reason };
+
+  return LDObserve.startManualSpan('ld.identify', async (span) => {
+    Object.entries(attributes).forEach(([key, value]) => span.setAttribute(key, value));
+    try {
+      await ldClient.identify(context);
+      span.setStatus({ code: SpanStatusCode.OK });
+      LDObserve.recordLog('LaunchDarkly context identified', 'info', attributes);
+      return context;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      LDObserve.recordError(error, 'LaunchDarkly identify failed', {
+        component: 'ldContext.js',
+        'ld.identify.reason': reason,
+      });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+// The startup context is identified by asyncWithLDProvider itself; this
+// records the same telemetry an explicit identify call would.
+export function recordStartupIdentify(context) {
+  const attributes = { ...contextAttributes(context), 'ld.identify.reason': 'startup' };
+  LDObserve.startSpan('ld.identify', (span) => {
+    Object.entries(attributes).forEach(([key, value]) => span.setAttribute(key, value));
+    span.setStatus({ code: SpanStatusCode.OK });
+  });
+  LDObserve.recordLog('LaunchDarkly context identified', 'info', attributes);
+}
+
+export function signIn(ldClient, profile) {
+  return identify(ldClient, buildContext(saveProfile(profile)), 'sign_in');
+}
+
+export function signOut(ldClient) {
+  localStorage.removeItem(PROFILE_STORAGE);
+  return identify(ldClient, getAnonymousContext(), 'sign_out');
+}
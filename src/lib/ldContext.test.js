@@ -0,0 +1,41 @@
+import { describe, it, expect, vi } from 'vitest';
+import { mockLDClient } from 'launchdarkly-react-client-sdk';
+import { signIn, loadProfile, getInitialContext, contextAttributes } from './ldContext';
+
+describe('ldContext', () => {
+  it('keeps the email out of the user key and marks it private', async () => {
+    const profile = { name: 'Ada', email: 'ada@example.com', organization: '', includeDevice: false };
+    const context = await signIn(mockLDClient, profile);
+
+    expect(context).toMatchObject({
+      kind: 'user',
+      key: expect.stringMatching(/^user-/),
+      email: 'ada@example.com',
+      _meta: { privateAttributes: ['email'] },
+    });
+    expect(context.key).not.toContain('ada');
+    expect(JSON.stringify(contextAttributes(context))).not.toContain('ada');
+  });
+
+  it('keeps the key across reloads and for the same email only', async () => {
+    const profile = { name: 'Ada', email: 'ada@example.com', organization: '', includeDevice: false };
+    const first = await signIn(mockLDClient, profile);
+    expect(getInitialContext().key).toBe(first.key);
+    expect((await signIn(mockLDClient, profile)).key).toBe(first.key);
+
+    const other = await signIn(mockLDClient, { ...profile, email: 'grace@example.com' });
+    expect(other.key).not.toBe(first.key);
+  });
+
+  it('gives profiles saved without a key one, in a single write', () => {
+    localStorage.setItem('ld-demo.profile', JSON.stringify({ name: 'Ada', email: 'ada@example.com' }));
+    const setItem = vi.spyOn(Storage.prototype, 'setItem');
+    const { userKey } = loadProfile();
+
+    expect(userKey).toMatch(/^user-/);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    expect(loadProfile().userKey).toBe(userKey);
+    expect(setItem).toHaveBeenCalledTimes(1);
+    setItem.mockRestore();
+  });
+});
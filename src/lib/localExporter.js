@@ -0,0 +1,188 @@
+// Development-only, in-memory copy of the telemetry the app exports, for the
+// Telemetry Inspector drawer. Spans come from a span processor added to the
+// Observability plugin's tracer provider when the plugin starts, so the
+// plugin's own spans (fetch, document load, recorded exceptions) are included
+// exactly as exported, and there are none while telemetry is stopped. Errors
+// come from errorCapture.js once deduplication has let them through, plus
+// exceptions recorded on spans. Logs and metrics are copied from the LDObserve
+// API. Installed from main.jsx.
+import { LDObserve } from '@launchdarkly/observability';
+import { trace } from '@opentelemetry/api';
+import { subscribeToCapturedErrors } from './errorCapture';
+import { createStore } from './store';
+
+const DEFAULT_OPTIONS = {
+  maxItems: 500,
+};
+
+const METRIC_METHODS = {
+  recordGauge: 'gauge',
+  recordCount: 'count',
+  recordIncr: 'incr',
+  recordHistogram: 'histogram',
+  recordUpDownCounter: 'upDownCounter',
+};
+
+const EMPTY_TELEMETRY = { spans: [], logs: [], errors: [], metrics: [] };
+
+let options = DEFAULT_OPTIONS;
+let nextId = 1;
+
+// Telemetry is often recorded during render or in bursts, so it is batched
+export const exportedTelemetryStore = createStore(EMPTY_TELEMETRY, { batched: true });
+
+function push(kind, item) {
+  const telemetry = exportedTelemetryStore.get();
+  exportedTelemetryStore.set({
+    ...telemetry,
+    [kind]: [...telemetry[kind], { id: nextId++, ...item }].slice(-options.maxItems),
+  });
+}
+
+export function clearExportedTelemetry() {
+  exportedTelemetryStore.set(EMPTY_TELEMETRY);
+}
+
+function errorDetails(error) {
+  if (error instanceof Error) {
+    return { name: error.name, message: error.message, stack: error.stack || '' };
+  }
+  return { name: typeof error, message: String(error), stack: '' };
+}
+
+// recordError is exported as a span of this name with an exception event
+const SDK_EXCEPTION_SPAN = 'highlight.exception';
+
+function hrTimeToMs([seconds, nanos]) {
+  return seconds * 1000 + nanos / 1e6;
+}
+
+function spanRecord(span) {
+  return {
+    id: span.spanContext().spanId,
+    parentId: span.parentSpanId ?? span.parentSpanContext?.spanId,
+    name: span.name,
+    startTime: hrTimeToMs(span.startTime),
+    durationMs: Math.round(hrTimeToMs(span.duration)),
+    attributes: { ...span.attributes },
+    events: span.events.map(event => ({
+      name: event.name,
+      attributes: event.attributes || {},
+      timestamp: hrTimeToMs(event.time),
+    })),
+    statusCode: span.status.code,
+    statusMessage: span.status.message,
+  };
+}
+
+// Errors sent through recordError carry an error.id from errorCapture.js and
+// are already listed; any other exception was recorded by the plugin itself
+// or on one of the app's spans
+function pushSpanExceptions(record) {
+  const fromSdk = record.name === SDK_EXCEPTION_SPAN;
+  if (fromSdk && record.attributes['error.id']) return;
+
+  record.events.filter(event => event.name === 'exception').forEach((event) => {
+    push('errors', {
+      name: event.attributes['exception.type'] || 'Error',
+      message: event.attributes['exception.message'] || '',
+      stack: event.attributes['exception.stacktrace'] || '',
+      timestamp: new Date(event.timestamp).toISOString(),
+      description: fromSdk ? record.attributes.event : `Exception recorded on span ${record.name}`,
+      source: fromSdk ? record.attributes.source : record.name,
+      type: fromSdk ? record.attributes.type : 'span.recordException',
+      payload: {},
+    });
+  });
+}
+
+let installed = false;
+const attachedProviders = new WeakSet();
+
+// Span processors can't be removed from a provider, so this one stops
+// recording when the exporter is uninstalled
+const spanProcessor = {
+  onStart() {},
+  onEnd(span) {
+    if (!installed) return;
+    const record = spanRecord(span);
+    push('spans', record);
+    pushSpanExceptions(record);
+  },
+  forceFlush: () => Promise.resolve(),
+  shutdown: () => Promise.resolve(),
+};
+
+// The plugin registers its tracer provider globally when it starts; the
+// global provider is a proxy in front of it
+function attachSpanProcessor() {
+  const provider = trace.getTracerProvider();
+  const delegate = provider.getDelegate ? provider.getDelegate() : provider;
+  if (typeof delegate.addSpanProcessor !== 'function' || attachedProviders.has(delegate)) return;
+  attachedProviders.add(delegate);
+  delegate.addSpanProcessor(spanProcessor);
+}
+
+function wrapStart() {
+  const original = LDObserve.start;
+  LDObserve.start = function (...args) {
+    const result = original.apply(this, args);
+    attachSpanProcessor();
+    return result;
+  };
+  return () => {
+    LDObserve.start = original;
+  };
+}
+
+function wrapMethod(method, capture) {
+  const original = LDObserve[method];
+  LDObserve[method] = function (...args) {
+    capture(...args);
+    return original.apply(this, args);
+  };
+  return () => {
+    LDObserve[method] = original;
+  };
+}
+
+export function installLocalExporter(userOptions = {}) {
+  options = { ...DEFAULT_OPTIONS, ...userOptions };
+
+  installed = true;
+  attachSpanProcessor();
+
+  const restore = [
+    wrapStart(),
+    wrapMethod('recordLog', (message, level, attributes) => {
+      push('logs', { timestamp: new Date().toISOString(), level, message: String(message), attributes: attributes || {} });
+    }),
+    subscribeToCapturedErrors((event) => {
+      if (event.suppressed) return;
+      push('errors', {
+        ...errorDetails(event.error),
+        timestamp: new Date().toISOString(),
+        description: event.message,
+        source: event.source,
+        type: event.type,
+        payload: event.payload,
+      });
+    }),
+    ...Object.entries(METRIC_METHODS).map(([method, type]) =>
+      wrapMethod(method, (metric) => {
+        push('metrics', {
+          timestamp: new Date().toISOString(),
+          type,
+          name: metric.name,
+          value: metric.value ?? 1,
+          attributes: metric.attributes || {},
+        });
+      })
+    ),
+  ];
+
+  return () => {
+    installed = false;
+    restore.forEach(undo => undo());
+  };
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { LDObserve } from '@launchdarkly/observability';
+import { trace } from '@opentelemetry/api';
+
+// Fresh telemetry, breadcrumbs and fingerprints for every test
+async function loadModules() {
+  vi.resetModules();
+  return {
+    errorCapture: await import('./errorCapture'),
+    localExporter: await import('./localExporter'),
+  };
+}
+
+// The parts of an OpenTelemetry ReadableSpan the exporter reads
+function readableSpan(name, { spanId = 'b1', parentSpanId, attributes = {}, events = [] } = {}) {
+  return {
+    name,
+    spanContext: () => ({ traceId: 'a1', spanId, traceFlags: 1 }),
+    parentSpanId,
+    startTime: [1700000000, 500000000],
+    duration: [0, 42000000],
+    attributes,
+    events,
+    status: { code: 2, message: 'Declined' },
+  };
+}
+
+describe('localExporter', () => {
+  let localExporter;
+  let uninstall;
+
+  beforeEach(async () => {
+    let errorCapture;
+    ({ errorCapture, localExporter } = await loadModules());
+    const uninstallCapture = errorCapture.installGlobalErrorCapture();
+    const uninstallExporter = localExporter.installLocalExporter({ maxItems: 50 });
+    uninstall = () => {
+      uninstallExporter();
+      uninstallCapture();
+    };
+  });
+
+  afterEach(() => {
+    uninstall();
+    trace.disable();
+  });
+
+  it('exports the spans the plugin ends once it has started', () => {
+    const provider = { getTracer: vi.fn(), addSpanProcessor: vi.fn() };
+    trace.setGlobalTracerProvider(provider);
+    LDObserve.start();
+    LDObserve.start();
+
+    expect(provider.addSpanProcessor).toHaveBeenCalledTimes(1);
+    const [processor] = provider.addSpanProcessor.mock.calls[0];
+    processor.onEnd(readableSpan('GET /api/products', {
+      parentSpanId: 'c1',
+      attributes: { 'http.method': 'GET' },
+      events: [{
+        name: 'exception',
+        time: [1700000000, 520000000],
+        attributes: { 'exception.type': 'TypeError', 'exception.message': 'Failed to fetch' },
+      }],
+    }));
+
+    const { spans, errors } = localExporter.exportedTelemetryStore.get();
+    expect(spans).toEqual([expect.objectContaining({
+      id: 'b1',
+      parentId: 'c1',
+      name: 'GET /api/products',
+      startTime: 1700000000500,
+      durationMs: 42,
+      attributes: { 'http.method': 'GET' },
+      events: [expect.objectContaining({ name: 'exception', timestamp: 1700000000520 })],
+      statusCode: 2,
+      statusMessage: 'Declined',
+    })]);
+    expect(errors).toEqual([expect.objectContaining({
+      name: 'TypeError',
+      message: 'Failed to fetch',
+      source: 'GET /api/products',
+      type: 'span.recordException',
+    })]);
+  });
+
+  it('lists errors once deduplication lets them through, and plugin-recorded ones', () => {
+    const provider = { getTracer: vi.fn(), addSpanProcessor: vi.fn() };
+    trace.setGlobalTracerProvider(provider);
+    LDObserve.start();
+    const [processor] = provider.addSpanProcessor.mock.calls[0];
+
+    const error = new Error('Payment failed');
+    LDObserve.recordError(error, 'Checkout error', { component: 'Checkout' }, 'Checkout', 'custom');
+    LDObserve.recordError(error, 'Checkout error', { component: 'Checkout' }, 'Checkout', 'custom');
+
+    const exceptionEvent = {
+      name: 'exception',
+      time: [1700000000, 0],
+      attributes: { 'exception.type': 'Error', 'exception.message': 'Payment failed' },
+    };
+    // The plugin's span for the error above, and one for an error it recorded itself
+    processor.onEnd(readableSpan('highlight.exception', {
+      attributes: { 'error.id': 'abc', event: 'Checkout error:Payment failed' },
+      events: [exceptionEvent],
+    }));
+    processor.onEnd(readableSpan('highlight.exception', {
+      spanId: 'b2',
+      attributes: { event: 'Script failed', type: 'window.onerror', source: 'app.js' },
+      events: [{ ...exceptionEvent, attributes: { 'exception.message': 'Script failed' } }],
+    }));
+
+    const { errors } = localExporter.exportedTelemetryStore.get();
+    expect(errors).toEqual([
+      expect.objectContaining({
+        message: 'Payment failed',
+        description: 'Checkout error',
+        source: 'Checkout',
+        type: 'custom',
+        payload: expect.objectContaining({ component: 'Checkout', 'error.fingerprint': expect.any(String) }),
+      }),
+      expect.objectContaining({ message: 'Script failed', description: 'Script failed', type: 'window.onerror' }),
+    ]);
+  });
+});
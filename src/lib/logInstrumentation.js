@@ -0,0 +1,249 @@
+// Opt-in auto-instrumentation that turns console.debug/info/warn/error calls
+// and fetch requests into observability logs. Configured in main.jsx next to
+// the plugin setup and toggled at runtime from LogsDemo.
+import { LDObserve } from '@launchdarkly/observability';
+import { createStore } from './store';
+
+const CONSOLE_METHODS = ['debug', 'info', 'warn', 'error'];
+
+const DEFAULT_OPTIONS = {
+  console: false,
+  fetch: false,
+  // Messages whose first argument starts with this tag are never forwarded
+  excludeTag: '[local]',
+  rateLimit: { maxEvents: 20, intervalMs: 1000 },
+  maxMessageLength: 2000,
+  // Requests to these URLs are never logged (the SDK's own traffic)
+  fetchIgnoreUrls: [/launchdarkly\.com/],
+};
+
+let options = DEFAULT_OPTIONS;
+// The functions this module installed on console, with the ones they wrap,
+// and whether they forward
+const consoleWrappers = {};
+let consoleForwarding = false;
+let originalFetch = null;
+// The function this module installed as window.fetch, and whether it logs
+let fetchWrapper = null;
+let fetchLogging = false;
+let suppressDepth = 0;
+let stats = { forwarded: 0, dropped: 0, excluded: 0 };
+let windowStart = 0;
+let windowCount = 0;
+let droppedInWindow = 0;
+
+// What is instrumented, with the forwarding stats and options
+export const instrumentationStore = createStore({
+  console: consoleForwarding,
+  fetch: fetchLogging,
+  stats: { ...stats },
+  options,
+});
+
+function notify() {
+  instrumentationStore.set({
+    console: consoleForwarding,
+    fetch: fetchLogging,
+    stats: { ...stats },
+    options,
+  });
+}
+
+// Runs fn without forwarding any console output it produces, e.g. the
+// logger's own console mirroring
+export function skipForwarding(fn) {
+  suppressDepth += 1;
+  try {
+    return fn();
+  } finally {
+    suppressDepth -= 1;
+  }
+}
+
+// Serializes any console argument without throwing: circular references,
+// Errors, functions, symbols and bigints all get a readable form
+export function safeSerialize(value) {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+  if (typeof value === 'symbol' || typeof value === 'bigint') return value.toString();
+  if (value === undefined) return 'undefined';
+
+  const seen = new WeakSet();
+  try {
+    return JSON.stringify(value, (key, entry) => {
+      if (entry instanceof Error) return { name: entry.name, message: entry.message };
+      if (typeof entry === 'function') return `[Function ${entry.name || 'anonymous'}]`;
+      if (typeof entry === 'bigint' || typeof entry === 'symbol') return entry.toString();
+      if (entry && typeof entry === 'object') {
+        if (seen.has(entry)) return '[Circular]';
+        seen.add(entry);
+      }
+      return entry;
+    });
+  } catch {
+    return Object.prototype.toString.call(value);
+  }
+}
+
+// Fixed-window rate limit shared by console and fetch logs. Drops are
+// reported as a single warn log when the next window opens.
+function allowEvent() {
+  const now = Date.now();
+  if (now - windowStart >= options.rateLimit.intervalMs) {
+    if (droppedInWindow > 0) {
+      LDObserve.recordLog(`${droppedInWindow} auto-instrumented logs dropped by rate limit`, 'warn', {
+        'log.source': 'instrumentation',
+        'instrumentation.dropped_count': droppedInWindow,
+      });
+    }
+    windowStart = now;
+    windowCount = 0;
+    droppedInWindow = 0;
+  }
+  if (windowCount >= options.rateLimit.maxEvents) {
+    droppedInWindow += 1;
+    stats.dropped += 1;
+    return false;
+  }
+  windowCount += 1;
+  return true;
+}
+
+function forward(message, level, attributes) {
+  if (!allowEvent()) {
+    notify();
+    return;
+  }
+  stats.forwarded += 1;
+  LDObserve.recordLog(message.slice(0, options.maxMessageLength), level, attributes);
+  notify();
+}
+
+function forwardConsoleCall(method, args) {
+  if (suppressDepth > 0) return;
+  if (typeof args[0] === 'string' && args[0].startsWith(options.excludeTag)) {
+    stats.excluded += 1;
+    notify();
+    return;
+  }
+
+  const attributes = {
+    'log.source': 'console',
+    'console.method': method,
+    'console.arg_count': args.length,
+  };
+  const error = args.find(arg => arg instanceof Error);
+  if (error) {
+    attributes['exception.type'] = error.name;
+    attributes['exception.message'] = error.message;
+    attributes['exception.stacktrace'] = error.stack || '';
+  }
+
+  // Avoid re-entering if the SDK itself writes to the console while recording
+  skipForwarding(() => forward(args.map(safeSerialize).join(' '), method, attributes));
+}
+
+function installConsoleWrapper(method) {
+  const original = console[method];
+  const wrapper = (...args) => {
+    original.apply(console, args);
+    if (consoleForwarding) forwardConsoleCall(method, args);
+  };
+  consoleWrappers[method] = { wrapper, original };
+  console[method] = wrapper;
+}
+
+// Like fetch logging below, a console method is only restored while our
+// wrapper is still installed; one patched after us keeps our wrapper, which
+// passes calls through until forwarding is turned on again
+export function setConsoleForwarding(enabled) {
+  if (enabled && !consoleForwarding) {
+    CONSOLE_METHODS.forEach(method => {
+      if (!consoleWrappers[method]) installConsoleWrapper(method);
+    });
+    consoleForwarding = true;
+  } else if (!enabled && consoleForwarding) {
+    consoleForwarding = false;
+    CONSOLE_METHODS.forEach(method => {
+      if (console[method] === consoleWrappers[method].wrapper) {
+        console[method] = consoleWrappers[method].original;
+        delete consoleWrappers[method];
+      }
+    });
+  }
+  notify();
+}
+
+function requestDetails(input, init) {
+  if (input instanceof Request) {
+    return { url: input.url, method: (init?.method || input.method).toUpperCase() };
+  }
+  return { url: String(input), method: (init?.method || 'GET').toUpperCase() };
+}
+
+function installFetchWrapper() {
+  const wrappedFetch = window.fetch;
+  originalFetch = wrappedFetch;
+  fetchWrapper = async (input, init) => {
+    if (!fetchLogging) return wrappedFetch(input, init);
+    const { url, method } = requestDetails(input, init);
+    if (options.fetchIgnoreUrls.some(pattern => pattern.test(url))) {
+      return wrappedFetch(input, init);
+    }
+
+    const startTime = performance.now();
+    const attributes = { 'log.source': 'fetch', 'http.method': method, 'http.url': url };
+    try {
+      const response = await wrappedFetch(input, init);
+      forward(`fetch ${method} ${url} -> ${response.status}`, response.ok ? 'info' : 'warn', {
+        ...attributes,
+        'http.status_code': response.status,
+        'http.duration_ms': Math.round(performance.now() - startTime),
+      });
+      return response;
+    } catch (error) {
+      forward(`fetch ${method} ${url} failed: ${error.message}`, 'error', {
+        ...attributes,
+        'http.duration_ms': Math.round(performance.now() - startTime),
+        'exception.message': error.message,
+      });
+      throw error;
+    }
+  };
+  window.fetch = fetchWrapper;
+}
+
+// Turning logging off only restores the original fetch while our wrapper is
+// still window.fetch. If something wrapped fetch after us (the Observability
+// plugin does), restoring would drop that instrumentation too, so the
+// wrapper stays in place and just passes requests through.
+export function setFetchLogging(enabled) {
+  if (enabled && !fetchLogging) {
+    if (!fetchWrapper) installFetchWrapper();
+    fetchLogging = true;
+  } else if (!enabled && fetchLogging) {
+    fetchLogging = false;
+    if (window.fetch === fetchWrapper) {
+      window.fetch = originalFetch;
+      fetchWrapper = null;
+      originalFetch = null;
+    }
+  }
+  notify();
+}
+
+export function resetStats() {
+  stats = { forwarded: 0, dropped: 0, excluded: 0 };
+  notify();
+}
+
+export function configureLogInstrumentation(userOptions = {}) {
+  options = {
+    ...DEFAULT_OPTIONS,
+    ...userOptions,
+    rateLimit: { ...DEFAULT_OPTIONS.rateLimit, ...userOptions.rateLimit },
+  };
+  setConsoleForwarding(options.console);
+  setFetchLogging(options.fetch);
+}
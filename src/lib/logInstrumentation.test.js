@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { LDObserve } from '@launchdarkly/observability';
+import { setConsoleForwarding, setFetchLogging } from './logInstrumentation';
+
+describe('logInstrumentation fetch logging', () => {
+  let baseFetch;
+
+  beforeEach(() => {
+    baseFetch = vi.fn(async () => new Response('ok', { status: 200 }));
+    vi.stubGlobal('fetch', baseFetch);
+  });
+
+  afterEach(() => {
+    setFetchLogging(false);
+    vi.unstubAllGlobals();
+  });
+
+  it('restores the original fetch when nothing wrapped it since', () => {
+    setFetchLogging(true);
+    expect(window.fetch).not.toBe(baseFetch);
+
+    setFetchLogging(false);
+    expect(window.fetch).toBe(baseFetch);
+  });
+
+  it('keeps fetch instrumentation installed after it', async () => {
+    setFetchLogging(true);
+    const loggingFetch = window.fetch;
+    const sdkFetch = vi.fn((...args) => loggingFetch(...args));
+    window.fetch = sdkFetch;
+
+    setFetchLogging(false);
+    expect(window.fetch).toBe(sdkFetch);
+
+    await window.fetch('/api/items');
+    expect(baseFetch).toHaveBeenCalledWith('/api/items', undefined);
+    expect(LDObserve.recordLog).not.toHaveBeenCalled();
+
+    setFetchLogging(true);
+    await window.fetch('/api/items');
+    expect(LDObserve.recordLog).toHaveBeenCalledWith(
+      'fetch GET /api/items -> 200',
+      'info',
+      expect.objectContaining({ 'log.source': 'fetch', 'http.status_code': 200 })
+    );
+  });
+});
+
+describe('logInstrumentation console forwarding', () => {
+  let realWarn;
+  let baseWarn;
+
+  beforeEach(() => {
+    realWarn = console.warn;
+    baseWarn = vi.fn();
+    console.warn = baseWarn;
+  });
+
+  afterEach(() => {
+    setConsoleForwarding(false);
+    console.warn = realWarn;
+  });
+
+  it('restores console methods that nothing patched since', () => {
+    setConsoleForwarding(true);
+    expect(console.warn).not.toBe(baseWarn);
+
+    setConsoleForwarding(false);
+    expect(console.warn).toBe(baseWarn);
+  });
+
+  it('keeps console patches installed after it', () => {
+    setConsoleForwarding(true);
+    const forwardingWarn = console.warn;
+    const sdkWarn = vi.fn((...args) => forwardingWarn(...args));
+    console.warn = sdkWarn;
+
+    setConsoleForwarding(false);
+    expect(console.warn).toBe(sdkWarn);
+
+    console.warn('Low stock');
+    expect(baseWarn).toHaveBeenCalledWith('Low stock');
+    expect(LDObserve.recordLog).not.toHaveBeenCalled();
+
+    setConsoleForwarding(true);
+    console.warn('Low stock');
+    expect(LDObserve.recordLog).toHaveBeenCalledWith(
+      'Low stock',
+      'warn',
+      expect.objectContaining({ 'log.source': 'console', 'console.method': 'warn' })
+    );
+  });
+});
@@ -0,0 +1,126 @@
+// Structured logger on top of LDObserve.recordLog. Child loggers carry bound
+// context; level, sampling and console mirroring are shared with the root.
+import { LDObserve } from '@launchdarkly/observability';
+import { skipForwarding } from './logInstrumentation';
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+// Flag that sets the minimum level at runtime (see DashboardLayout)
+export const LOG_LEVEL_FLAG = 'minimumLogLevel';
+
+// OTel attributes must be primitives (or arrays of them), so nested objects
+// are flattened into dotted keys: { user: { id: 1 } } -> { 'user.id': 1 }
+export function flattenAttributes(value, prefix = '', result = {}) {
+  Object.entries(value || {}).forEach(([key, entry]) => {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (entry === undefined || entry === null) return;
+    if (entry instanceof Error) {
+      result[`${name}.name`] = entry.name;
+      result[`${name}.message`] = entry.message;
+    } else if (Array.isArray(entry)) {
+      result[name] = entry.map(item => (typeof item === 'object' ? JSON.stringify(item) : item));
+    } else if (typeof entry === 'object') {
+      flattenAttributes(entry, name, result);
+    } else {
+      result[name] = entry;
+    }
+  });
+  return result;
+}
+
+function createSettings({ minLevel = 'debug', debugSampleRate = 1, mirrorToConsole = false } = {}) {
+  return {
+    minLevel,
+    minLevelSource: 'default',
+    debugSampleRate,
+    mirrorToConsole,
+    listeners: new Set(),
+    settingsListeners: new Set(),
+  };
+}
+
+function buildLogger(settings, context) {
+  const emit = (level, message, attributes) => {
+    const merged = flattenAttributes({ ...context, ...attributes });
+    let outcome = 'sent';
+
+    if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(settings.minLevel)) {
+      outcome = 'filtered';
+    } else if (level === 'debug' && Math.random() >= settings.debugSampleRate) {
+      outcome = 'sampled_out';
+    }
+
+    if (outcome === 'sent') {
+      LDObserve.recordLog(message, level, merged);
+      if (settings.mirrorToConsole) {
+        // Already recorded above, so keep console forwarding from sending it twice
+        skipForwarding(() => console[level](`[${level}] ${message}`, merged));
+      }
+    }
+
+    const record = { level, message, attributes: merged, outcome, timestamp: new Date().toISOString() };
+    settings.listeners.forEach(listener => listener(record));
+  };
+
+  const logger = {
+    debug: (message, attributes) => emit('debug', message, attributes),
+    info: (message, attributes) => emit('info', message, attributes),
+    warn: (message, attributes) => emit('warn', message, attributes),
+    error: (message, attributes) => emit('error', message, attributes),
+
+    // A logger that adds `bound` to every record, on top of this logger's context
+    child: (bound) => buildLogger(settings, { ...context, ...bound }),
+
+    context: () => ({ ...context }),
+  };
+  return logger;
+}
+
+export function createLogger(options = {}) {
+  const settings = createSettings(options);
+  const notifySettings = () => settings.settingsListeners.forEach(listener => listener());
+
+  return {
+    ...buildLogger(settings, options.context || {}),
+
+    setMinLevel(level, source = 'runtime') {
+      if (!LOG_LEVELS.includes(level)) {
+        console.warn(`Ignoring unknown log level "${level}" from ${source}`);
+        return;
+      }
+      settings.minLevel = level;
+      settings.minLevelSource = source;
+      notifySettings();
+    },
+    setDebugSampleRate(rate) {
+      settings.debugSampleRate = Math.min(Math.max(Number(rate) || 0, 0), 1);
+      notifySettings();
+    },
+    setMirrorToConsole(enabled) {
+      settings.mirrorToConsole = Boolean(enabled);
+      notifySettings();
+    },
+    getSettings() {
+      const { listeners, settingsListeners, ...rest } = settings;
+      return rest;
+    },
+    subscribeToSettings(listener) {
+      settings.settingsListeners.add(listener);
+      return () => settings.settingsListeners.delete(listener);
+    },
+
+    // Listeners receive every record, including filtered and sampled-out ones
+    subscribe(listener) {
+      settings.listeners.add(listener);
+      return () => settings.listeners.delete(listener);
+    },
+  };
+}
+
+const logger = createLogger({
+  minLevel: 'debug',
+  debugSampleRate: 1,
+  mirrorToConsole: import.meta.env.DEV,
+});
+
+export default logger;
@@ -0,0 +1,177 @@
+// Main-thread blocking detection. A PerformanceObserver reports long
+// animation frames (frames that took over 50 ms), or long tasks in browsers
+// without them, and each one is recorded as a span with script attribution.
+// Blocks of `freezeThresholdMs` or more also count as UI freezes in the
+// `ui.freeze` metric. Entries are linked to the user interaction that most
+// likely caused them: the latest click, key press or pointer press from
+// shortly before or during the block. Installed once from main.jsx.
+import { LDObserve } from '@launchdarkly/observability';
+import { trace } from '@opentelemetry/api';
+import { describeElement } from './errorCapture';
+
+const DEFAULT_OPTIONS = {
+  freezeThresholdMs: 200,
+  // How long before a block an interaction can still be its cause
+  interactionWindowMs: 500,
+};
+
+const INTERACTION_EVENTS = ['click', 'keydown', 'pointerdown'];
+const MAX_INTERACTIONS = 10;
+
+let options = DEFAULT_OPTIONS;
+let interactions = [];
+const listeners = new Set();
+
+// Listeners receive a record for every detected block:
+// { entryType, startTime, durationMs, blockingDurationMs, freeze, scripts,
+//   slowestScript, interaction }
+export function subscribeToLongTasks(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function supportedEntryType() {
+  const types = typeof PerformanceObserver !== 'undefined' ? PerformanceObserver.supportedEntryTypes || [] : [];
+  if (types.includes('long-animation-frame')) return 'long-animation-frame';
+  if (types.includes('longtask')) return 'longtask';
+  return null;
+}
+
+function recordInteraction(event) {
+  const target = event.target instanceof Element
+    ? event.target.closest('button, a, input, select, label') || event.target
+    : null;
+  // Set when the SDK's user interaction instrumentation traces the event
+  const activeSpan = trace.getActiveSpan();
+  interactions = [...interactions, {
+    type: event.type,
+    target: describeElement(target),
+    timeStamp: event.timeStamp,
+    spanContext: activeSpan ? activeSpan.spanContext() : null,
+  }].slice(-MAX_INTERACTIONS);
+}
+
+function findInteraction(startTime, endTime) {
+  return [...interactions].reverse().find(interaction =>
+    interaction.timeStamp <= endTime && interaction.timeStamp >= startTime - options.interactionWindowMs
+  ) || null;
+}
+
+// Long animation frames list the scripts that ran in them; long tasks only
+// name the frame (container) they ran in
+function scriptsOf(entry) {
+  if (entry.entryType === 'long-animation-frame') {
+    return (entry.scripts || []).map(script => ({
+      invoker: script.invoker,
+      invokerType: script.invokerType,
+      sourceUrl: script.sourceURL,
+      sourceFunctionName: script.sourceFunctionName,
+      sourceCharPosition: script.sourceCharPosition,
+      startTime: script.startTime,
+      durationMs: Math.round(script.duration),
+      forcedStyleAndLayoutMs: Math.round(script.forcedStyleAndLayoutDuration || 0),
+    }));
+  }
+  return (entry.attribution || []).map(attribution => ({
+    invoker: attribution.name,
+    invokerType: attribution.containerType,
+    sourceUrl: attribution.containerSrc,
+    sourceFunctionName: '',
+    sourceCharPosition: -1,
+    startTime: entry.startTime,
+    durationMs: Math.round(attribution.duration || entry.duration),
+    forcedStyleAndLayoutMs: 0,
+  }));
+}
+
+function scriptAttributes(script) {
+  return {
+    'script.invoker': script.invoker || '',
+    'script.invoker_type': script.invokerType || '',
+    'script.source_url': script.sourceUrl || '',
+    'script.source_function_name': script.sourceFunctionName || '',
+    'script.source_char_position': script.sourceCharPosition,
+    'script.duration_ms': script.durationMs,
+    'script.forced_style_and_layout_ms': script.forcedStyleAndLayoutMs,
+  };
+}
+
+function recordEntry(entry) {
+  const endTime = entry.startTime + entry.duration;
+  const scripts = scriptsOf(entry);
+  const slowestScript = scripts.reduce((slowest, script) =>
+    (!slowest || script.durationMs > slowest.durationMs ? script : slowest), null);
+  const interaction = findInteraction(entry.startTime, endTime);
+  const record = {
+    entryType: entry.entryType,
+    startTime: entry.startTime,
+    durationMs: Math.round(entry.duration),
+    // Long animation frames report how long input was actually blocked
+    blockingDurationMs: Math.round(entry.blockingDuration ?? entry.duration),
+    freeze: entry.duration >= options.freezeThresholdMs,
+    scripts,
+    slowestScript,
+    interaction,
+  };
+
+  const attributes = {
+    'longtask.entry_type': record.entryType,
+    'longtask.duration_ms': record.durationMs,
+    'longtask.blocking_duration_ms': record.blockingDurationMs,
+    'longtask.freeze': record.freeze,
+    'longtask.script_count': scripts.length,
+    ...(slowestScript && scriptAttributes(slowestScript)),
+    ...(interaction && {
+      'interaction.type': interaction.type,
+      'interaction.target': interaction.target,
+      'interaction.delay_ms': Math.round(Math.max(entry.startTime - interaction.timeStamp, 0)),
+    }),
+  };
+  const spanOptions = {
+    attributes,
+    // Entry times are relative to the time origin; spans take epoch times
+    startTime: performance.timeOrigin + entry.startTime,
+    links: interaction?.spanContext ? [{ context: interaction.spanContext }] : [],
+  };
+
+  LDObserve.startManualSpan(`ui.${entry.entryType.replace(/-/g, '_')}`, spanOptions, (span) => {
+    scripts.forEach((script) => {
+      span.addEvent('script', scriptAttributes(script), performance.timeOrigin + script.startTime);
+    });
+    span.end(performance.timeOrigin + endTime);
+  });
+
+  if (record.freeze) {
+    LDObserve.recordIncr({
+      name: 'ui.freeze',
+      attributes: {
+        'longtask.entry_type': record.entryType,
+        'interaction.type': interaction ? interaction.type : 'none',
+      },
+    });
+  }
+
+  listeners.forEach(listener => listener(record));
+}
+
+/**
+ * Starts observing long animation frames (or long tasks). Does nothing in
+ * browsers that support neither. Returns an uninstall function.
+ */
+export function installLongTaskObserver(userOptions = {}) {
+  options = { ...DEFAULT_OPTIONS, ...userOptions };
+  const entryType = supportedEntryType();
+  if (!entryType) return () => {};
+
+  const observer = new PerformanceObserver((list) => {
+    list.getEntries().forEach(recordEntry);
+  });
+  observer.observe({ type: entryType, buffered: true });
+  INTERACTION_EVENTS.forEach(type => document.addEventListener(type, recordInteraction, true));
+
+  return () => {
+    observer.disconnect();
+    INTERACTION_EVENTS.forEach(type => document.removeEventListener(type, recordInteraction, true));
+    interactions = [];
+  };
+}
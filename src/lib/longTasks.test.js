@@ -0,0 +1,107 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { LDObserve } from '@launchdarkly/observability';
+import { getSpan } from '../test/mocks/observability';
+import { stubPerformanceObserver } from '../test/mocks/performanceObserver';
+import { installLongTaskObserver, subscribeToLongTasks } from './longTasks';
+
+function click(element, timeStamp) {
+  const event = new MouseEvent('click', { bubbles: true });
+  Object.defineProperty(event, 'timeStamp', { value: timeStamp });
+  element.dispatchEvent(event);
+}
+
+describe('longTasks', () => {
+  let uninstall;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<button id="save">Save changes</button>';
+  });
+
+  afterEach(() => {
+    uninstall?.();
+    uninstall = undefined;
+    document.body.innerHTML = '';
+  });
+
+  it('records long animation frames as spans with script and interaction attribution', () => {
+    const { observers, report } = stubPerformanceObserver(['longtask', 'long-animation-frame']);
+    uninstall = installLongTaskObserver({ freezeThresholdMs: 200 });
+    const records = [];
+    const unsubscribe = subscribeToLongTasks(record => records.push(record));
+
+    expect(observers[0].options).toEqual({ type: 'long-animation-frame', buffered: true });
+
+    click(document.getElementById('save'), 1000);
+    report([{
+      entryType: 'long-animation-frame',
+      startTime: 1004,
+      duration: 320,
+      blockingDuration: 270,
+      scripts: [
+        { invoker: 'BUTTON#save.onclick', invokerType: 'event-listener', sourceURL: 'https://demo.example.com/assets/index.js', sourceFunctionName: 'handleSave', sourceCharPosition: 1234, startTime: 1005, duration: 300 },
+        { invoker: 'TimerHandler:setTimeout', invokerType: 'user-callback', sourceURL: '', sourceFunctionName: 'tick', sourceCharPosition: 10, startTime: 1306, duration: 12 },
+      ],
+    }]);
+
+    const span = getSpan('ui.long_animation_frame');
+    expect(LDObserve.startManualSpan).toHaveBeenCalledWith(
+      'ui.long_animation_frame',
+      expect.objectContaining({ startTime: performance.timeOrigin + 1004, links: [] }),
+      expect.any(Function)
+    );
+    expect(span.attributes).toMatchObject({
+      'longtask.duration_ms': 320,
+      'longtask.blocking_duration_ms': 270,
+      'longtask.freeze': true,
+      'longtask.script_count': 2,
+      'script.invoker': 'BUTTON#save.onclick',
+      'script.source_function_name': 'handleSave',
+      'script.duration_ms': 300,
+      'interaction.type': 'click',
+      'interaction.target': 'button#save "Save changes"',
+      'interaction.delay_ms': 4,
+    });
+    expect(span.events.map(event => event.attributes['script.source_function_name'])).toEqual(['handleSave', 'tick']);
+    expect(span.ended).toBe(true);
+    expect(LDObserve.recordIncr).toHaveBeenCalledWith({
+      name: 'ui.freeze',
+      attributes: { 'longtask.entry_type': 'long-animation-frame', 'interaction.type': 'click' },
+    });
+    expect(records[0]).toMatchObject({ durationMs: 320, freeze: true, slowestScript: { sourceFunctionName: 'handleSave' } });
+    unsubscribe();
+  });
+
+  it('falls back to long tasks and only counts freezes over the threshold', () => {
+    const { observers, report } = stubPerformanceObserver(['longtask']);
+    uninstall = installLongTaskObserver({ freezeThresholdMs: 200 });
+
+    expect(observers[0].options).toEqual({ type: 'longtask', buffered: true });
+
+    // The click is too long before the task to have caused it
+    click(document.getElementById('save'), 100);
+    report([{
+      entryType: 'longtask',
+      startTime: 5000,
+      duration: 80,
+      attribution: [{ name: 'unknown', containerType: 'window', containerSrc: '' }],
+    }]);
+
+    expect(getSpan('ui.longtask').attributes).toMatchObject({
+      'longtask.duration_ms': 80,
+      'longtask.freeze': false,
+      'script.invoker_type': 'window',
+    });
+    expect(getSpan('ui.longtask').attributes).not.toHaveProperty('interaction.type');
+    expect(LDObserve.recordIncr).not.toHaveBeenCalled();
+
+    uninstall();
+    uninstall = undefined;
+    expect(observers[0].disconnect).toHaveBeenCalled();
+  });
+
+  it('does nothing without PerformanceObserver support', () => {
+    stubPerformanceObserver([]);
+    uninstall = installLongTaskObserver();
+    expect(LDObserve.startManualSpan).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+// Plugin options for Observability and SessionReplay, persisted in
+// localStorage so they can be changed from the UI and applied on reload.
+
+const STORAGE_KEY = 'ld-demo.pluginConfig';
+
+export const PRIVACY_SETTINGS = ['none', 'default', 'strict'];
+
+export const DEFAULT_PLUGIN_CONFIG = {
+  tracingOrigins: {
+    mode: 'all', // 'all' | 'list' | 'off'
+    patterns: [],
+  },
+  networkRecording: {
+    enabled: true,
+    recordHeadersAndBody: true,
+    urlBlocklist: [],
+  },
+  privacySetting: 'none',
+  manualStart: false,
+};
+
+// Regexes are stored as "/source/flags" strings; anything else is a plain origin
+const REGEX_PATTERN = /^\/(.+)\/([dgimsuy]*)$/;
+
+export function parseOriginPattern(pattern) {
+  const match = pattern.match(REGEX_PATTERN);
+  if (!match) return pattern;
+  try {
+    return new RegExp(match[1], match[2]);
+  } catch {
+    return pattern;
+  }
+}
+
+function mergeWithDefaults(stored) {
+  return {
+    ...DEFAULT_PLUGIN_CONFIG,
+    ...stored,
+    tracingOrigins: { ...DEFAULT_PLUGIN_CONFIG.tracingOrigins, ...stored?.tracingOrigins },
+    networkRecording: { ...DEFAULT_PLUGIN_CONFIG.networkRecording, ...stored?.networkRecording },
+  };
+}
+
+export function loadPluginConfig() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? mergeWithDefaults(JSON.parse(raw)) : DEFAULT_PLUGIN_CONFIG;
+  } catch (error) {
+    console.warn('Ignoring unreadable plugin config in localStorage:', error);
+    return DEFAULT_PLUGIN_CONFIG;
+  }
+}
+
+export function savePluginConfig(config) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(config));
+}
+
+export function resetPluginConfig() {
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+export function buildObservabilityOptions(config) {
+  const { tracingOrigins, networkRecording } = config;
+  return {
+    tracingOrigins: tracingOrigins.mode === 'list'
+      ? tracingOrigins.patterns.map(parseOriginPattern)
+      : tracingOrigins.mode === 'all',
+    networkRecording: {
+      enabled: networkRecording.enabled,
+      recordHeadersAndBody: networkRecording.recordHeadersAndBody,
+      urlBlocklist: networkRecording.urlBlocklist,
+    },
+    manualStart: config.manualStart,
+  };
+}
+
+export function buildSessionReplayOptions(config) {
+  return {
+    privacySetting: config.privacySetting,
+    manualStart: config.manualStart,
+  };
+}
+
+// The config read at page load is what the plugins are running with;
+// edits made afterwards only take effect after a reload.
+export const runningPluginConfig = loadPluginConfig();
+
+let runningPluginOptions = null;
+
+// Called from main.jsx with the exact objects passed to the plugin constructors
+export function setRunningPluginOptions(options) {
+  runningPluginOptions = options;
+}
+
+export function getRunningPluginOptions() {
+  return runningPluginOptions;
+}
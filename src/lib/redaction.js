@@ -0,0 +1,239 @@
+// Redacts PII before telemetry leaves the browser. One set of rules covers
+// the network requests recorded by the Observability plugin, logs and error
+// attributes:
+// - headers: header names whose values are never recorded
+// - bodyPaths: JSON body fields as dotted paths from the body root, where
+//   `*` matches any key or array index (e.g. `items.*.giftMessage`)
+// - patterns: global regexes redacted from every string, wherever it appears
+// - origins: extra rules for requests to a given origin; `redactBodies`
+//   drops request and response bodies entirely
+// Names and paths are case-insensitive. Session replay is masked separately,
+// with data-redact attributes (see REPLAY_MASKING_OPTIONS).
+import { LDObserve } from '@launchdarkly/observability';
+
+export const REDACTED = '[REDACTED]';
+
+// Luhn checksum, so order numbers and timestamps aren't taken for cards
+function passesLuhn(match) {
+  const digits = match.replace(/\D/g, '');
+  let sum = 0;
+  for (let index = 0; index < digits.length; index++) {
+    let digit = Number(digits[digits.length - 1 - index]);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+export const DEFAULT_REDACTION_RULES = {
+  headers: ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key'],
+  bodyPaths: ['password', 'token', 'refreshToken', 'payment.cardNumber', 'payment.cvc'],
+  patterns: [
+    { name: 'email', pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi },
+    { name: 'card', pattern: /\b\d(?:[ -]?\d){12,18}\b/g, check: passesLuhn },
+    { name: 'jwt', pattern: /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g },
+  ],
+  origins: {},
+  redactBodies: false,
+};
+
+// Session replay masking, controlled from the markup:
+//   data-redact="mask"  - text in the element and its descendants is scrambled
+//   data-redact="block" - the element is replaced by an empty placeholder
+// Input values are only masked by privacySetting, so block sensitive inputs.
+export const REPLAY_MASKING_OPTIONS = {
+  maskTextSelector: '[data-redact="mask"]',
+  blockSelector: '[data-redact="block"]',
+};
+
+let rules = DEFAULT_REDACTION_RULES;
+
+export function getRedactionRules() {
+  return rules;
+}
+
+function extendRules(base, extra = {}) {
+  return {
+    ...base,
+    headers: [...base.headers, ...(extra.headers || [])],
+    bodyPaths: [...base.bodyPaths, ...(extra.bodyPaths || [])],
+    patterns: [...base.patterns, ...(extra.patterns || [])],
+    redactBodies: extra.redactBodies ?? base.redactBodies,
+  };
+}
+
+export function redactString(value, activeRules = rules) {
+  return activeRules.patterns.reduce(
+    (result, { name, pattern, check }) => result.replace(
+      pattern,
+      match => (!check || check(match) ? `[REDACTED:${name}]` : match)
+    ),
+    value
+  );
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Applies the patterns to every string in a value, however deeply nested
+export function redactValue(value, activeRules = rules) {
+  if (typeof value === 'string') return redactString(value, activeRules);
+  if (Array.isArray(value)) return value.map(item => redactValue(item, activeRules));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item, activeRules)]));
+  }
+  return value;
+}
+
+function redactPath(value, [segment, ...rest]) {
+  if (!Array.isArray(value) && !isPlainObject(value)) return value;
+  const copy = Array.isArray(value) ? [...value] : { ...value };
+  Object.keys(copy)
+    .filter(key => segment === '*' || key.toLowerCase() === segment.toLowerCase())
+    .forEach((key) => {
+      copy[key] = rest.length === 0 ? REDACTED : redactPath(copy[key], rest);
+    });
+  return copy;
+}
+
+// Bodies are recorded as strings; JSON ones are redacted field by field
+export function redactBody(body, activeRules = rules) {
+  if (body === undefined || body === null || body === '') return body;
+  if (activeRules.redactBodies) return REDACTED;
+
+  let parsed = body;
+  if (typeof body === 'string') {
+    try {
+      parsed = JSON.parse(body);
+    } catch {
+      return redactString(body, activeRules);
+    }
+  }
+  const redacted = redactValue(
+    activeRules.bodyPaths.reduce((result, path) => redactPath(result, path.split('.')), parsed),
+    activeRules
+  );
+  return typeof body === 'string' ? JSON.stringify(redacted) : redacted;
+}
+
+export function redactHeaders(headers, activeRules = rules) {
+  if (!headers) return headers;
+  const denied = activeRules.headers.map(name => name.toLowerCase());
+  return Object.fromEntries(Object.entries(headers).map(([name, value]) => [
+    name,
+    denied.includes(name.toLowerCase()) ? REDACTED : redactString(String(value), activeRules),
+  ]));
+}
+
+// Relative URLs belong to the page's own origin
+export function rulesForUrl(url, activeRules = rules) {
+  let origin;
+  try {
+    origin = new URL(url, window.location.href).origin;
+  } catch {
+    return activeRules;
+  }
+  const override = activeRules.origins[origin];
+  return override ? extendRules(activeRules, override) : activeRules;
+}
+
+/**
+ * `requestResponseSanitizer` for the Observability plugin's network
+ * recording: redacts the URL, headers and bodies of a recorded request and
+ * its response. Returns a copy; the pair passed in is left as it is.
+ */
+export function redactRequestResponse(pair, activeRules = rules) {
+  const pairRules = rulesForUrl(pair.request.url, activeRules);
+  const redactMessage = message => message && {
+    ...message,
+    headers: redactHeaders(message.headers, pairRules),
+    body: redactBody(message.body, pairRules),
+  };
+
+  return {
+    ...pair,
+    request: { ...redactMessage(pair.request), url: redactString(pair.request.url, pairRules) },
+    response: redactMessage(pair.response),
+  };
+}
+
+// Attribute keys are often flattened paths (`form.password`,
+// `http.request.header.authorization`), so a key is sensitive when it is, or
+// ends with, a denied header name or body path
+function isSensitiveKey(key, activeRules) {
+  const lowerKey = key.toLowerCase();
+  return [...activeRules.headers, ...activeRules.bodyPaths].some((name) => {
+    const lowerName = name.toLowerCase();
+    return lowerKey === lowerName || lowerKey.endsWith(`.${lowerName}`);
+  });
+}
+
+export function redactAttributes(attributes, activeRules = rules) {
+  if (!isPlainObject(attributes)) return attributes;
+  return Object.fromEntries(Object.entries(attributes).map(([key, value]) => [
+    key,
+    isSensitiveKey(key, activeRules) ? REDACTED : redactValue(value, activeRules),
+  ]));
+}
+
+// The SDK records the error's message and stack, so PII in either is
+// redacted on a copy. Thrown strings and objects become the message later,
+// when errorCapture normalizes them, so they are redacted as values.
+function redactError(error) {
+  if (!(error instanceof Error)) return redactValue(error);
+  const message = redactString(error.message);
+  if (message === error.message) return error;
+
+  const redacted = new Error(message);
+  redacted.name = error.name;
+  redacted.stack = error.stack && redactString(error.stack);
+  return redacted;
+}
+
+function wrapMethod(method, redact) {
+  const original = LDObserve[method];
+  LDObserve[method] = function (...args) {
+    return original.apply(this, redact(...args));
+  };
+  return () => {
+    LDObserve[method] = original;
+  };
+}
+
+/**
+ * Sets the rules and starts redacting LDObserve logs and errors. Headers,
+ * body paths and patterns are added to the defaults; `origins` maps an origin
+ * to extra rules for its requests. Install after the local exporter and
+ * before flag enrichment, so the Telemetry Inspector shows what is actually
+ * sent. Returns an uninstall function.
+ */
+export function installRedaction({ origins = {}, ...extra } = {}) {
+  rules = {
+    ...extendRules(DEFAULT_REDACTION_RULES, extra),
+    origins: { ...DEFAULT_REDACTION_RULES.origins, ...origins },
+  };
+
+  const restore = [
+    wrapMethod('recordLog', (message, level, attributes, ...rest) => [
+      typeof message === 'string' ? redactString(message) : message,
+      level,
+      redactAttributes(attributes),
+      ...rest,
+    ]),
+    wrapMethod('recordError', (error, message, payload, ...rest) => [
+      redactError(error),
+      typeof message === 'string' ? redactString(message) : message,
+      redactAttributes(payload),
+      ...rest,
+    ]),
+  ];
+
+  return () => {
+    restore.forEach(undo => undo());
+    rules = DEFAULT_REDACTION_RULES;
+  };
+}
@@ -0,0 +1,48 @@
+// Render timings from React.Profiler (see components/Measured.jsx). Every
+// commit of a measured tree records two histograms, tagged with the
+// component name and the phase (mount, update or nested-update):
+// - react.render.duration: time spent rendering the tree for this commit
+// - react.commit.duration: from the start of rendering to the commit,
+//   including any time React spent on other work in between
+// Renders slower than the threshold are also added as a `react.slow_render`
+// event to the active span, or to a short `react.render` span when none is
+// active.
+import { LDObserve } from '@launchdarkly/observability';
+import { trace } from '@opentelemetry/api';
+
+// One frame at 60 Hz
+export const DEFAULT_SLOW_RENDER_THRESHOLD_MS = 16;
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Records one Profiler commit from the `onRender` arguments, passed by name
+ * (`name` is the Profiler id).
+ */
+export function recordRender(
+  { name, phase, actualDuration, baseDuration, startTime, commitTime },
+  { slowThresholdMs = DEFAULT_SLOW_RENDER_THRESHOLD_MS } = {}
+) {
+  const attributes = { 'react.component': name, 'react.phase': phase };
+
+  LDObserve.recordHistogram({ name: 'react.render.duration', value: round(actualDuration), attributes });
+  LDObserve.recordHistogram({ name: 'react.commit.duration', value: round(commitTime - startTime), attributes });
+
+  if (actualDuration < slowThresholdMs) return;
+
+  const eventAttributes = {
+    ...attributes,
+    'react.render.duration_ms': round(actualDuration),
+    // Estimated time to re-render the whole tree without memoization
+    'react.render.base_duration_ms': round(baseDuration),
+    'react.render.threshold_ms': slowThresholdMs,
+  };
+  const activeSpan = trace.getActiveSpan();
+  if (activeSpan) {
+    activeSpan.addEvent('react.slow_render', eventAttributes);
+  } else {
+    LDObserve.startSpan('react.render', { attributes }, (span) => {
+      span.addEvent('react.slow_render', eventAttributes);
+    });
+  }
+}
@@ -0,0 +1,190 @@
+// Minimal client-side router on the History API. Every navigation, including
+// the initial page load, is recorded as a `page_view` span that runs from the
+// start of the navigation until the new route has rendered. Once installed,
+// the current route is also added to every error, log and span as
+// `route.template` and `route.path` attributes. Like flagEnrichment.js it
+// wraps the LDObserve API, and attributes passed by the caller always win.
+import { LDObserve } from '@launchdarkly/observability';
+import { createStore } from './store';
+
+// One entry per page; `:name` segments match any single path segment
+export const ROUTES = [
+  { template: '/', title: 'Overview' },
+  { template: '/errors', title: 'Errors' },
+  { template: '/logs', title: 'Logs' },
+  { template: '/traces', title: 'Traces' },
+  { template: '/network', title: 'Network' },
+  { template: '/redaction', title: 'Redaction' },
+  { template: '/metrics', title: 'Metrics' },
+  { template: '/interactions', title: 'Interactions' },
+  { template: '/flags', title: 'Flags' },
+  { template: '/flags/:flagKey', title: 'Flag' },
+];
+
+export const NOT_FOUND_TEMPLATE = '*';
+
+function segmentsOf(path) {
+  return path.split('/').filter(Boolean);
+}
+
+// Malformed escapes such as `%ZZ` can't be decoded; they are kept as typed
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * Finds the route for a pathname: { pathname, template, title, params }.
+ * Unknown paths get the NOT_FOUND_TEMPLATE.
+ */
+export function matchRoute(pathname) {
+  const segments = segmentsOf(pathname);
+  for (const route of ROUTES) {
+    const templateSegments = segmentsOf(route.template);
+    if (templateSegments.length !== segments.length) continue;
+
+    const params = {};
+    const matches = templateSegments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeSegment(segments[index]);
+        return true;
+      }
+      return segment === segments[index];
+    });
+    if (matches) return { pathname, template: route.template, title: route.title, params };
+  }
+  return { pathname, template: NOT_FOUND_TEMPLATE, title: 'Not found', params: {} };
+}
+
+// The current route: { pathname, template, title, params }
+export const routeStore = createStore(matchRoute(window.location.pathname));
+// The navigation waiting for its route to render: { type, startTime, previous }
+let pendingPageView = { type: 'load', startTime: 0, previous: null };
+
+function update(type) {
+  pendingPageView = { type, startTime: performance.now(), previous: routeStore.get() };
+  routeStore.set(matchRoute(window.location.pathname));
+}
+
+/**
+ * Navigates to `to` (a path, optionally with a query or hash). Navigating to
+ * the current URL does nothing.
+ */
+export function navigate(to, { replace = false } = {}) {
+  const url = new URL(to, window.location.href);
+  const current = window.location.pathname + window.location.search + window.location.hash;
+  if (url.pathname + url.search + url.hash === current) return;
+
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+  update(replace ? 'replace' : 'push');
+}
+
+// The browser's own timings for the document, relative to the time origin
+function documentLoadAttributes() {
+  const [entry] = performance.getEntriesByType?.('navigation') || [];
+  if (!entry) return {};
+  return {
+    'page_view.ttfb_ms': Math.round(entry.responseStart),
+    'page_view.dom_content_loaded_ms': Math.round(entry.domContentLoadedEventEnd),
+    // Zero until the load event has finished
+    ...(entry.loadEventEnd > 0 && { 'page_view.load_ms': Math.round(entry.loadEventEnd) }),
+  };
+}
+
+/**
+ * Ends the pending page view. Called once the current route has rendered;
+ * does nothing if that page view was already recorded.
+ */
+export function endPageView() {
+  if (!pendingPageView) return;
+  const { type, startTime, previous } = pendingPageView;
+  pendingPageView = null;
+
+  const route = routeStore.get();
+  const endTime = performance.now();
+  const attributes = {
+    'route.template': route.template,
+    'route.path': route.pathname,
+    'route.title': route.title,
+    ...Object.fromEntries(Object.entries(route.params).map(([name, value]) => [`route.param.${name}`, value])),
+    'navigation.type': type,
+    ...(previous && {
+      'navigation.previous_route.template': previous.template,
+      'navigation.previous_route.path': previous.pathname,
+    }),
+    'page_view.render_ms': Math.round(endTime - startTime),
+    ...(type === 'load' && documentLoadAttributes()),
+  };
+
+  // Times are relative to the time origin; spans take epoch times
+  LDObserve.startManualSpan('page_view', { attributes, startTime: performance.timeOrigin + startTime }, (span) => {
+    span.end(performance.timeOrigin + endTime);
+  });
+}
+
+function routeAttributes() {
+  const route = routeStore.get();
+  return { 'route.template': route.template, 'route.path': route.pathname };
+}
+
+// startSpan and startManualSpan take (name, [options], [context], fn)
+function wrapSpanMethod(method) {
+  const original = LDObserve[method];
+  LDObserve[method] = function (name, ...rest) {
+    const fnIndex = rest.findIndex(arg => typeof arg === 'function');
+    if (fnIndex === -1) return original.call(this, name, ...rest);
+
+    const spanOptions = fnIndex > 0 ? rest[0] : undefined;
+    const enriched = { ...spanOptions, attributes: { ...routeAttributes(), ...spanOptions?.attributes } };
+    const args = fnIndex > 0 ? [enriched, ...rest.slice(1)] : [enriched, ...rest];
+    return original.call(this, name, ...args);
+  };
+  return () => {
+    LDObserve[method] = original;
+  };
+}
+
+function wrapMethod(method, enrich) {
+  const original = LDObserve[method];
+  LDObserve[method] = function (...args) {
+    return original.apply(this, enrich(...args));
+  };
+  return () => {
+    LDObserve[method] = original;
+  };
+}
+
+/**
+ * Follows the browser's back and forward buttons and adds the current route
+ * to LDObserve calls. Returns an uninstall function. Install after the
+ * redaction, so the route on logs and errors is redacted too.
+ */
+export function installRouter() {
+  const handlePopState = () => update('pop');
+  window.addEventListener('popstate', handlePopState);
+
+  const restore = [
+    wrapSpanMethod('startSpan'),
+    wrapSpanMethod('startManualSpan'),
+    wrapMethod('recordLog', (message, level, attributes, ...rest) => [
+      message,
+      level,
+      { ...routeAttributes(), ...attributes },
+      ...rest,
+    ]),
+    wrapMethod('recordError', (error, message, payload, ...rest) => [
+      error,
+      message,
+      { ...routeAttributes(), ...payload },
+      ...rest,
+    ]),
+  ];
+
+  return () => {
+    window.removeEventListener('popstate', handlePopState);
+    restore.forEach(undo => undo());
+  };
+}
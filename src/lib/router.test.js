@@ -0,0 +1,86 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { LDObserve, getSpan, getSpans } from '@launchdarkly/observability';
+import { matchRoute, navigate, endPageView, routeStore, installRouter } from './router';
+
+describe('router', () => {
+  let uninstall;
+
+  afterEach(() => {
+    uninstall?.();
+    uninstall = undefined;
+    navigate('/');
+    endPageView();
+  });
+
+  // Runs first: the initial load's page view is only recorded once
+  it('records the initial load and each navigation as a page view', () => {
+    endPageView();
+    expect(getSpan('page_view').attributes).toMatchObject({
+      'route.template': '/',
+      'navigation.type': 'load',
+      'page_view.render_ms': expect.any(Number),
+    });
+    expect(LDObserve.startManualSpan).toHaveBeenCalledWith(
+      'page_view',
+      expect.objectContaining({ startTime: performance.timeOrigin }),
+      expect.any(Function)
+    );
+
+    const changes = [];
+    const unsubscribe = routeStore.subscribe(() => changes.push(routeStore.get().template));
+    navigate('/flags/releaseFancyWidget');
+    navigate('/flags/releaseFancyWidget');
+    endPageView();
+    endPageView();
+    unsubscribe();
+
+    expect(window.location.pathname).toBe('/flags/releaseFancyWidget');
+    expect(changes).toEqual(['/flags/:flagKey']);
+    const pageViews = getSpans().filter(span => span.name === 'page_view');
+    expect(pageViews).toHaveLength(2);
+    expect(pageViews[1].attributes).toMatchObject({
+      'route.template': '/flags/:flagKey',
+      'route.path': '/flags/releaseFancyWidget',
+      'route.param.flagKey': 'releaseFancyWidget',
+      'navigation.type': 'push',
+      'navigation.previous_route.template': '/',
+    });
+    expect(pageViews[1].ended).toBe(true);
+  });
+
+  it('matches route templates and parameters', () => {
+    expect(matchRoute('/logs')).toMatchObject({ template: '/logs', title: 'Logs', params: {} });
+    expect(matchRoute('/flags/release%20widget/')).toMatchObject({
+      template: '/flags/:flagKey',
+      params: { flagKey: 'release widget' },
+    });
+    expect(matchRoute('/nowhere')).toMatchObject({ template: '*', title: 'Not found' });
+    expect(matchRoute('/flags/%ZZ')).toMatchObject({ template: '/flags/:flagKey', params: { flagKey: '%ZZ' } });
+  });
+
+  it('adds the current route to logs, errors and spans and follows back navigation', () => {
+    const originals = { recordLog: LDObserve.recordLog, recordError: LDObserve.recordError };
+    uninstall = installRouter();
+    navigate('/logs');
+
+    LDObserve.recordLog('Saved', 'info', { step: 1 });
+    LDObserve.recordError(new Error('Boom'), 'Failed', { 'route.path': '/explicit' });
+    LDObserve.startSpan('save', () => {});
+
+    expect(originals.recordLog).toHaveBeenCalledWith('Saved', 'info', {
+      'route.template': '/logs',
+      'route.path': '/logs',
+      step: 1,
+    });
+    expect(originals.recordError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'Boom' }),
+      'Failed',
+      { 'route.template': '/logs', 'route.path': '/explicit' }
+    );
+    expect(getSpan('save').attributes).toMatchObject({ 'route.template': '/logs' });
+
+    window.history.pushState(null, '', '/traces');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    expect(routeStore.get().template).toBe('/traces');
+  });
+});
@@ -0,0 +1,33 @@
+// Shared state container for the modules React components subscribe to with
+// useSyncExternalStore (see hooks/useStore.js). The state is replaced on
+// every change, never mutated, so get() returns a stable snapshot until the
+// next set().
+export function createStore(initialState, { batched = false } = {}) {
+  let state = initialState;
+  let notifyScheduled = false;
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  return {
+    get: () => state,
+    // With `batched`, listeners are notified once per microtask rather than
+    // once per set(), for state that changes in bursts
+    set(nextState) {
+      state = nextState;
+      if (!batched) {
+        notify();
+      } else if (!notifyScheduled) {
+        notifyScheduled = true;
+        queueMicrotask(() => {
+          notifyScheduled = false;
+          notify();
+        });
+      }
+    },
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+  };
+}
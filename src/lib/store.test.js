@@ -0,0 +1,33 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createStore } from './store';
+
+describe('createStore', () => {
+  it('notifies subscribers on every set until they unsubscribe', () => {
+    const store = createStore({ count: 0 });
+    const listener = vi.fn();
+    const unsubscribe = store.subscribe(listener);
+
+    const next = { count: 1 };
+    store.set(next);
+    expect(store.get()).toBe(next);
+    expect(listener).toHaveBeenCalledTimes(1);
+
+    unsubscribe();
+    store.set({ count: 2 });
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('notifies once per microtask when batched', async () => {
+    const store = createStore([], { batched: true });
+    const listener = vi.fn();
+    store.subscribe(listener);
+
+    store.set(['a']);
+    store.set(['a', 'b']);
+    expect(store.get()).toEqual(['a', 'b']);
+    expect(listener).not.toHaveBeenCalled();
+
+    await Promise.resolve();
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,135 @@
+// Span helpers on top of LDObserve.startManualSpan. traced() runs its
+// callback with the new span active, so any span started synchronously inside
+// it nests under it. The plugin's context manager loses the active span after
+// the first `await`, so the callback also gets a `child` function bound to its
+// span: children started with it nest correctly no matter how many awaits
+// come before them.
+import { LDObserve } from '@launchdarkly/observability';
+import { context, trace, isSpanContextValid, SpanStatusCode } from '@opentelemetry/api';
+
+export { SpanStatusCode };
+
+const listeners = new Set();
+let nextLocalId = 1;
+const spanIds = new WeakMap();
+
+// Listeners receive a record for every traced() span when it ends:
+// { id, parentId, traceId, name, startTime, durationMs, statusCode,
+//   statusMessage, attributes }
+export function subscribeToSpans(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Spans are no-ops while telemetry is stopped (see consent.js) and all share
+// an invalid id, so they get a local one to keep the tree intact
+function spanId(span) {
+  const spanContext = span.spanContext();
+  return isSpanContextValid(spanContext) ? spanContext.spanId : `local-${nextLocalId++}`;
+}
+
+function parentIdOf(parentContext) {
+  const parentSpan = trace.getSpan(parentContext);
+  return parentSpan && (spanIds.get(parentSpan) ?? parentSpan.spanContext().spanId);
+}
+
+// The span's own status and attributes are SDK internals, so what the
+// callback sets through the Span API is recorded on the way in
+function trackSpan(span, attributes) {
+  const tracked = { attributes: { ...attributes }, status: null };
+  const wrap = (method, before) => {
+    const original = span[method];
+    span[method] = function (...args) {
+      before(...args);
+      return original.apply(this, args);
+    };
+  };
+  wrap('setAttribute', (key, value) => {
+    tracked.attributes[key] = value;
+  });
+  wrap('setAttributes', (values) => {
+    Object.assign(tracked.attributes, values);
+  });
+  wrap('setStatus', (status) => {
+    tracked.status = status;
+  });
+  return tracked;
+}
+
+function startTraced(name, fn, attributes, parentContext) {
+  const parentId = parentIdOf(parentContext);
+  return LDObserve.startManualSpan(name, { attributes }, parentContext, (span) => {
+    const id = spanId(span);
+    spanIds.set(span, id);
+    const tracked = trackSpan(span, attributes);
+    const startTime = Date.now();
+    const startedAt = performance.now();
+    const spanContext = trace.setSpan(parentContext, span);
+    const child = (childName, childFn, childAttributes = {}) =>
+      startTraced(childName, childFn, childAttributes, spanContext);
+
+    const finish = (status) => {
+      span.setStatus(status);
+      span.end();
+      const record = {
+        id,
+        parentId,
+        traceId: span.spanContext().traceId,
+        name,
+        startTime,
+        durationMs: Math.round(performance.now() - startedAt),
+        statusCode: status.code,
+        statusMessage: status.message,
+        attributes: { ...tracked.attributes },
+      };
+      listeners.forEach(listener => listener(record));
+    };
+    const succeed = () => {
+      // Keep a status the callback set itself (e.g. an ERROR without throwing)
+      finish(tracked.status && tracked.status.code !== SpanStatusCode.UNSET
+        ? tracked.status
+        : { code: SpanStatusCode.OK });
+    };
+    const fail = (error) => {
+      span.recordException(error);
+      finish({ code: SpanStatusCode.ERROR, message: error?.message ?? String(error) });
+    };
+
+    let result;
+    try {
+      result = context.with(spanContext, () => fn(span, child));
+    } catch (error) {
+      fail(error);
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.then(
+        (value) => {
+          succeed();
+          return value;
+        },
+        (error) => {
+          fail(error);
+          throw error;
+        }
+      );
+    }
+    succeed();
+    return result;
+  });
+}
+
+/**
+ * Runs fn inside a span named `name` and always ends it.
+ *
+ * fn runs with the span active and receives (span, child).
+ * `child(name, fn, attributes)` is traced() with this span as the parent,
+ * also after an await. Spans end with status OK when fn returns or
+ * resolves; when it throws or rejects, the exception is recorded, the status
+ * is set to ERROR and the error is rethrown, so a failing child also fails
+ * every parent it propagates through.
+ */
+export function traced(name, fn, attributes = {}, parentContext = context.active()) {
+  return startTraced(name, fn, attributes, parentContext);
+}
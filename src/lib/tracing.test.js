@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { context, ROOT_CONTEXT } from '@opentelemetry/api';
+import { traced, subscribeToSpans, SpanStatusCode } from './tracing';
+
+// Synchronous stand-in for the plugin's context manager
+function installContextManager() {
+  const stack = [ROOT_CONTEXT];
+  context.setGlobalContextManager({
+    active: () => stack[stack.length - 1],
+    with(activeContext, fn, thisArg, ...args) {
+      stack.push(activeContext);
+      try {
+        return fn.call(thisArg, ...args);
+      } finally {
+        stack.pop();
+      }
+    },
+    bind: (activeContext, target) => target,
+    enable() {
+      return this;
+    },
+    disable() {
+      return this;
+    },
+  });
+}
+
+describe('traced', () => {
+  let records;
+  let unsubscribe;
+
+  beforeEach(() => {
+    installContextManager();
+    records = [];
+    unsubscribe = subscribeToSpans(record => records.push(record));
+  });
+
+  afterEach(() => {
+    unsubscribe();
+    context.disable();
+  });
+
+  it('nests spans started inside the callback without child()', () => {
+    traced('checkout', () => {
+      traced('validate cart', () => {});
+    });
+
+    const [validate, checkout] = records;
+    expect(validate.name).toBe('validate cart');
+    expect(validate.parentId).toBe(checkout.id);
+    expect(checkout.parentId).toBeUndefined();
+  });
+
+  it('records the attributes and status set through the span', () => {
+    traced('charge card', (span) => {
+      span.setAttribute('payment.provider', 'stripe');
+      span.setAttributes({ 'payment.retries': 1 });
+      span.setStatus({ code: SpanStatusCode.ERROR, message: 'Declined' });
+    }, { 'cart.items': 2 });
+
+    expect(records[0]).toMatchObject({
+      statusCode: SpanStatusCode.ERROR,
+      statusMessage: 'Declined',
+      attributes: { 'cart.items': 2, 'payment.provider': 'stripe', 'payment.retries': 1 },
+    });
+  });
+});
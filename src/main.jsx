@@ -3,42 +3,172 @@ import ReactDOM from 'react-dom/client'
 import { asyncWithLDProvider } from 'launchdarkly-react-client-sdk'
 import Observability from '@launchdarkly/observability'
 import SessionReplay from '@launchdarkly/session-replay'
+import releaseInfo from 'virtual:release'
 import App from './App.jsx'
+import BootstrapFlagsProvider from './components/BootstrapFlagsProvider.jsx'
+import {
+  runningPluginConfig,
+  buildObservabilityOptions,
+  buildSessionReplayOptions,
+  setRunningPluginOptions,
+} from './lib/pluginConfig'
+import { initConsent, networkConsentSanitizer } from './lib/consent'
+import { getInitialContext, recordStartupIdentify } from './lib/ldContext'
+import { installGlobalErrorCapture } from './lib/errorCapture'
+import { configureLogInstrumentation } from './lib/logInstrumentation'
+import { installLocalExporter } from './lib/localExporter'
+import { installFlagEnrichment, flagEnrichmentInspectors, seedFlagValues } from './lib/flagEnrichment'
+import { installRedaction, redactRequestResponse, REPLAY_MASKING_OPTIONS } from './lib/redaction'
+import { loadBootstrapFlags, flagSourceInspectors, waitForLiveFlags, failInitialization } from './lib/flagBootstrap'
+import { installLongTaskObserver } from './lib/longTasks'
+import { installRouter } from './lib/router'
 import './index.css'
 
+// Installed before LaunchDarkly initializes so startup errors are captured too;
+// LDObserve buffers the calls until the plugin is ready
+installGlobalErrorCapture({ dedupWindowMs: 5000, maxBreadcrumbs: 20 });
+
+// Development only: keep a local copy of the exported telemetry for the
+// Telemetry Inspector drawer (see lib/localExporter.js)
+if (import.meta.env.DEV) {
+  installLocalExporter({ maxItems: 500 });
+}
+
+// Redact PII from logs, errors and recorded requests (see lib/redaction.js).
+// Requests to the payment provider are recorded without bodies.
+installRedaction({
+  origins: {
+    'https://payments.example.com': { redactBodies: true }
+  }
+});
+
+// Attach the served flag variations to every error, log and span. An optional
+// comma-separated allow-list limits which flags are attached.
+installFlagEnrichment({
+  allowList: (import.meta.env.VITE_FLAG_ATTRIBUTES_ALLOW_LIST || '')
+    .split(',')
+    .map(key => key.trim())
+    .filter(Boolean)
+});
+
+// Client-side routing: add the current route to every error, log and span.
+// Page views are recorded from the initial load on (see lib/router.js).
+installRouter();
+
+// Record main-thread blocks as spans, and blocks of 200 ms or more as UI
+// freezes (see lib/longTasks.js)
+installLongTaskObserver({ freezeThresholdMs: 200 });
+
+const INIT_TIMEOUT_MS = 3000;
+
+// Local mode: telemetry goes to the dev server's OTLP stand-in and, without a
+// client-side ID, flags come from its /ld stand-in (plugins/localCollector.js)
+const LOCAL_MODE = import.meta.env.VITE_TELEMETRY_TARGET === 'local';
+const LOCAL_CLIENT_SIDE_ID = 'local';
+
 (async () => {
   try {
-    const clientSideID = import.meta.env.VITE_LD_CLIENT_SIDE_ID;
+    const flagsFromDevServer = LOCAL_MODE && !import.meta.env.VITE_LD_CLIENT_SIDE_ID;
+    const clientSideID = flagsFromDevServer ? LOCAL_CLIENT_SIDE_ID : import.meta.env.VITE_LD_CLIENT_SIDE_ID;
     
     if (!clientSideID) {
-      throw new Error('LaunchDarkly client-side ID not found in environment variables. Please set VITE_LD_CLIENT_SIDE_ID in your .env file.');
+      throw new Error('LaunchDarkly client-side ID not found in environment variables. Please set VITE_LD_CLIENT_SIDE_ID in your .env file, or VITE_TELEMETRY_TARGET=local to run without LaunchDarkly.');
     }
 
-    const LDProvider = await asyncWithLDProvider({
-      clientSideID,
-      context: {
-        kind: 'user',
-        key: 'user-' + Math.random().toString(36).substr(2, 9),
-        name: 'Demo User',
-        email: 'demo@example.com'
+    // Plugin options come from the settings panel (localStorage) with defaults.
+    // Both plugins always start manually: the consent module starts them once
+    // the user's choice is known, and drops network data without consent.
+    const baseObservabilityOptions = buildObservabilityOptions(runningPluginConfig);
+    // Network data is dropped without consent and redacted otherwise
+    const sanitizeRequestResponse = pair => {
+      const consented = networkConsentSanitizer(pair);
+      return consented && redactRequestResponse(consented);
+    };
+    const observabilityOptions = {
+      // package.json version + git commit, from plugins/release.js
+      version: releaseInfo.release,
+      ...baseObservabilityOptions,
+      ...(LOCAL_MODE && {
+        otel: { otlpEndpoint: `${window.location.origin}/otlp` }
+      }),
+      networkRecording: {
+        ...baseObservabilityOptions.networkRecording,
+        requestResponseSanitizer: sanitizeRequestResponse
       },
-      options: {
-        plugins: [
-          new Observability({
-            version: '4.7.1',
-            tracingOrigins: true,
-            networkRecording: {
-              enabled: true,
-              recordHeadersAndBody: true
-            }
+      manualStart: true
+    };
+    const sessionReplayOptions = {
+      ...buildSessionReplayOptions(runningPluginConfig),
+      // Elements marked data-redact="mask" or "block" are masked in replays
+      ...REPLAY_MASKING_OPTIONS,
+      manualStart: true
+    };
+    setRunningPluginOptions({
+      observability: observabilityOptions,
+      sessionReplay: sessionReplayOptions
+    });
+
+    // Signed-in profile or a persistent anonymous context (see lib/ldContext.js)
+    const context = getInitialContext();
+
+    // Start from cached (or bundled default) flags so the dashboard renders
+    // without LaunchDarkly; live flags stream in when it is reachable
+    const bootstrap = loadBootstrapFlags();
+    seedFlagValues(bootstrap);
+
+    // Init timeout: render on live flags if they arrive within 3 s, otherwise
+    // in degraded mode on the bootstrap flags. The wait starts now so the
+    // limit covers the provider's own initialization too.
+    const liveFlags = waitForLiveFlags({ timeoutMs: INIT_TIMEOUT_MS });
+
+    let LDProvider;
+    try {
+      LDProvider = await asyncWithLDProvider({
+        clientSideID,
+        context,
+        // In seconds; on timeout the provider resolves with the bootstrap flags
+        timeout: INIT_TIMEOUT_MS / 1000,
+        options: {
+          bootstrap,
+          streaming: !flagsFromDevServer,
+          // The stand-in serves src/flagDefaults.json and accepts no events
+          ...(flagsFromDevServer && {
+            baseUrl: `${window.location.origin}/ld`,
+            streamUrl: `${window.location.origin}/ld`,
+            eventsUrl: `${window.location.origin}/ld`,
+            sendEvents: false,
+            diagnosticOptOut: true
           }),
-          new SessionReplay({
-            privacySetting: 'none'
-          })
-        ]
-      }
+          // Reasons for variationDetail(), shown in the flag status table
+          evaluationReasons: true,
+          // Keep lib/flagEnrichment.js and lib/flagBootstrap.js up to date with
+          // every flag value the client receives
+          inspectors: [...flagEnrichmentInspectors, ...flagSourceInspectors],
+          plugins: [
+            new Observability(observabilityOptions),
+            new SessionReplay(sessionReplayOptions)
+          ]
+        }
+      });
+    } catch (error) {
+      // The client could not be created at all: run on the bootstrap flags
+      failInitialization(error);
+      LDProvider = ({ children }) => <BootstrapFlagsProvider flags={bootstrap}>{children}</BootstrapFlagsProvider>;
+    }
+    await liveFlags;
+
+    // Opt-in: forward console.debug/info/warn/error and fetch calls as logs.
+    // Both can also be switched on and off at runtime from the Logs demo.
+    configureLogInstrumentation({
+      console: false,
+      fetch: false,
+      excludeTag: '[local]',
+      rateLimit: { maxEvents: 20, intervalMs: 1000 }
     });
 
+    initConsent({ requireConsent: runningPluginConfig.manualStart });
+    recordStartupIdentify(context);
+
     ReactDOM.createRoot(document.getElementById('root')).render(
       <React.StrictMode>
         <LDProvider>
@@ -49,7 +179,8 @@ import './index.css'
   } catch (err) {
     console.error('Failed to initialize LaunchDarkly:', err);
     
-    // Render error message if initialization fails
+    // Only a missing client-side ID outside local mode gets here; LaunchDarkly failures render
+    // the app in degraded mode above
     ReactDOM.createRoot(document.getElementById('root')).render(
       <React.StrictMode>
         <div style={{ 
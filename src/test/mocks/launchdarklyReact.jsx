@@ -0,0 +1,66 @@
+// Stand-in for launchdarkly-react-client-sdk. Flags live in a small store
+// so tests can change them with setMockFlags() and watch components update.
+import { useSyncExternalStore } from 'react';
+import { vi } from 'vitest';
+
+let flags = {};
+let context = { kind: 'user', key: 'test-user', anonymous: true };
+const listeners = new Set();
+const clientHandlers = new Map(); // event name -> Set of handlers
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function useMockFlags() {
+  return useSyncExternalStore(subscribe, () => flags);
+}
+
+// Call inside act() when components are mounted
+export function setMockFlags(nextFlags) {
+  flags = nextFlags;
+  listeners.forEach(listener => listener());
+}
+
+// Emits a client event such as 'change' to handlers registered with on()
+export function emitMockClientEvent(event, payload) {
+  (clientHandlers.get(event) || new Set()).forEach(handler => handler(payload));
+}
+
+export function resetLaunchDarklyMock() {
+  flags = {};
+  clientHandlers.clear();
+  context = { kind: 'user', key: 'test-user', anonymous: true };
+}
+
+export const mockLDClient = {
+  allFlags: vi.fn(() => flags),
+  variation: vi.fn((key, defaultValue) => (key in flags ? flags[key] : defaultValue)),
+  variationDetail: vi.fn((key, defaultValue) => (key in flags
+    ? { value: flags[key], variationIndex: 0, reason: { kind: 'FALLTHROUGH' } }
+    : { value: defaultValue, variationIndex: null, reason: { kind: 'ERROR', errorKind: 'FLAG_NOT_FOUND' } })),
+  getContext: vi.fn(() => context),
+  identify: vi.fn(async (nextContext) => {
+    context = nextContext;
+    return flags;
+  }),
+  on: vi.fn((event, handler) => {
+    if (!clientHandlers.has(event)) clientHandlers.set(event, new Set());
+    clientHandlers.get(event).add(handler);
+  }),
+  off: vi.fn((event, handler) => {
+    clientHandlers.get(event)?.delete(handler);
+  }),
+};
+
+export const useFlags = () => useMockFlags();
+
+export const useLDClient = () => mockLDClient;
+
+export const withLDConsumer = () => (Component) => function LDConsumer(props) {
+  const currentFlags = useMockFlags();
+  return <Component flags={currentFlags} ldClient={mockLDClient} {...props} />;
+};
+
+export const asyncWithLDProvider = vi.fn(async () => ({ children }) => children);
@@ -0,0 +1,88 @@
+// Stand-in for @launchdarkly/observability. Every LDObserve method is a
+// vi.fn, and span callbacks run synchronously with a recording mock span.
+import { vi } from 'vitest';
+
+let spans = [];
+
+export function createMockSpan(name, options = {}) {
+  const span = {
+    name,
+    attributes: { ...options.attributes },
+    status: { code: 0 },
+    exceptions: [],
+    events: [],
+    ended: false,
+    setAttribute: vi.fn((key, value) => {
+      span.attributes[key] = value;
+      return span;
+    }),
+    setAttributes: vi.fn((values) => {
+      Object.assign(span.attributes, values);
+      return span;
+    }),
+    setStatus: vi.fn((status) => {
+      span.status = status;
+      return span;
+    }),
+    recordException: vi.fn((error) => {
+      span.exceptions.push(error);
+    }),
+    addEvent: vi.fn((eventName, attributes) => {
+      span.events.push({ name: eventName, attributes });
+      return span;
+    }),
+    end: vi.fn(() => {
+      span.ended = true;
+    }),
+    spanContext: () => ({ traceId: '', spanId: '', traceFlags: 0 }),
+    isRecording: () => true,
+  };
+  return span;
+}
+
+// Spans started so far, in start order
+export function getSpans() {
+  return spans;
+}
+
+export function getSpan(name) {
+  return spans.find(span => span.name === name);
+}
+
+export function resetObservabilityMock() {
+  spans = [];
+}
+
+// (name, [options], [context], fn), like the real API
+function startMockSpan(name, ...rest) {
+  const fn = rest.find(arg => typeof arg === 'function');
+  const options = typeof rest[0] === 'object' ? rest[0] : {};
+  const span = createMockSpan(name, options);
+  spans.push(span);
+  return { span, result: fn(span) };
+}
+
+export const LDObserve = {
+  start: vi.fn(),
+  stop: vi.fn(),
+  recordError: vi.fn(),
+  recordLog: vi.fn(),
+  recordIncr: vi.fn(),
+  recordCount: vi.fn(),
+  recordGauge: vi.fn(),
+  recordHistogram: vi.fn(),
+  recordUpDownCounter: vi.fn(),
+  startSpan: vi.fn((name, ...rest) => {
+    const { span, result } = startMockSpan(name, ...rest);
+    if (result instanceof Promise) return result.finally(() => span.end());
+    span.end();
+    return result;
+  }),
+  startManualSpan: vi.fn((name, ...rest) => startMockSpan(name, ...rest).result),
+};
+
+export default class Observability {
+  constructor(options) {
+    this.options = options;
+  }
+}
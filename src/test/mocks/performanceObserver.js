@@ -0,0 +1,25 @@
+// Stand-in for PerformanceObserver, installed with vi.stubGlobal (undone
+// after every test by setup.js). `report` delivers entries to the observers.
+import { vi } from 'vitest';
+
+export function stubPerformanceObserver(supportedEntryTypes) {
+  const observers = [];
+  class FakePerformanceObserver {
+    static supportedEntryTypes = supportedEntryTypes;
+
+    constructor(callback) {
+      this.callback = callback;
+      this.disconnect = vi.fn();
+      observers.push(this);
+    }
+
+    observe(options) {
+      this.options = options;
+    }
+  }
+  vi.stubGlobal('PerformanceObserver', FakePerformanceObserver);
+  return {
+    observers,
+    report: entries => observers.forEach(observer => observer.callback({ getEntries: () => entries })),
+  };
+}
@@ -0,0 +1,20 @@
+// Stand-in for @launchdarkly/session-replay
+import { vi } from 'vitest';
+
+export const LDRecord = {
+  start: vi.fn(),
+  stop: vi.fn(),
+  getSession: vi.fn(() => ({
+    url: 'https://app.launchdarkly.com/sessions/test-session',
+    urlWithTimestamp: 'https://app.launchdarkly.com/sessions/test-session?ts=0',
+    sessionSecureID: 'test-session',
+  })),
+  getRecordingState: vi.fn(() => 'NotRecording'),
+  addSessionProperties: vi.fn(),
+};
+
+export default class SessionReplay {
+  constructor(options) {
+    this.options = options;
+  }
+}
@@ -0,0 +1,21 @@
+// Loaded before every test file (see `test.setupFiles` in vite.config.js)
+import '@testing-library/jest-dom/vitest';
+import { afterEach, vi } from 'vitest';
+import { cleanup } from '@testing-library/react';
+import { resetObservabilityMock } from './mocks/observability';
+import { resetLaunchDarklyMock } from './mocks/launchdarklyReact';
+
+vi.mock('@launchdarkly/observability', () => import('./mocks/observability'));
+vi.mock('@launchdarkly/session-replay', () => import('./mocks/sessionReplay'));
+vi.mock('launchdarkly-react-client-sdk', () => import('./mocks/launchdarklyReact'));
+
+afterEach(() => {
+  cleanup();
+  vi.clearAllMocks();
+  vi.useRealTimers();
+  vi.unstubAllGlobals();
+  resetObservabilityMock();
+  resetLaunchDarklyMock();
+  localStorage.clear();
+  sessionStorage.clear();
+});
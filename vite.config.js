@@ -1,11 +1,42 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import mockApi from './plugins/mockApi.js'
+import localCollector from './plugins/localCollector.js'
+import release from './plugins/release.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react()],
-  build: {
-    sourcemap: true, // Generate source maps for production builds
-  },
-})
+export default defineConfig(({ command, mode }) => {
+  const env = loadEnv(mode, process.cwd(), ['VITE_', 'SOURCEMAP_'])
 
+  return {
+    plugins: [
+      react(),
+      mockApi(),
+      // VITE_TELEMETRY_TARGET=local: receive OTLP data on /otlp and save it
+      // to telemetry-output/ instead of sending it to LaunchDarkly
+      localCollector({ enabled: env.VITE_TELEMETRY_TARGET === 'local' }),
+      // Release version (package.json + git commit) for the app, a manifest
+      // linking chunks to source maps, and an optional source map upload
+      release({
+        uploadUrl: env.SOURCEMAP_UPLOAD_URL,
+        uploadToken: env.SOURCEMAP_UPLOAD_TOKEN,
+      }),
+    ],
+    resolve: {
+      // React.Profiler only reports timings in development and profiling
+      // builds. VITE_REACT_PROFILING=true opts a production build into the
+      // slower profiling build of react-dom, for the render metrics (see
+      // src/lib/renderMetrics.js)
+      alias: command === 'build' && env.VITE_REACT_PROFILING === 'true'
+        ? [{ find: /^react-dom$/, replacement: 'react-dom/profiling' }]
+        : [],
+    },
+    build: {
+      sourcemap: true, // Generate source maps for production builds
+    },
+    test: {
+      environment: 'jsdom',
+      setupFiles: ['./src/test/setup.js'],
+    },
+  }
+})